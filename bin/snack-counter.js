@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+// snack-counter: manage rooms and their data from the command line, with the
+// same storage code as the server. Run `snack-counter help` for the commands.
+//
+// It reads and writes storage directly, so point it at the same DATA_DIR,
+// STORAGE_BACKEND, SQLITE_FILE and BACKUP_DIR as the server. Commands that
+// change rooms refuse to run while the server is running (see server-pid.js),
+// since it can't see their changes and would save over them. Push
+// notifications and webhooks are only sent for snacks added through the server.
+
+const fs = require('fs');
+const { createStorage, resolveDataDir } = require('../lib/storage');
+const {
+  createRoomData,
+  normalizeData,
+  addSnack,
+  findCounter,
+  getActiveLog,
+  getEntryTime,
+  getEntryQuantity
+} = require('../lib/room-data');
+const { resolvePolicy, evaluatePolicy } = require('../lib/policy');
+const { IMPORT_MODES, validateImport, planImport } = require('../lib/import');
+const { EXPORT_FORMATS, parseDateRange, filterByDateRange, formatExport } = require('../lib/export');
+const { createBackupStore, planRestore } = require('../lib/backups');
+const members = require('../lib/members');
+const snackTypes = require('../lib/snack-types');
+const operator = require('../lib/operator');
+const { celebrateSnack } = require('../lib/celebrations');
+const { getPidFile, getRunningServer } = require('../lib/server-pid');
+
+// Storage only reports its problems here, on stderr, so stdout is just the
+// command's output and can be piped (export, --json)
+const STORAGE_LOGGER = { log: () => {}, error: console.error };
+
+// Who changes made here are recorded as in the audit trail
+const ACTOR = 'Command line';
+
+const HELP = `Usage: snack-counter <command> [options]
+
+Rooms:
+  rooms list [--json]                  Every room with its count, members, last activity and size
+  room show <code> [--json]            A room's counters, members, settings and latest snacks
+
+Snacks:
+  increment <code> --user <name>       Add a snack as that member (who joins the room if new)
+            [--counter <id>] [--quantity <n>] [--snack-type <id>] [--note <text>]
+            [--force]                  Add it even if the room's rules would refuse it
+                                       Only while the server is stopped; while it runs, snacks
+                                       go through its API: POST /api/increment with an API
+                                       token (Authorization: Bearer <token>)
+
+Data:
+  export <code> [--format json|csv|ics] [--from <date>] [--to <date>] [--output <file>]
+  import <code> <file> [--mode replace|merge] [--dry-run] [--create]
+                                       --create makes the room if it doesn't exist yet
+  backup <code> [--list]               Save a snapshot of the room now, or list its snapshots
+  restore <code> <snapshot id>         Roll the room back to a snapshot
+
+Server:
+  migrate [--force]                    Copy the JSON rooms into the SQLite database
+  vapid generate                       Make new VAPID keys for push notifications
+
+Uses the same DATA_DIR, STORAGE_BACKEND, SQLITE_FILE and BACKUP_DIR as the server.
+increment, import, restore and migrate only run while the server is stopped.`;
+
+// Options that don't take a value
+const FLAGS = ['json', 'force', 'dry-run', 'create', 'list', 'help'];
+
+// Split arguments into positional ones and --options (--name value,
+// --name=value, or just --name for the FLAGS)
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = arg.slice(2, equals === -1 ? undefined : equals);
+    if (equals !== -1) {
+      options[name] = arg.slice(equals + 1);
+    } else if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+
+  return { positional, options };
+}
+
+function recordAudit(storage, accessCode, action, details = {}) {
+  storage.appendAuditEvent(accessCode, {
+    time: new Date().toISOString(),
+    actor: ACTOR,
+    action: action,
+    details: details
+  });
+}
+
+function requireServerStopped() {
+  const dataDir = resolveDataDir();
+  const server = getRunningServer(dataDir);
+  if (server) {
+    throw new Error(`The server is running on this data (pid ${server.pid} on ${server.hostname}, since ${server.startedAt}). ` +
+      'Stop it first, or make the change through its API. ' +
+      `If it isn't running anymore, delete ${getPidFile(dataDir)}`);
+  }
+}
+
+function requireCode(accessCode) {
+  if (!accessCode) {
+    throw new Error('Which room? Give its access code');
+  }
+  if (!operator.isValidRoomCode(accessCode)) {
+    throw new Error('Access codes only use letters, numbers, underscores and dashes');
+  }
+  return accessCode;
+}
+
+// Commands never create a room by accident (a typo would otherwise make a new one)
+function readRoom(storage, accessCode) {
+  const data = storage.exists(requireCode(accessCode)) && storage.read(accessCode);
+  if (!data) {
+    throw new Error(`Room ${accessCode} not found (see "snack-counter rooms list")`);
+  }
+  return normalizeData(data, accessCode);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function roomsList(storage, args, options) {
+  const rooms = storage.listRooms()
+    .map(accessCode => {
+      const data = storage.read(accessCode);
+      return data && operator.summarizeRoom(accessCode, normalizeData(data, accessCode), storage.getRoomSize(accessCode));
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+
+  if (options.json) return printJson(rooms);
+
+  console.log(`${rooms.length} room(s) in ${storage.name} storage`);
+  rooms.forEach(room => {
+    const archived = room.archived ? ' (archived)' : '';
+    const lastActivity = room.lastActivity ? room.lastActivity.slice(0, 16).replace('T', ' ') : 'never';
+    console.log(`- ${room.accessCode}${archived}: ${room.count} snacks, ${room.members.length} member(s), last active ${lastActivity}, ${formatSize(room.size)}`);
+  });
+}
+
+function roomShow(storage, [accessCode], options) {
+  const data = readRoom(storage, accessCode);
+  const summary = operator.summarizeRoom(accessCode, data, storage.getRoomSize(accessCode));
+  const policy = resolvePolicy(data.policy);
+
+  const snackCounts = {};
+  getActiveLog(data).forEach(entry => {
+    snackCounts[entry.userId] = (snackCounts[entry.userId] || 0) + getEntryQuantity(entry);
+  });
+  const recent = getActiveLog(data).slice(0, 5);
+
+  if (options.json) {
+    return printJson(Object.assign(summary, {
+      policy: policy,
+      counterList: data.counters.map(({ id, name, emoji, count, archived }) => ({ id, name, emoji, count, archived })),
+      memberList: data.members.map(member => ({ id: member.id, name: member.name, snackCount: snackCounts[member.id] || 0 })),
+      snackTypes: data.snackTypes,
+      goals: data.goals.length,
+      webhooks: data.webhooks.length,
+      apiTokens: data.apiTokens.length,
+      recent: recent
+    }));
+  }
+
+  console.log(`Room ${accessCode}${summary.archived ? ` (archived ${summary.archivedAt})` : ''}`);
+  console.log(`  Snacks:    ${data.count} (${summary.snacks} log entries)`);
+  console.log(`  Owner:     ${summary.owner || 'nobody'}${summary.hasPassword ? ', password protected' : ''}`);
+  console.log(`  Rules:     ${policy.cooldownSeconds}s ${policy.cooldownScope} cooldown` +
+    `${policy.dailyLimitPerUser ? `, ${policy.dailyLimitPerUser} a day each` : ''}` +
+    `${policy.quietHours ? `, quiet ${policy.quietHours.start}-${policy.quietHours.end}` : ''}, ${policy.timeZone}`);
+  console.log(`  Activity:  ${summary.lastActivity || 'never'}, ${formatSize(summary.size)} stored`);
+  console.log(`  Extras:    ${data.snackTypes.length} snack type(s), ${data.goals.length} goal(s), ${data.webhooks.length} webhook(s), ${data.apiTokens.length} API token(s)`);
+
+  console.log('Counters:');
+  data.counters.forEach(counter => {
+    console.log(`  ${counter.emoji} ${counter.name} [${counter.id}]: ${counter.count}${counter.archived ? ' (archived)' : ''}`);
+  });
+
+  console.log('Members:');
+  if (data.members.length === 0) console.log('  none yet');
+  data.members.forEach(member => {
+    console.log(`  ${member.emoji} ${member.name} [${member.id}]: ${snackCounts[member.id] || 0} snacks`);
+  });
+
+  console.log('Latest snacks:');
+  if (recent.length === 0) console.log('  none yet');
+  recent.forEach(entry => {
+    const member = members.findMember(data, entry.userId);
+    const snack = snackTypes.describeSnack(data, entry);
+    console.log(`  ${new Date(getEntryTime(entry)).toISOString()} ${member ? member.name : 'Someone'}` +
+      `${snack ? `: ${snack}` : ''}${entry.note ? ` "${entry.note}"` : ''}`);
+  });
+}
+
+function increment(storage, [accessCode], options) {
+  if (typeof options.user !== 'string' || members.cleanName(options.user).length === 0) {
+    throw new Error('Who had the snack? Add --user <name>');
+  }
+
+  requireServerStopped();
+  const data = readRoom(storage, accessCode);
+  let member = members.findMemberByName(data, options.user);
+  const joined = !member;
+  if (joined) {
+    member = members.createMember(options.user);
+    data.members.push(member);
+  }
+
+  const counter = findCounter(data, options.counter);
+  if (!counter) {
+    throw new Error(`Counter ${options.counter} not found`);
+  }
+  if (counter.archived) {
+    throw new Error('This counter is archived');
+  }
+
+  const details = snackTypes.validateSnackDetails({
+    quantity: options.quantity,
+    snackTypeId: options['snack-type'],
+    note: options.note
+  }, data);
+  if (details.error) {
+    throw new Error(details.error);
+  }
+
+  const now = Date.now();
+  const buttonState = evaluatePolicy(data, member.id, now, counter, { quantity: details.fields.quantity || 1 });
+  if (!buttonState.isEnabled && !options.force) {
+    throw new Error(`${buttonState.message} (add --force to count it anyway)`);
+  }
+
+  const entry = addSnack(data, counter, { userId: member.id, time: now, fields: details.fields });
+  const celebrations = celebrateSnack(data, entry, resolvePolicy(data.policy).timeZone);
+  storage.insertLogEntry(accessCode, data, entry);
+
+  if (joined) {
+    recordAudit(storage, accessCode, 'member-join', { userId: member.id });
+  }
+  recordAudit(storage, accessCode, 'increment', {
+    entryId: entry.id,
+    counterId: counter.id,
+    quantity: details.fields.quantity || 1,
+    snackTypeId: entry.snackTypeId || null,
+    userId: member.id,
+    forced: !buttonState.isEnabled
+  });
+
+  console.log(`Added ${snackTypes.describeSnack(data, entry) || 'a snack'} for ${member.name}${joined ? ' (new member)' : ''}: ${counter.name} is at ${counter.count}`);
+  celebrations.forEach(celebration => console.log(`  ${celebration.text}`));
+}
+
+function exportRoom(storage, [accessCode], options) {
+  const data = readRoom(storage, accessCode);
+  const format = options.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const range = parseDateRange(options, resolvePolicy(data.policy).timeZone);
+  if (range.error) {
+    throw new Error(range.error);
+  }
+
+  const output = formatExport(format, data, filterByDateRange(data, range));
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.log(`Saved ${accessCode} as ${format} to ${options.output}`);
+  } else {
+    process.stdout.write(output.endsWith('\n') ? output : output + '\n');
+  }
+}
+
+function importRoom(storage, [accessCode, file], options, backups) {
+  requireCode(accessCode);
+  if (!file) {
+    throw new Error('Which file? Give the path of a JSON backup');
+  }
+  const mode = options.mode || 'replace';
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  let input;
+  try {
+    input = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read ${file} as JSON: ${error.message}`);
+  }
+  const errors = validateImport(input);
+  if (errors.length > 0) {
+    throw new Error(`This file is not a valid Snack Counter backup:\n  ${errors.join('\n  ')}`);
+  }
+
+  const isNewRoom = !storage.exists(accessCode);
+  if (isNewRoom && !options.create) {
+    throw new Error(`Room ${accessCode} not found (add --create to make it)`);
+  }
+  const current = isNewRoom ? createRoomData(accessCode) : readRoom(storage, accessCode);
+  const { data, summary } = planImport(current, input, mode);
+
+  const description = `into ${accessCode} (${mode}): ${summary.added} added, ${summary.removed} removed, ` +
+    `${summary.skippedDuplicates} already there; ${summary.countBefore} -> ${summary.countAfter} snacks`;
+  if (options['dry-run']) {
+    console.log(`Would import ${description}`);
+    return;
+  }
+  requireServerStopped();
+
+  const before = isNewRoom ? null : backups.create(accessCode, current, 'before-import');
+  storage.write(accessCode, data);
+  recordAudit(storage, accessCode, 'import', summary);
+
+  console.log(`Imported ${description}`);
+  if (before) console.log(`The data from before is in snapshot ${before.id}`);
+}
+
+function backup(storage, [accessCode], options, backups) {
+  if (options.list) {
+    requireCode(accessCode);
+    const list = backups.list(accessCode);
+    console.log(`${list.length} snapshot(s) of ${accessCode} in ${backups.dir}`);
+    list.forEach(item => {
+      console.log(item.valid
+        ? `- ${item.id}  ${item.count} snacks, ${item.logEntries} log entries, ${formatSize(item.size)}`
+        : `- ${item.id}  ${item.error}`);
+    });
+    return;
+  }
+
+  const created = backups.create(accessCode, readRoom(storage, accessCode), 'manual');
+  recordAudit(storage, accessCode, 'backup-create', { backupId: created.id });
+  console.log(`Saved snapshot ${created.id} (${created.count} snacks)`);
+}
+
+function restore(storage, [accessCode, backupId], options, backups) {
+  requireServerStopped();
+  const current = readRoom(storage, accessCode);
+  if (!backupId) {
+    throw new Error(`Which snapshot? See "snack-counter backup ${accessCode} --list"`);
+  }
+  const loaded = backups.load(accessCode, backupId);
+  if (loaded.error) {
+    throw new Error(loaded.error);
+  }
+
+  const before = backups.create(accessCode, current, 'before-restore');
+  const data = planRestore(current, loaded.backup.data);
+  storage.write(accessCode, data);
+  recordAudit(storage, accessCode, 'backup-restore', { backupId: backupId, countBefore: current.count, countAfter: data.count });
+
+  console.log(`Restored ${accessCode} to ${backupId}: ${current.count} -> ${data.count} snacks`);
+  console.log(`The data from before is in snapshot ${before.id}`);
+}
+
+// Load the existing counter-data-*.json files into the SQLite database
+// (SQLITE_FILE, or DATA_DIR/snack-counter.db)
+function migrate(args, options) {
+  requireServerStopped();
+  const source = createStorage({ backend: 'json', logger: STORAGE_LOGGER });
+  const target = createStorage({ backend: 'sqlite', logger: STORAGE_LOGGER });
+
+  try {
+    const rooms = source.listRooms();
+    console.log(`Found ${rooms.length} room(s) to migrate into ${target.file}`);
+
+    let migrated = 0;
+    let skipped = 0;
+    rooms.forEach(accessCode => {
+      if (target.exists(accessCode) && !options.force) {
+        console.log(`- ${accessCode}: already in the database, skipping (use --force to overwrite)`);
+        skipped++;
+        return;
+      }
+
+      const data = source.read(accessCode);
+      if (!data) {
+        console.error(`- ${accessCode}: no usable data, skipping`);
+        skipped++;
+        return;
+      }
+
+      // Overwritten rooms already have their audit trail in the database
+      const isNewRoom = !target.exists(accessCode);
+      target.write(accessCode, normalizeData(data, accessCode));
+      if (isNewRoom) {
+        source.listAuditEvents(accessCode).reverse().forEach(({ seq, ...event }) => {
+          target.appendAuditEvent(accessCode, event);
+        });
+      }
+      migrated++;
+    });
+
+    console.log(`Migrated ${migrated} room(s), skipped ${skipped}`);
+  } finally {
+    target.close();
+  }
+}
+
+function vapidGenerate() {
+  const webpush = require('web-push');
+  const keys = webpush.generateVAPIDKeys();
+  console.log('Set these in the server\'s environment:');
+  console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+}
+
+// Commands that work on rooms get the storage and snapshots
+const ROOM_COMMANDS = {
+  'rooms list': roomsList,
+  'room show': roomShow,
+  'increment': increment,
+  'export': exportRoom,
+  'import': importRoom,
+  'backup': backup,
+  'restore': restore
+};
+
+const OTHER_COMMANDS = {
+  'migrate': migrate,
+  'vapid generate': vapidGenerate
+};
+
+function run(argv) {
+  const { positional, options } = parseArgs(argv);
+  if (positional.length === 0 || positional[0] === 'help' || options.help) {
+    console.log(HELP);
+    return;
+  }
+
+  // Two-word commands first ("rooms list"), then one-word ones ("export")
+  const twoWords = positional.slice(0, 2).join(' ');
+  const name = ROOM_COMMANDS[twoWords] || OTHER_COMMANDS[twoWords] ? twoWords : positional[0];
+  const args = positional.slice(name.split(' ').length);
+
+  if (OTHER_COMMANDS[name]) {
+    return OTHER_COMMANDS[name](args, options);
+  }
+  if (!ROOM_COMMANDS[name]) {
+    throw new Error(`Unknown command "${positional.join(' ')}" (see "snack-counter help")`);
+  }
+
+  const storage = createStorage({ logger: STORAGE_LOGGER });
+  const backups = createBackupStore({ dataDir: resolveDataDir() });
+  try {
+    ROOM_COMMANDS[name](storage, args, options, backups);
+  } finally {
+    storage.close();
+  }
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (error) {
+  console.error(`snack-counter: ${error.message}`);
+  process.exit(1);
+}
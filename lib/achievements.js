@@ -0,0 +1,82 @@
+const { getLocalTime, isInTimeRange } = require('./time');
+const { findMember } = require('./members');
+const { getActiveLog, getEntryTime, getEntryQuantity } = require('./room-data');
+const { getStreaks } = require('./stats');
+
+// Achievement badges members earn with their snacks. They are checked on the
+// server for each new snack (in the room's time zone) and kept on the member
+// (member.achievements: [{ id, earnedAt, entryId }]); deleting a snack later
+// doesn't take a badge away.
+
+const NIGHT_OWL_HOURS = { start: '00:00', end: '04:00' };
+
+const ACHIEVEMENTS = [
+  {
+    id: 'first-snack',
+    name: 'First Snack',
+    emoji: '🍪',
+    description: 'Had a first snack in the room',
+    isEarned: ({ userEntries }) => userEntries.length >= 1
+  },
+  {
+    id: 'streak-5',
+    name: 'On a Roll',
+    emoji: '🔥',
+    description: 'Had snacks 5 days in a row',
+    isEarned: ({ userDates, local }) => getStreaks(userDates, local.date).longest >= 5
+  },
+  {
+    id: 'night-owl',
+    name: 'Night Owl',
+    emoji: '🦉',
+    description: 'Had a snack between midnight and 4 AM',
+    isEarned: ({ local }) => isInTimeRange(local.minutes, NIGHT_OWL_HOURS)
+  },
+  {
+    id: 'century',
+    name: 'Century',
+    emoji: '💯',
+    description: 'Had 100 snacks',
+    isEarned: ({ userSnacks }) => userSnacks >= 100
+  }
+];
+
+// The definitions as the API shows them
+function listAchievements() {
+  return ACHIEVEMENTS.map(({ isEarned, ...achievement }) => achievement);
+}
+
+function findAchievement(id) {
+  return listAchievements().find(achievement => achievement.id === id) || null;
+}
+
+// Give the snack's member the badges it earns them. Returns the newly earned
+// achievements (the definitions), which the caller saves with the room.
+function awardAchievements(data, entry, timeZone) {
+  const member = findMember(data, entry.userId);
+  if (!member) return [];
+  if (!Array.isArray(member.achievements)) member.achievements = [];
+
+  const earned = new Set(member.achievements.map(achievement => achievement.id));
+  const userEntries = getActiveLog(data).filter(other => other.userId === entry.userId);
+  const context = {
+    userEntries: userEntries,
+    userSnacks: userEntries.reduce((sum, other) => sum + getEntryQuantity(other), 0),
+    userDates: new Set(userEntries.map(other => getLocalTime(getEntryTime(other), timeZone).date)),
+    local: getLocalTime(getEntryTime(entry), timeZone)
+  };
+
+  const newlyEarned = ACHIEVEMENTS.filter(achievement =>
+    !earned.has(achievement.id) && achievement.isEarned(context)
+  );
+  newlyEarned.forEach(achievement => {
+    member.achievements.push({ id: achievement.id, earnedAt: Date.now(), entryId: entry.id });
+  });
+  return newlyEarned.map(achievement => findAchievement(achievement.id));
+}
+
+module.exports = {
+  listAchievements,
+  findAchievement,
+  awardAchievements
+};
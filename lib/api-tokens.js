@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { cleanName } = require('./members');
+
+// API tokens let scripts, hardware buttons and shortcuts use the API without
+// a login cookie, as "Authorization: Bearer <token>". The room owner creates
+// them (data.apiTokens); each acts as one member of the room (token.userId)
+// and can only do what its scopes allow:
+//   read      - GET requests
+//   increment - POST /api/increment
+//   admin     - everything else, with the room owner's rights
+// A token looks like sct.<access code>.<token id>.<secret>. Only a SHA-256
+// hash of the secret is stored, and the token itself is shown once.
+
+const TOKEN_SCOPES = ['read', 'increment', 'admin'];
+const TOKEN_PREFIX = 'sct';
+const MAX_TOKENS = 20;
+
+function hashTokenSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// A new token record and the token to hand out
+function createApiToken(accessCode, fields) {
+  const secret = crypto.randomBytes(24).toString('hex');
+  const token = {
+    id: `t-${crypto.randomBytes(6).toString('hex')}`,
+    name: fields.name,
+    scopes: fields.scopes,
+    userId: fields.userId,
+    createdBy: fields.createdBy,
+    createdAt: Date.now(),
+    lastUsedAt: null,
+    secretHash: hashTokenSecret(secret)
+  };
+  return { token, value: `${TOKEN_PREFIX}.${accessCode}.${token.id}.${secret}` };
+}
+
+// Check token fields from a create request. Returns { fields } with only the
+// known fields, or { error } describing the first problem found.
+function validateTokenFields(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid API token' };
+  }
+
+  const name = cleanName(input.name);
+  if (name.length === 0) {
+    return { error: 'Give the token a name, like "Kitchen button"' };
+  }
+
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0 ||
+      input.scopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+    return { error: `Scopes must be a list of: ${TOKEN_SCOPES.join(', ')}` };
+  }
+
+  const fields = {
+    name: name,
+    scopes: TOKEN_SCOPES.filter(scope => input.scopes.includes(scope))
+  };
+  if (input.userId !== undefined) {
+    if (typeof input.userId !== 'string') {
+      return { error: 'userId must be a member id' };
+    }
+    fields.userId = input.userId;
+  }
+  return { fields };
+}
+
+// The bearer token of a request, or null unless its Authorization header is
+// "Bearer <token>" (a proxy may add Basic credentials to browser requests,
+// which then still use their session cookie)
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string') return null;
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  return match ? match[1] : null;
+}
+
+// { accessCode, id, secret } from a token, or null if it isn't one
+function parseApiToken(value) {
+  const parts = value.split('.');
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX || !/^[a-zA-Z0-9_-]+$/.test(parts[1])) {
+    return null;
+  }
+  return { accessCode: parts[1], id: parts[2], secret: parts[3] };
+}
+
+// The room's token record matching a parsed token, or null
+function verifyApiToken(data, parsed) {
+  const token = (data.apiTokens || []).find(token => token.id === parsed.id);
+  if (!token) return null;
+
+  const expected = Buffer.from(token.secretHash, 'hex');
+  const actual = Buffer.from(hashTokenSecret(parsed.secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? token : null;
+}
+
+// Scope a request needs, or null for routes tokens can't use at all
+function getRequiredScope(method, path) {
+  if (path.startsWith('/api/tokens')) return null;
+  if (method === 'GET' || method === 'HEAD') return 'read';
+  if (method === 'POST' && path === '/api/increment') return 'increment';
+  return 'admin';
+}
+
+// Admin tokens can do everything
+function hasScope(token, scope) {
+  return token.scopes.includes(scope) || token.scopes.includes('admin');
+}
+
+// What the API shows: everything but the secret's hash
+function publicToken(token) {
+  const { secretHash, ...fields } = token;
+  return fields;
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  MAX_TOKENS,
+  createApiToken,
+  validateTokenFields,
+  getBearerToken,
+  parseApiToken,
+  verifyApiToken,
+  getRequiredScope,
+  hasScope,
+  publicToken
+};
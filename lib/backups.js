@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sanitizeAccessCode, normalizeData, getActiveLog } = require('./room-data');
+const { weekStart } = require('./stats');
+
+// Timestamped snapshots of room data, kept as files whatever the storage
+// backend: BACKUP_DIR (default DATA_DIR/backups)/<access code>/<id>.json.
+// Each file holds the room's data with a SHA-256 checksum of it, so a damaged
+// snapshot is noticed before it is restored.
+//
+// Snapshots are taken every hour for rooms that changed, and right before an
+// import, reset, restore or merge replaces a room's data. Old ones are pruned:
+// everything from the last `hourly` hours is kept, then the newest snapshot of
+// each of the `daily` most recent days and `weekly` most recent weeks (UTC)
+// that have one, so a room nobody uses keeps its last snapshots.
+
+const BACKUP_REASONS = ['scheduled', 'manual', 'before-import', 'before-reset', 'before-restore', 'before-merge'];
+const BACKUP_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[a-z-]+$/;
+const DEFAULT_RETENTION = { hourly: 24, daily: 7, weekly: 4 };
+const HOUR_MS = 60 * 60 * 1000;
+
+// Retention from BACKUP_KEEP_HOURLY, BACKUP_KEEP_DAILY and BACKUP_KEEP_WEEKLY
+function resolveRetention(env = process.env) {
+  const read = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    hourly: read('BACKUP_KEEP_HOURLY', DEFAULT_RETENTION.hourly),
+    daily: read('BACKUP_KEEP_DAILY', DEFAULT_RETENTION.daily),
+    weekly: read('BACKUP_KEEP_WEEKLY', DEFAULT_RETENTION.weekly)
+  };
+}
+
+function checksum(text) {
+  return 'sha256:' + crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// "2025-10-19T15-04-05-123Z-scheduled": sorts by time, and is safe in a path
+function createBackupId(time, reason) {
+  return `${new Date(time).toISOString().replace(/[:.]/g, '-')}-${reason}`;
+}
+
+function getBackupTime(id) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(id);
+  return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : NaN;
+}
+
+// Which snapshots the retention policy keeps. Takes ids, returns a Set of them.
+function selectBackupsToKeep(ids, retention, now = Date.now()) {
+  const keep = new Set();
+  const newestFirst = ids.slice().sort().reverse();
+
+  newestFirst.forEach(id => {
+    if (now - getBackupTime(id) < retention.hourly * HOUR_MS) keep.add(id);
+  });
+
+  // The newest snapshot of each of the `limit` most recent days or weeks
+  const keepNewestPer = (periodOf, limit) => {
+    const seen = new Set();
+    newestFirst.forEach(id => {
+      const period = periodOf(new Date(getBackupTime(id)).toISOString().slice(0, 10));
+      if (seen.has(period) || seen.size >= limit) return;
+      seen.add(period);
+      keep.add(id);
+    });
+  };
+  keepNewestPer(date => date, retention.daily);
+  keepNewestPer(date => weekStart(date), retention.weekly);
+
+  return keep;
+}
+
+// Room data rolled back to a snapshot. The room keeps its current access
+// code, archive state, owner, password and API tokens, so a restore can't
+// bring back an old PIN or a revoked token.
+function planRestore(current, snapshotData) {
+  const restored = normalizeData(JSON.parse(JSON.stringify(snapshotData)), current.accessCode);
+  restored.accessCode = current.accessCode;
+  restored.archivedAt = current.archivedAt;
+  restored.owner = current.owner;
+  restored.roomPassword = current.roomPassword;
+  restored.apiTokens = current.apiTokens;
+  return restored;
+}
+
+// Directory for snapshots: BACKUP_DIR, or "backups" in the data directory
+function resolveBackupDir(options = {}) {
+  return options.dir || process.env.BACKUP_DIR || path.join(options.dataDir, 'backups');
+}
+
+function createBackupStore(options = {}) {
+  const dir = resolveBackupDir(options);
+  const retention = options.retention || resolveRetention();
+
+  function getRoomDir(accessCode) {
+    return path.join(dir, sanitizeAccessCode(accessCode));
+  }
+
+  function getBackupFile(accessCode, id) {
+    return path.join(getRoomDir(accessCode), `${id}.json`);
+  }
+
+  // Snapshot ids of a room, newest first
+  function listIds(accessCode) {
+    const roomDir = getRoomDir(accessCode);
+    if (!fs.existsSync(roomDir)) return [];
+    return fs.readdirSync(roomDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(id => BACKUP_ID_PATTERN.test(id))
+      .sort()
+      .reverse();
+  }
+
+  // A snapshot file with its checksum checked. Returns { backup } or { error }.
+  function load(accessCode, id) {
+    if (!BACKUP_ID_PATTERN.test(id)) {
+      return { error: 'Backup not found' };
+    }
+    const file = getBackupFile(accessCode, id);
+    if (!fs.existsSync(file)) {
+      return { error: 'Backup not found' };
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { error: 'This backup can\'t be read' };
+    }
+    if (!backup || typeof backup.data !== 'object' || backup.checksum !== checksum(JSON.stringify(backup.data))) {
+      return { error: 'This backup is damaged (its checksum doesn\'t match)' };
+    }
+    return { backup: Object.assign(backup, { id, size: fs.statSync(file).size }) };
+  }
+
+  function describe(backup) {
+    return {
+      id: backup.id,
+      createdAt: backup.createdAt,
+      reason: backup.reason,
+      count: backup.data.count,
+      logEntries: Array.isArray(backup.data.log) ? getActiveLog(backup.data).length : 0,
+      size: backup.size,
+      checksum: backup.checksum
+    };
+  }
+
+  // Every snapshot of a room, newest first; damaged ones have valid: false
+  function list(accessCode) {
+    return listIds(accessCode).map(id => {
+      const loaded = load(accessCode, id);
+      if (loaded.error) {
+        return { id, createdAt: new Date(getBackupTime(id)).toISOString(), valid: false, error: loaded.error };
+      }
+      return Object.assign(describe(loaded.backup), { valid: true });
+    });
+  }
+
+  // The checksum of the room's newest snapshot, to skip saving one that
+  // wouldn't change anything
+  function getLatestChecksum(accessCode) {
+    const [latestId] = listIds(accessCode);
+    if (!latestId) return null;
+    const loaded = load(accessCode, latestId);
+    return loaded.error ? null : loaded.backup.checksum;
+  }
+
+  function create(accessCode, data, reason, now = Date.now()) {
+    if (!BACKUP_REASONS.includes(reason)) {
+      throw new Error(`Unknown backup reason "${reason}"`);
+    }
+
+    const roomDir = getRoomDir(accessCode);
+    fs.mkdirSync(roomDir, { recursive: true });
+
+    const dataText = JSON.stringify(data);
+    const id = createBackupId(now, reason);
+    const backup = {
+      accessCode: accessCode,
+      createdAt: new Date(now).toISOString(),
+      reason: reason,
+      checksum: checksum(dataText),
+      data: data
+    };
+
+    // Same atomic write as the room files
+    const file = getBackupFile(accessCode, id);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(backup));
+    fs.renameSync(file + '.tmp', file);
+
+    prune(accessCode, now);
+    return describe(Object.assign(backup, { id, size: fs.statSync(file).size }));
+  }
+
+  // Take a scheduled snapshot if the room changed since its newest one
+  function createIfChanged(accessCode, data, now = Date.now()) {
+    if (getLatestChecksum(accessCode) === checksum(JSON.stringify(data))) {
+      return null;
+    }
+    return create(accessCode, data, 'scheduled', now);
+  }
+
+  // Delete the snapshots the retention policy doesn't keep. Returns their ids.
+  function prune(accessCode, now = Date.now()) {
+    const ids = listIds(accessCode);
+    const keep = selectBackupsToKeep(ids, retention, now);
+    const removed = ids.filter(id => !keep.has(id));
+    removed.forEach(id => fs.unlinkSync(getBackupFile(accessCode, id)));
+    return removed;
+  }
+
+  // The newest snapshot whose checksum is right, for recovering a room whose
+  // data and .backup file are both unreadable
+  function readLatestValid(accessCode) {
+    for (const id of listIds(accessCode)) {
+      const loaded = load(accessCode, id);
+      if (!loaded.error) return loaded.backup;
+    }
+    return null;
+  }
+
+  function rename(accessCode, newAccessCode) {
+    if (fs.existsSync(getRoomDir(accessCode))) {
+      fs.renameSync(getRoomDir(accessCode), getRoomDir(newAccessCode));
+    }
+  }
+
+  function remove(accessCode) {
+    fs.rmSync(getRoomDir(accessCode), { recursive: true, force: true });
+  }
+
+  return {
+    dir,
+    retention,
+    list,
+    load,
+    create,
+    createIfChanged,
+    prune,
+    readLatestValid,
+    rename,
+    remove
+  };
+}
+
+module.exports = {
+  BACKUP_REASONS,
+  DEFAULT_RETENTION,
+  resolveRetention,
+  resolveBackupDir,
+  selectBackupsToKeep,
+  planRestore,
+  createBackupStore
+};
@@ -0,0 +1,38 @@
+const { findMember } = require('./members');
+const { awardAchievements } = require('./achievements');
+const { evaluateGoals } = require('./goals');
+
+// Celebrations: what a new snack earned the room, as one list for the page
+// that sent it, the room's live streams and push notifications. Each has an
+// id (so a page showing it from both the response and the stream shows it
+// once), a type ('achievement', 'goal-reached' or 'goal-missed'), the member
+// whose snack it was, and a ready-made text.
+
+function celebrateSnack(data, entry, timeZone) {
+  const member = findMember(data, entry.userId);
+  const name = member ? member.name : 'Someone';
+
+  const badges = awardAchievements(data, entry, timeZone).map(achievement => ({
+    id: `${entry.id}-${achievement.id}`,
+    type: 'achievement',
+    userId: entry.userId,
+    emoji: achievement.emoji,
+    text: `${name} earned ${achievement.name} ${achievement.emoji}`,
+    achievement: achievement
+  }));
+
+  const goals = evaluateGoals(data, entry, timeZone).map(({ goal, status, count, description }) => ({
+    id: `${entry.id}-${goal.id}`,
+    type: status === 'reached' ? 'goal-reached' : 'goal-missed',
+    userId: entry.userId,
+    emoji: status === 'reached' ? '🎉' : '😬',
+    text: status === 'reached'
+      ? `Goal reached: ${description} 🎉`
+      : `Goal missed: ${description} (${count} so far)`,
+    goal: { id: goal.id, description: description, count: count, target: goal.target }
+  }));
+
+  return badges.concat(goals);
+}
+
+module.exports = { celebrateSnack };
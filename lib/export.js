@@ -0,0 +1,196 @@
+const { getEntryTime, getEntryQuantity, findCounter, getActiveLog } = require('./room-data');
+const { findSnackType, describeSnack } = require('./snack-types');
+const { zonedTimeToEpoch } = require('./time');
+const { findMember } = require('./members');
+
+// Snack history downloads: CSV, iCalendar and a clean JSON copy of the room.
+
+const EXPORT_FORMATS = ['json', 'csv', 'ics'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+// Epoch milliseconds for a range bound: an ISO time, or a YYYY-MM-DD date
+// meaning the start of that day (from) or the start of the next (to) in the
+// room's time zone. Returns null for anything else.
+function parseRangeBound(value, timeZone, isEnd) {
+  const match = value.match(DATE_PATTERN);
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return zonedTimeToEpoch({ year, month, day: isEnd ? day + 1 : day }, timeZone);
+  }
+  if (!value.includes('T')) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Read ?from= and ?to= (both optional, inclusive). Returns { from, to } with
+// epoch bounds (end exclusive), or { error }.
+function parseDateRange(query, timeZone) {
+  const range = { from: -Infinity, to: Infinity };
+
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const bound = typeof query[name] === 'string' ? parseRangeBound(query[name], timeZone, name === 'to') : null;
+    if (bound === null) {
+      return { error: `Invalid "${name}" date (use YYYY-MM-DD or an ISO time)` };
+    }
+    range[name] = name === 'to' && !DATE_PATTERN.test(query[name]) ? bound + 1 : bound;
+  }
+
+  if (range.from >= range.to) {
+    return { error: '"from" must be before "to"' };
+  }
+  return range;
+}
+
+// Snacks (not deleted ones) inside the range, newest first
+function filterByDateRange(data, range) {
+  return getActiveLog(data).filter(entry => {
+    const time = getEntryTime(entry);
+    return time >= range.from && time < range.to;
+  });
+}
+
+// Each counter's running total at every entry of the full log, oldest first
+// (earlier deletions make the count stored on an entry stale)
+function getRunningCounts(data) {
+  const totals = {};
+  const runningCounts = new Map();
+  data.counters.forEach(counter => {
+    totals[counter.id] = counter.untrackedCount;
+  });
+
+  getActiveLog(data).reverse().forEach(entry => {
+    totals[entry.counterId] = (totals[entry.counterId] || 0) + getEntryQuantity(entry);
+    runningCounts.set(entry, totals[entry.counterId]);
+  });
+  return runningCounts;
+}
+
+function csvField(value) {
+  let text = String(value);
+  // Keep spreadsheets from treating names as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function memberName(data, userId) {
+  const member = findMember(data, userId);
+  return member ? member.name : 'Anonymous';
+}
+
+// One row per snack, oldest first
+function formatCsv(data, entries) {
+  const runningCounts = getRunningCounts(data);
+  const rows = [['time', 'user', 'counter', 'count', 'quantity', 'snack', 'note']];
+
+  entries.slice().reverse().forEach(entry => {
+    const counter = findCounter(data, entry.counterId);
+    const snackType = entry.snackTypeId && findSnackType(data, entry.snackTypeId);
+    rows.push([
+      new Date(getEntryTime(entry)).toISOString(),
+      memberName(data, entry.userId),
+      counter ? counter.name : entry.counterId,
+      runningCounts.get(entry),
+      getEntryQuantity(entry),
+      snackType ? snackType.name : '',
+      entry.note || ''
+    ]);
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTime(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// Every snack as a short calendar event
+function formatIcs(data, entries) {
+  const now = icsTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Snack Counter//Snack History//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`Snacks (${data.accessCode})`)}`
+  ];
+
+  entries.slice().reverse().forEach(entry => {
+    const counter = findCounter(data, entry.counterId);
+    const name = describeSnack(data, entry) || (counter ? `${counter.emoji} ${counter.name}` : 'Snack');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsText(`${entry.id}-${entry.counterId}-${data.accessCode}@snack-counter`)}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${icsTime(getEntryTime(entry))}`,
+      'DURATION:PT5M',
+      `SUMMARY:${icsText(`${name} - ${memberName(data, entry.userId)}`)}`,
+      ...(entry.note ? [`DESCRIPTION:${icsText(entry.note)}`] : []),
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// The room as it can be imported again, without push subscriptions,
+// webhooks and API tokens (they hold secrets), the room password or anyone's
+// PIN hash
+function formatJson(data, entries) {
+  const room = Object.assign({}, data, { log: entries });
+  delete room.pushSubscriptions;
+  delete room.webhooks;
+  delete room.apiTokens;
+  delete room.roomPassword;
+  room.members = data.members.map(({ pinHash, pinSalt, ...member }) => member);
+  if (room.owner) {
+    room.owner = { username: room.owner.username, claimedAt: room.owner.claimedAt };
+  }
+  return JSON.stringify(room, null, 2);
+}
+
+const formatters = {
+  json: formatJson,
+  csv: formatCsv,
+  ics: formatIcs
+};
+
+function formatExport(format, data, entries) {
+  return formatters[format](data, entries);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  parseDateRange,
+  filterByDateRange,
+  formatExport
+};
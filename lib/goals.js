@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { getLocalTime } = require('./time');
+const { getActiveLog, getEntryTime, getEntryQuantity, findCounter } = require('./room-data');
+const { weekStart } = require('./stats');
+
+// Room goals (data.goals), set by the owner. A goal counts the snacks of one
+// counter (goal.counterId) or of the whole room (null) per day, week, month
+// or in total, in the room's time zone:
+//   limit - stay at or under the target ("under 10 snacks this week")
+//   reach - get to the target ("100th snack party")
+// Goals are checked on every snack; goal.results[periodKey] records when a
+// period's goal was reached or missed so each is only celebrated once.
+
+const GOAL_TYPES = ['limit', 'reach'];
+const GOAL_PERIODS = ['day', 'week', 'month', 'total'];
+const MAX_GOALS = 20;
+
+const PERIOD_NAMES = { day: 'today', week: 'this week', month: 'this month', total: 'in total' };
+
+function createGoal(fields) {
+  return Object.assign({
+    id: `g-${crypto.randomBytes(6).toString('hex')}`,
+    name: null,
+    type: 'reach',
+    period: 'total',
+    target: 100,
+    counterId: null,
+    createdAt: Date.now(),
+    results: {}
+  }, fields);
+}
+
+// Check goal fields from a create request against the room. Returns
+// { fields } with only the known fields, or { error } describing the first
+// problem found.
+function validateGoal(input, data) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid goal' };
+  }
+
+  if (!GOAL_TYPES.includes(input.type)) {
+    return { error: `Goal type must be one of: ${GOAL_TYPES.join(', ')}` };
+  }
+  if (!GOAL_PERIODS.includes(input.period)) {
+    return { error: `Goal period must be one of: ${GOAL_PERIODS.join(', ')}` };
+  }
+  if (input.type === 'limit' && input.period === 'total') {
+    return { error: 'Limits need a day, week or month' };
+  }
+
+  const target = Number(input.target);
+  if (!Number.isInteger(target) || target < 1 || target > 1000000) {
+    return { error: 'Target must be a whole number from 1 to 1000000' };
+  }
+
+  const fields = { type: input.type, period: input.period, target: target };
+
+  if (input.counterId !== undefined && input.counterId !== null) {
+    if (!findCounter(data, input.counterId)) {
+      return { error: 'Counter not found' };
+    }
+    fields.counterId = input.counterId;
+  }
+
+  if (input.name !== undefined && input.name !== null && input.name !== '') {
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/[<>"'&]/g, '') : '';
+    if (name.length === 0 || name.length > 50) {
+      return { error: 'Goal name must be 1 to 50 characters' };
+    }
+    fields.name = name;
+  }
+
+  return { fields };
+}
+
+// "Under 10 snacks this week", "100 Coffee in total"
+function describeGoal(data, goal) {
+  if (goal.name) return goal.name;
+  const counter = goal.counterId && findCounter(data, goal.counterId);
+  const what = counter ? counter.name : 'snacks';
+  return goal.type === 'limit'
+    ? `At most ${goal.target} ${what} ${PERIOD_NAMES[goal.period]}`
+    : `${goal.target} ${what} ${PERIOD_NAMES[goal.period]}`;
+}
+
+// Which day, week (its Monday) or month a local date belongs to
+function getPeriodKey(period, date) {
+  if (period === 'day') return date;
+  if (period === 'week') return weekStart(date);
+  if (period === 'month') return date.slice(0, 7);
+  return 'total';
+}
+
+// Snacks counting towards a goal in the period that contains `time`
+function countGoalSnacks(data, goal, time, timeZone) {
+  if (goal.period === 'total') {
+    // Includes snacks from before the full history was kept
+    if (goal.counterId) {
+      const counter = findCounter(data, goal.counterId);
+      return counter ? counter.count : 0;
+    }
+    return data.count;
+  }
+
+  const periodKey = getPeriodKey(goal.period, getLocalTime(time, timeZone).date);
+  return getActiveLog(data)
+    .filter(entry =>
+      (!goal.counterId || entry.counterId === goal.counterId) &&
+      getPeriodKey(goal.period, getLocalTime(getEntryTime(entry), timeZone).date) === periodKey
+    )
+    .reduce((sum, entry) => sum + getEntryQuantity(entry), 0);
+}
+
+// A goal with how the current period is going: 'reached' or 'missed' once
+// that has happened, otherwise 'on-track' (a limit not exceeded yet) or
+// 'in-progress' (a target not reached yet)
+function getGoalProgress(data, goal, now, timeZone) {
+  const periodKey = getPeriodKey(goal.period, getLocalTime(now, timeZone).date);
+  const count = countGoalSnacks(data, goal, now, timeZone);
+  const result = goal.results[periodKey];
+  const { results, ...fields } = goal;
+
+  return Object.assign(fields, {
+    description: describeGoal(data, goal),
+    periodKey: periodKey,
+    count: count,
+    status: result ? result.status : (goal.type === 'limit' ? 'on-track' : 'in-progress')
+  });
+}
+
+// Check the goals a new snack counts towards. Returns the goals it reached or
+// missed ({ goal, status, count, description }) and records them on the goal.
+function evaluateGoals(data, entry, timeZone) {
+  const time = getEntryTime(entry);
+  const changes = [];
+
+  data.goals.forEach(goal => {
+    if (goal.counterId && goal.counterId !== entry.counterId) return;
+
+    const periodKey = getPeriodKey(goal.period, getLocalTime(time, timeZone).date);
+    if (goal.results[periodKey]) return;
+
+    const count = countGoalSnacks(data, goal, time, timeZone);
+    const status = goal.type === 'limit'
+      ? (count > goal.target ? 'missed' : null)
+      : (count >= goal.target ? 'reached' : null);
+    if (!status) return;
+
+    goal.results[periodKey] = { status: status, at: Date.now(), entryId: entry.id, userId: entry.userId };
+    changes.push({ goal, status, count, description: describeGoal(data, goal) });
+  });
+
+  return changes;
+}
+
+module.exports = {
+  GOAL_TYPES,
+  GOAL_PERIODS,
+  MAX_GOALS,
+  createGoal,
+  validateGoal,
+  describeGoal,
+  getGoalProgress,
+  evaluateGoals
+};
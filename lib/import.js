@@ -0,0 +1,305 @@
+const {
+  normalizeData,
+  recalculateCount,
+  recalculateLastIncrement,
+  sortLog,
+  getActiveLog,
+  getEntryTime
+} = require('./room-data');
+const { validatePolicy } = require('./policy');
+const { GOAL_TYPES, GOAL_PERIODS } = require('./goals');
+const { MAX_QUANTITY } = require('./snack-types');
+const { createMember, findMember, findMemberByName, getLegacyMember } = require('./members');
+
+// Checking and applying uploaded room data (POST /api/import-data).
+
+const IMPORT_MODES = ['replace', 'merge'];
+const MAX_REPORTED_ERRORS = 10;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptionalString(value) {
+  return value === undefined || typeof value === 'string';
+}
+
+function isOptionalNumber(value) {
+  return value === undefined || (typeof value === 'number' && isFinite(value));
+}
+
+// Check the shape of an uploaded file before it touches the room. Returns a
+// list of problems ("log[3].id: ..."), empty when the file is usable.
+function validateImport(input) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+  if (!isPlainObject(input)) {
+    return ['file: must be a JSON object exported from Snack Counter'];
+  }
+
+  if (!Array.isArray(input.log)) {
+    fail('log', 'must be a list of snacks');
+  } else {
+    const seenIds = new Map();
+    input.log.forEach((entry, index) => {
+      const path = `log[${index}]`;
+      if (!isPlainObject(entry)) {
+        return fail(path, 'must be an object');
+      }
+      if ((typeof entry.id !== 'string' && typeof entry.id !== 'number') || String(entry.id).trim() === '') {
+        fail(`${path}.id`, 'is required');
+      } else if (seenIds.has(String(entry.id))) {
+        fail(`${path}.id`, `duplicates log[${seenIds.get(String(entry.id))}]`);
+      } else {
+        seenIds.set(String(entry.id), index);
+      }
+      if (isNaN(getEntryTime(entry))) {
+        fail(`${path}.timestamp`, 'must be a date, or the id must be a time');
+      }
+      if (!isOptionalString(entry.username)) fail(`${path}.username`, 'must be text');
+      if (!isOptionalString(entry.userId)) fail(`${path}.userId`, 'must be text');
+      if (!isOptionalString(entry.counterId)) fail(`${path}.counterId`, 'must be text');
+      if (!isOptionalNumber(entry.count)) fail(`${path}.count`, 'must be a number');
+      if (entry.quantity !== undefined && (!Number.isInteger(entry.quantity) || entry.quantity < 1 || entry.quantity > MAX_QUANTITY)) {
+        fail(`${path}.quantity`, `must be a whole number from 1 to ${MAX_QUANTITY}`);
+      }
+      if (!isOptionalString(entry.snackTypeId)) fail(`${path}.snackTypeId`, 'must be text');
+      if (!isOptionalString(entry.note)) fail(`${path}.note`, 'must be text');
+    });
+  }
+
+  if (input.counters !== undefined) {
+    if (!Array.isArray(input.counters)) {
+      fail('counters', 'must be a list');
+    } else {
+      const seenIds = new Set();
+      input.counters.forEach((counter, index) => {
+        const path = `counters[${index}]`;
+        if (!isPlainObject(counter)) {
+          return fail(path, 'must be an object');
+        }
+        if (typeof counter.id !== 'string' || counter.id === '') {
+          fail(`${path}.id`, 'is required');
+        } else if (seenIds.has(counter.id)) {
+          fail(`${path}.id`, 'is used by another counter');
+        } else {
+          seenIds.add(counter.id);
+        }
+        if (!isOptionalString(counter.name)) fail(`${path}.name`, 'must be text');
+        if (!isOptionalString(counter.emoji)) fail(`${path}.emoji`, 'must be text');
+        if (!isOptionalNumber(counter.untrackedCount) || counter.untrackedCount < 0) {
+          fail(`${path}.untrackedCount`, 'must be a positive number');
+        }
+      });
+    }
+  }
+
+  if (input.members !== undefined) {
+    if (!Array.isArray(input.members)) {
+      fail('members', 'must be a list');
+    } else {
+      const seenIds = new Set();
+      input.members.forEach((member, index) => {
+        const path = `members[${index}]`;
+        if (!isPlainObject(member)) {
+          return fail(path, 'must be an object');
+        }
+        if (typeof member.id !== 'string' || member.id === '') {
+          fail(`${path}.id`, 'is required');
+        } else if (seenIds.has(member.id)) {
+          fail(`${path}.id`, 'is used by another member');
+        } else {
+          seenIds.add(member.id);
+        }
+        if (typeof member.name !== 'string' || member.name.trim() === '') {
+          fail(`${path}.name`, 'is required');
+        }
+      });
+    }
+  }
+
+  if (!isOptionalNumber(input.count)) fail('count', 'must be a number');
+  if (!isOptionalNumber(input.untrackedCount)) fail('untrackedCount', 'must be a number');
+  if (!isOptionalNumber(input.lastIncrementTime)) fail('lastIncrementTime', 'must be a number');
+
+  if (input.policy !== undefined) {
+    const validation = validatePolicy(input.policy);
+    if (validation.error) fail('policy', validation.error);
+  }
+
+  if (input.goals !== undefined) {
+    if (!Array.isArray(input.goals)) {
+      fail('goals', 'must be a list');
+    } else {
+      input.goals.forEach((goal, index) => {
+        const path = `goals[${index}]`;
+        if (!isPlainObject(goal)) {
+          return fail(path, 'must be an object');
+        }
+        if (typeof goal.id !== 'string' || goal.id === '') fail(`${path}.id`, 'is required');
+        if (!GOAL_TYPES.includes(goal.type)) fail(`${path}.type`, `must be one of: ${GOAL_TYPES.join(', ')}`);
+        if (!GOAL_PERIODS.includes(goal.period)) fail(`${path}.period`, `must be one of: ${GOAL_PERIODS.join(', ')}`);
+        if (!Number.isInteger(goal.target) || goal.target < 1) fail(`${path}.target`, 'must be a positive whole number');
+      });
+    }
+  }
+
+  if (input.snackTypes !== undefined) {
+    if (!Array.isArray(input.snackTypes)) {
+      fail('snackTypes', 'must be a list');
+    } else {
+      const seenIds = new Set();
+      input.snackTypes.forEach((snackType, index) => {
+        const path = `snackTypes[${index}]`;
+        if (!isPlainObject(snackType)) {
+          return fail(path, 'must be an object');
+        }
+        if (typeof snackType.id !== 'string' || snackType.id === '') {
+          fail(`${path}.id`, 'is required');
+        } else if (seenIds.has(snackType.id)) {
+          fail(`${path}.id`, 'is used by another snack type');
+        } else {
+          seenIds.add(snackType.id);
+        }
+        if (typeof snackType.name !== 'string' || snackType.name.trim() === '') fail(`${path}.name`, 'is required');
+        if (!isOptionalString(snackType.emoji)) fail(`${path}.emoji`, 'must be text');
+        if (snackType.calories !== null && !isOptionalNumber(snackType.calories)) fail(`${path}.calories`, 'must be a number');
+        if (snackType.cost !== null && !isOptionalNumber(snackType.cost)) fail(`${path}.cost`, 'must be a number');
+      });
+    }
+  }
+
+  if (input.pushSubscriptions !== undefined) {
+    if (!Array.isArray(input.pushSubscriptions) ||
+        input.pushSubscriptions.some(subscription => !isPlainObject(subscription) || typeof subscription.endpoint !== 'string')) {
+      fail('pushSubscriptions', 'must be a list of push subscriptions');
+    }
+  }
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    const hidden = errors.length - MAX_REPORTED_ERRORS;
+    return errors.slice(0, MAX_REPORTED_ERRORS).concat(`...and ${hidden} more`);
+  }
+  return errors;
+}
+
+// Add the file's members to the room and return how their ids map onto the
+// room's. Members are matched by name so nobody is listed twice; when both
+// have a profile for the same name, the room's wins.
+function mergeMembers(result, members) {
+  const idMap = new Map();
+  members.forEach(member => {
+    const existing = findMemberByName(result, member.name);
+    if (existing) {
+      idMap.set(member.id, existing.id);
+      return;
+    }
+
+    const added = Object.assign(createMember(member.name), member);
+    if (findMember(result, added.id)) added.id = createMember(added.name).id;
+    result.members.push(added);
+    idMap.set(member.id, added.id);
+  });
+  return idMap;
+}
+
+// Point the file's snacks at the matching room members
+function remapUserIds(result, entries, idMap) {
+  entries.forEach(entry => {
+    if (idMap.has(entry.userId)) {
+      entry.userId = idMap.get(entry.userId);
+    } else if (!findMember(result, entry.userId)) {
+      entry.userId = getLegacyMember(result, 'Anonymous').id;
+    }
+  });
+}
+
+// The room as it would look after the import, plus a summary of the changes.
+// Neither argument is modified. Replace keeps the room's owner, password,
+// webhooks and API tokens, and its push subscriptions, goals and snack types
+// when the file has none; merge keeps everything the room has and adds the
+// file's counters, snack types and snacks that aren't there yet (by id, so
+// snacks deleted in the room aren't brought back). Both modes keep the room's
+// members and add the file's.
+function planImport(current, input, mode) {
+  const imported = normalizeData(JSON.parse(JSON.stringify(input)), current.accessCode);
+  imported.log.forEach(entry => {
+    entry.id = String(entry.id);
+  });
+  const fileMembers = imported.members;
+
+  let result;
+  let skipped = 0;
+
+  if (mode === 'replace') {
+    result = imported;
+    result.accessCode = current.accessCode;
+    result.owner = current.owner;
+    result.roomPassword = current.roomPassword;
+    result.webhooks = current.webhooks;
+    result.apiTokens = current.apiTokens;
+    result.archivedAt = current.archivedAt;
+    result.members = JSON.parse(JSON.stringify(current.members));
+    if (!Array.isArray(input.pushSubscriptions)) {
+      result.pushSubscriptions = current.pushSubscriptions;
+    }
+    if (!Array.isArray(input.goals)) {
+      result.goals = current.goals;
+    }
+    if (!Array.isArray(input.snackTypes)) {
+      result.snackTypes = current.snackTypes;
+    }
+    remapUserIds(result, result.log, mergeMembers(result, fileMembers));
+  } else {
+    result = JSON.parse(JSON.stringify(current));
+    remapUserIds(result, imported.log, mergeMembers(result, fileMembers));
+
+    const counterIds = new Set(result.counters.map(counter => counter.id));
+    imported.counters.forEach(counter => {
+      if (!counterIds.has(counter.id)) result.counters.push(counter);
+    });
+
+    const snackTypeIds = new Set(result.snackTypes.map(snackType => snackType.id));
+    imported.snackTypes.forEach(snackType => {
+      if (!snackTypeIds.has(snackType.id)) result.snackTypes.push(snackType);
+    });
+
+    const entryIds = new Set(result.log.map(entry => entry.id));
+    imported.log.forEach(entry => {
+      if (entryIds.has(entry.id)) {
+        skipped++;
+      } else {
+        result.log.push(entry);
+      }
+    });
+  }
+
+  sortLog(result);
+  recalculateCount(result);
+  recalculateLastIncrement(result);
+
+  const currentIds = new Set(getActiveLog(current).map(entry => entry.id));
+  const resultIds = new Set(getActiveLog(result).map(entry => entry.id));
+  const currentCounterIds = new Set(current.counters.map(counter => counter.id));
+
+  return {
+    data: result,
+    summary: {
+      mode: mode,
+      snacksInFile: imported.log.length,
+      added: getActiveLog(result).filter(entry => !currentIds.has(entry.id)).length,
+      removed: getActiveLog(current).filter(entry => !resultIds.has(entry.id)).length,
+      skippedDuplicates: skipped,
+      countersAdded: result.counters.filter(counter => !currentCounterIds.has(counter.id)).map(counter => counter.name),
+      countBefore: current.count,
+      countAfter: result.count
+    }
+  };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  validateImport,
+  planImport
+};
@@ -0,0 +1,83 @@
+const { isIsoTimestamp } = require('./time');
+const { getEntryQuantity } = require('./room-data');
+const { findMember } = require('./members');
+const { findSnackType, validateSnackDetails } = require('./snack-types');
+
+// Corrections to a snack already in the log (PATCH /api/log/:id): who had
+// it, when, what it was, how many and its note. The entry keeps its id;
+// editedAt/editedBy say it was changed, and the audit trail has the details.
+
+const EDITABLE_FIELDS = ['userId', 'timestamp', 'quantity', 'snackTypeId', 'note'];
+
+// Check an edit against the room. Returns { fields } with the fields to
+// change (snackTypeId or note null to clear them), or { error }.
+function validateEntryEdit(input, data, entry, { now = Date.now() } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid log entry' };
+  }
+
+  const fields = {};
+
+  if (input.userId !== undefined) {
+    if (typeof input.userId !== 'string' || !findMember(data, input.userId)) {
+      return { error: 'userId must be a member of the room' };
+    }
+    fields.userId = input.userId;
+  }
+
+  if (input.timestamp !== undefined) {
+    if (!isIsoTimestamp(input.timestamp) || Date.parse(input.timestamp) > now) {
+      return { error: 'timestamp must be an ISO time that has already happened' };
+    }
+    fields.timestamp = new Date(Date.parse(input.timestamp)).toISOString();
+  }
+
+  // A type that was archived since can stay on the snacks that have it
+  const keepsArchivedType = input.snackTypeId === entry.snackTypeId && findSnackType(data, entry.snackTypeId);
+  const details = validateSnackDetails({
+    quantity: input.quantity,
+    snackTypeId: keepsArchivedType ? undefined : input.snackTypeId,
+    note: input.note
+  }, data);
+  if (details.error) {
+    return { error: details.error };
+  }
+  Object.assign(fields, details.fields);
+  if (input.snackTypeId === null) fields.snackTypeId = null;
+  if (input.note === null || (typeof input.note === 'string' && !details.fields.note)) fields.note = null;
+
+  if (Object.keys(fields).length === 0) {
+    return { error: `Nothing to change (send any of: ${EDITABLE_FIELDS.join(', ')})` };
+  }
+  return { fields };
+}
+
+// Apply checked fields to the entry. Returns what changed, as
+// { field: { from, to } }, for the audit trail; empty if nothing did.
+function applyEntryEdit(entry, fields, editedBy) {
+  const changes = {};
+  Object.keys(fields).forEach(field => {
+    const from = field === 'quantity' ? getEntryQuantity(entry) : (entry[field] === undefined ? null : entry[field]);
+    const to = fields[field];
+    if (from === to) return;
+
+    changes[field] = { from, to };
+    if (to === null) {
+      delete entry[field];
+    } else {
+      entry[field] = to;
+    }
+  });
+
+  if (Object.keys(changes).length > 0) {
+    entry.editedAt = new Date().toISOString();
+    entry.editedBy = editedBy;
+  }
+  return changes;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  validateEntryEdit,
+  applyEntryEdit
+};
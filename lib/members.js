@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { hashSecret, verifySecret } = require('./passwords');
+const { isValidPin } = require('./room-admin');
+
+// Room members: everyone who has signed in to a room gets a profile with a
+// stable id that log entries point at (entry.userId). Names are unique per
+// room, ignoring case and extra spaces, and can be protected with a PIN.
+
+const AVATAR_EMOJIS = ['🐷', '🐮', '🐸', '🐵', '🐼', '🦊', '🐱', '🐶', '🐰', '🐻', '🐨', '🐯'];
+const AVATAR_COLORS = ['#e57373', '#f06292', '#ba68c8', '#7986cb', '#4fc3f7', '#4db6ac', '#81c784', '#ffb74d', '#a1887f', '#90a4ae'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Display form of a name: trimmed, single spaces, no HTML characters
+function cleanName(name) {
+  return typeof name === 'string'
+    ? name.trim().replace(/\s+/g, ' ').replace(/[<>"'&]/g, '').substring(0, 50)
+    : '';
+}
+
+// What makes two names the same person: "Ed" and "ed " match
+function nameKey(name) {
+  return cleanName(name).toLowerCase();
+}
+
+function hashIndex(value, length) {
+  return crypto.createHash('sha256').update(value).digest().readUInt32BE(0) % length;
+}
+
+function createMember(name, { id, pin } = {}) {
+  const key = nameKey(name);
+  const member = {
+    id: id || `u-${crypto.randomBytes(6).toString('hex')}`,
+    name: cleanName(name),
+    emoji: AVATAR_EMOJIS[hashIndex(key, AVATAR_EMOJIS.length)],
+    color: AVATAR_COLORS[hashIndex(key, AVATAR_COLORS.length)],
+    joinedAt: Date.now(),
+    pinHash: null,
+    pinSalt: null
+  };
+  if (pin) setMemberPin(member, pin);
+  return member;
+}
+
+function findMember(data, id) {
+  return data.members.find(member => member.id === id) || null;
+}
+
+function findMemberByName(data, name) {
+  const key = nameKey(name);
+  return data.members.find(member => nameKey(member.name) === key) || null;
+}
+
+// Member for a name from before profiles existed. The id comes from the name
+// so the same legacy entries always map to the same member, even after the
+// member renames themselves.
+function getLegacyMember(data, name) {
+  const id = `u-${crypto.createHash('sha256').update(nameKey(name)).digest('hex').slice(0, 12)}`;
+  let member = findMember(data, id) || findMemberByName(data, name);
+  if (!member) {
+    member = createMember(cleanName(name) || 'Anonymous', { id });
+    data.members.push(member);
+  }
+  return member;
+}
+
+function setMemberPin(member, pin) {
+  if (pin) {
+    const { hash, salt } = hashSecret(pin);
+    member.pinHash = hash;
+    member.pinSalt = salt;
+  } else {
+    member.pinHash = null;
+    member.pinSalt = null;
+  }
+}
+
+function verifyMemberPin(member, pin) {
+  return verifySecret({ hash: member.pinHash, salt: member.pinSalt }, pin);
+}
+
+// Check a profile update. Returns { fields } with only the known fields
+// (pin: null removes the PIN), or { error } describing the first problem.
+function validateProfile(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid profile' };
+  }
+
+  const fields = {};
+
+  if (input.name !== undefined) {
+    const name = cleanName(input.name);
+    if (name.length === 0) {
+      return { error: 'Please enter your name' };
+    }
+    fields.name = name;
+  }
+
+  if (input.emoji !== undefined) {
+    const emoji = typeof input.emoji === 'string' ? input.emoji.trim() : '';
+    if (emoji.length === 0 || emoji.length > 8) {
+      return { error: 'Avatar must be a single emoji' };
+    }
+    fields.emoji = emoji;
+  }
+
+  if (input.color !== undefined) {
+    if (typeof input.color !== 'string' || !COLOR_PATTERN.test(input.color)) {
+      return { error: 'Colour must look like #ff9999' };
+    }
+    fields.color = input.color.toLowerCase();
+  }
+
+  if (input.pin !== undefined) {
+    if (input.pin === null || input.pin === '') {
+      fields.pin = null;
+    } else if (!isValidPin(input.pin)) {
+      return { error: 'Your PIN must be 4 to 12 digits' };
+    } else {
+      fields.pin = input.pin;
+    }
+  }
+
+  return { fields };
+}
+
+// What other members (and exports) get to see of a profile
+function publicMember(member) {
+  return {
+    id: member.id,
+    name: member.name,
+    emoji: member.emoji,
+    color: member.color,
+    hasPin: !!member.pinHash,
+    joinedAt: member.joinedAt,
+    achievements: (member.achievements || []).map(({ id, earnedAt }) => ({ id, earnedAt }))
+  };
+}
+
+module.exports = {
+  cleanName,
+  nameKey,
+  createMember,
+  findMember,
+  findMemberByName,
+  getLegacyMember,
+  setMemberPin,
+  verifyMemberPin,
+  validateProfile,
+  publicMember
+};
@@ -0,0 +1,173 @@
+const { getLocalTime, isTimeOfDay, parseTimeOfDay, isInTimeRange } = require('./time');
+const { findMember } = require('./members');
+const { getActiveLog, getEntryTime, getEntryQuantity } = require('./room-data');
+const { describeSnack } = require('./snack-types');
+
+// Push notification preferences. Each stored push subscription belongs to the
+// member who turned notifications on (subscription.userId) and carries its
+// own preferences (subscription.preferences), so every device can be set up
+// differently. Times of day are in the room's time zone.
+
+const NOTIFICATION_MODES = ['all', 'milestones', 'digest', 'off'];
+const MILESTONE_STEPS = [10, 100];
+
+const DEFAULT_PREFERENCES = {
+  mode: 'all', // 'all' snacks, 'milestones' only, a daily 'digest', or 'off'
+  muteOwn: true, // Skip snacks you had yourself
+  milestoneEvery: 10, // With mode 'milestones': every 10th or 100th snack
+  digestTime: '20:00', // With mode 'digest': when the day's summary is sent
+  quietHours: null // { start: 'HH:MM', end: 'HH:MM' } without notifications, or null
+};
+
+function resolvePreferences(preferences) {
+  return Object.assign({}, DEFAULT_PREFERENCES, preferences);
+}
+
+// Check a preferences update. Returns { preferences } with only the known
+// fields, or { error } describing the first problem found.
+function validatePreferences(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid notification preferences' };
+  }
+
+  const preferences = {};
+
+  if (input.mode !== undefined) {
+    if (!NOTIFICATION_MODES.includes(input.mode)) {
+      return { error: `Mode must be one of: ${NOTIFICATION_MODES.join(', ')}` };
+    }
+    preferences.mode = input.mode;
+  }
+
+  if (input.muteOwn !== undefined) {
+    if (typeof input.muteOwn !== 'boolean') {
+      return { error: 'muteOwn must be true or false' };
+    }
+    preferences.muteOwn = input.muteOwn;
+  }
+
+  if (input.milestoneEvery !== undefined) {
+    const step = Number(input.milestoneEvery);
+    if (!MILESTONE_STEPS.includes(step)) {
+      return { error: `Milestones can be every ${MILESTONE_STEPS.join(' or ')} snacks` };
+    }
+    preferences.milestoneEvery = step;
+  }
+
+  if (input.digestTime !== undefined) {
+    if (!isTimeOfDay(input.digestTime)) {
+      return { error: 'Digest time must look like 20:00' };
+    }
+    preferences.digestTime = input.digestTime;
+  }
+
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      preferences.quietHours = null;
+    } else {
+      const { start, end } = input.quietHours;
+      if (!isTimeOfDay(start) || !isTimeOfDay(end) || start === end) {
+        return { error: 'Quiet hours need a different start and end time (HH:MM)' };
+      }
+      preferences.quietHours = { start, end };
+    }
+  }
+
+  return { preferences };
+}
+
+// Whether an increment that took a counter to count passed a multiple of step
+// (several snacks at once can jump over it)
+function reachesMilestone(count, quantity, step) {
+  return count > 0 && Math.floor(count / step) > Math.floor((count - quantity) / step);
+}
+
+// Whether a subscription gets a notification for a snack. snack is
+// { userId, count, quantity } with the counter's new count.
+function shouldNotifySnack(subscription, snack, local) {
+  const preferences = resolvePreferences(subscription.preferences);
+
+  if (preferences.mode === 'off' || preferences.mode === 'digest') return false;
+  if (preferences.muteOwn && subscription.userId === snack.userId) return false;
+  if (preferences.mode === 'milestones' && !reachesMilestone(snack.count, snack.quantity, preferences.milestoneEvery)) return false;
+  if (preferences.quietHours && isInTimeRange(local.minutes, preferences.quietHours)) return false;
+  return true;
+}
+
+// Whether a subscription hears about a badge or goal (see celebrations.js).
+// Devices set to milestones get these too; muteOwn skips your own badges.
+function shouldNotifyCelebration(subscription, celebration, local) {
+  const preferences = resolvePreferences(subscription.preferences);
+
+  if (preferences.mode === 'off' || preferences.mode === 'digest') return false;
+  if (preferences.muteOwn && celebration.type === 'achievement' && subscription.userId === celebration.userId) return false;
+  if (preferences.quietHours && isInTimeRange(local.minutes, preferences.quietHours)) return false;
+  return true;
+}
+
+// Whether a digest subscription is due for today's summary
+function isDigestDue(subscription, local) {
+  const preferences = resolvePreferences(subscription.preferences);
+  return preferences.mode === 'digest' &&
+    subscription.lastDigestDate !== local.date &&
+    local.minutes >= parseTimeOfDay(preferences.digestTime);
+}
+
+// Where tapping a notification goes: the room and counter it is about
+function getRoomUrl(accessCode, counterId) {
+  const params = new URLSearchParams({ room: accessCode });
+  if (counterId) params.set('counterId', counterId);
+  return `/?${params}`;
+}
+
+function getMemberName(data, userId) {
+  const member = findMember(data, userId);
+  return member ? member.name : 'Someone';
+}
+
+// "Ann ate snack #12 🐷", naming the counter once a room has more than one,
+// and what it was for snacks with a type or quantity ("Ann had 2 × 🍩 Donut
+// (snack #12 🐷)")
+function formatSnackMessage(data, counter, entry) {
+  const name = getMemberName(data, entry.userId);
+  const snack = describeSnack(data, entry);
+  const position = data.counters.length > 1
+    ? `${counter.name} #${counter.count} ${counter.emoji}`
+    : `snack #${counter.count} 🐷`;
+  if (snack) return `${name} had ${snack} (${position})`;
+  return data.counters.length > 1 ? `${name} had ${position}` : `${name} ate ${position}`;
+}
+
+// Summary of one room day ("12 snacks today: Ann 5, Bob 4, Cy 3"), or null
+// when nobody had a snack
+function formatDigestMessage(data, date, timeZone) {
+  const perUser = {};
+  let total = 0;
+  getActiveLog(data).forEach(entry => {
+    if (getLocalTime(getEntryTime(entry), timeZone).date === date) {
+      perUser[entry.userId] = (perUser[entry.userId] || 0) + getEntryQuantity(entry);
+      total += getEntryQuantity(entry);
+    }
+  });
+  if (total === 0) return null;
+
+  const people = Object.keys(perUser)
+    .sort((a, b) => perUser[b] - perUser[a])
+    .map(userId => `${getMemberName(data, userId)} ${perUser[userId]}`);
+  return `${total} ${total === 1 ? 'snack' : 'snacks'} today: ${people.join(', ')}`;
+}
+
+module.exports = {
+  NOTIFICATION_MODES,
+  MILESTONE_STEPS,
+  DEFAULT_PREFERENCES,
+  reachesMilestone,
+  resolvePreferences,
+  validatePreferences,
+  shouldNotifySnack,
+  shouldNotifyCelebration,
+  isDigestDue,
+  getRoomUrl,
+  formatSnackMessage,
+  formatDigestMessage
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { getActiveLog, getEntryTime } = require('./room-data');
+
+// Server operator dashboard (/admin): every room on the server, for whoever
+// runs it rather than for a room's owner. It is turned on by setting the
+// ADMIN_TOKEN environment variable, which the dashboard sends as a Bearer token.
+
+const ROOM_CODE_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+function getOperatorToken() {
+  return process.env.ADMIN_TOKEN || null;
+}
+
+// Compare hashes so the check takes as long whatever was sent
+function verifyOperatorToken(expected, value) {
+  if (!expected || typeof value !== 'string' || value.length === 0) return false;
+  const hash = text => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(hash(expected), hash(value));
+}
+
+function isValidRoomCode(accessCode) {
+  return typeof accessCode === 'string' && ROOM_CODE_PATTERN.test(accessCode);
+}
+
+// When anything last happened in the room: a snack (or a delete or edit of
+// one), or someone joining. Null for a room nobody has used.
+function getLastActivity(data) {
+  let latest = data.lastIncrementTime || 0;
+  const consider = time => {
+    if (typeof time === 'string') time = Date.parse(time);
+    if (typeof time === 'number' && time > latest) latest = time;
+  };
+
+  data.log.forEach(entry => {
+    consider(getEntryTime(entry));
+    consider(entry.deletedAt);
+    consider(entry.editedAt);
+  });
+  data.members.forEach(member => consider(member.joinedAt));
+
+  return latest > 0 ? new Date(latest).toISOString() : null;
+}
+
+// One row of the dashboard
+function summarizeRoom(accessCode, data, size) {
+  return {
+    accessCode: accessCode,
+    count: data.count,
+    snacks: getActiveLog(data).length,
+    counters: data.counters.filter(counter => !counter.archived).length,
+    members: data.members.map(member => member.name),
+    owner: data.owner ? data.owner.username : null,
+    hasPassword: !!data.roomPassword,
+    lastActivity: getLastActivity(data),
+    size: size,
+    archived: !!data.archivedAt,
+    archivedAt: data.archivedAt ? new Date(data.archivedAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  getOperatorToken,
+  verifyOperatorToken,
+  isValidRoomCode,
+  summarizeRoom
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Salted scrypt hashes for secrets we need to check but never store:
+// admin PINs and room passwords.
+
+function hashSecret(secret, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(secret, salt, 32).toString('hex');
+  return { hash, salt };
+}
+
+function verifySecret(stored, secret) {
+  if (!stored || typeof secret !== 'string') return false;
+  const { hash } = hashSecret(secret, stored.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
+module.exports = { hashSecret, verifySecret };
@@ -0,0 +1,194 @@
+const { getEntryTime, getEntryQuantity, findCounter, getActiveLog, getCounterLog } = require('./room-data');
+const { isValidTimeZone, getLocalTime, isTimeOfDay, parseTimeOfDay, isInTimeRange } = require('./time');
+
+// Per-room rules for when the increment button is open. Rooms store only the
+// settings they change in data.policy; everything else falls back to these defaults.
+// A counter can override the cooldown with its own cooldownSeconds.
+const DEFAULT_POLICY = {
+  cooldownSeconds: 20,
+  cooldownScope: 'room', // 'room': one cooldown for everyone, 'user': each person has their own
+  dailyLimitPerUser: null, // Max snacks per person per day, or null for no cap
+  quietHours: null, // { start: 'HH:MM', end: 'HH:MM' } when the button is locked, or null
+  timeZone: 'America/Los_Angeles' // The room's time zone: days, quiet hours and stats
+};
+
+function resolvePolicy(policy, counter) {
+  const resolved = Object.assign({}, DEFAULT_POLICY, policy);
+  if (counter && typeof counter.cooldownSeconds === 'number') {
+    resolved.cooldownSeconds = counter.cooldownSeconds;
+  }
+  return resolved;
+}
+
+// Check a policy update from the settings page. Returns { policy } with only
+// the known fields, or { error } describing the first problem found.
+function validatePolicy(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid policy' };
+  }
+
+  const policy = {};
+
+  if (input.cooldownSeconds !== undefined) {
+    const seconds = Number(input.cooldownSeconds);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > 86400) {
+      return { error: 'Cooldown must be between 0 and 86400 seconds' };
+    }
+    policy.cooldownSeconds = seconds;
+  }
+
+  if (input.cooldownScope !== undefined) {
+    if (input.cooldownScope !== 'room' && input.cooldownScope !== 'user') {
+      return { error: 'Cooldown scope must be "room" or "user"' };
+    }
+    policy.cooldownScope = input.cooldownScope;
+  }
+
+  if (input.dailyLimitPerUser !== undefined) {
+    if (input.dailyLimitPerUser === null || input.dailyLimitPerUser === '') {
+      policy.dailyLimitPerUser = null;
+    } else {
+      const limit = Number(input.dailyLimitPerUser);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return { error: 'Daily limit must be between 1 and 1000 snacks' };
+      }
+      policy.dailyLimitPerUser = limit;
+    }
+  }
+
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      policy.quietHours = null;
+    } else {
+      const { start, end } = input.quietHours;
+      if (!isTimeOfDay(start) || !isTimeOfDay(end) || start === end) {
+        return { error: 'Quiet hours need a different start and end time (HH:MM)' };
+      }
+      policy.quietHours = { start, end };
+    }
+  }
+
+  if (input.timeZone !== undefined) {
+    if (typeof input.timeZone !== 'string' || !isValidTimeZone(input.timeZone)) {
+      return { error: 'Unknown time zone' };
+    }
+    policy.timeZone = input.timeZone;
+  }
+
+  return { policy };
+}
+
+// Milliseconds from now until the given local time of day comes around
+function msUntil(local, targetMinutes) {
+  let minutes = targetMinutes - local.minutes;
+  if (minutes <= 0) minutes += 24 * 60;
+  return (minutes * 60 - local.seconds) * 1000;
+}
+
+// Each rule looks at one counter's log and cooldown (the daily limit at the
+// whole room's log), and returns the time it opens again, or null when it
+// isn't blocking
+const rules = {
+  'quiet-hours': (policy, counter, userId, now, local) => {
+    if (!policy.quietHours || !isInTimeRange(local.minutes, policy.quietHours)) return null;
+
+    return now + msUntil(local, parseTimeOfDay(policy.quietHours.end));
+  },
+
+  'daily-limit': (policy, counter, userId, now, local, quantity) => {
+    if (!policy.dailyLimitPerUser) return null;
+
+    // One cap per person across all of the room's counters
+    const todayCount = counter.roomLog
+      .filter(entry =>
+        entry.userId === userId &&
+        getLocalTime(getEntryTime(entry), policy.timeZone).date === local.date
+      )
+      .reduce((sum, entry) => sum + getEntryQuantity(entry), 0);
+
+    return todayCount + quantity > policy.dailyLimitPerUser ? now + msUntil(local, 0) : null;
+  },
+
+  'cooldown': (policy, counter, userId, now) => {
+    if (policy.cooldownScope !== 'room') return null;
+
+    const next = counter.later[counter.later.length - 1];
+    return getCooldownEnd(policy, counter.lastIncrementTime, next ? getEntryTime(next) : null, now);
+  },
+
+  'user-cooldown': (policy, counter, userId, now) => {
+    if (policy.cooldownScope !== 'user') return null;
+
+    const lastEntry = counter.log.find(entry => entry.userId === userId);
+    const nextEntry = counter.later.slice().reverse().find(entry => entry.userId === userId);
+    return getCooldownEnd(policy, lastEntry ? getEntryTime(lastEntry) : 0, nextEntry ? getEntryTime(nextEntry) : null, now);
+  }
+};
+
+// A snack at `now` needs a whole cooldown after the snack before it and,
+// when it lands in the past (made offline), before the snack after it too
+function getCooldownEnd(policy, previousTime, nextTime, now) {
+  const cooldownMs = policy.cooldownSeconds * 1000;
+  if (nextTime !== null && nextTime - now < cooldownMs) {
+    return nextTime + cooldownMs;
+  }
+  const opensAt = previousTime + cooldownMs;
+  return opensAt > now ? opensAt : null;
+}
+
+const COOLDOWN_RULES = ['cooldown', 'user-cooldown'];
+
+const MESSAGES = {
+  'quiet-hours': 'Quiet hours: the snack button is locked',
+  'daily-limit': 'You have reached your daily snack limit',
+  'cooldown': 'Cooling down after the last snack',
+  'user-cooldown': 'Cooling down after your last snack'
+};
+
+// Whether the member userId may increment a counter at the time now (the
+// room's first counter if none is given), and if not, which rule is blocking
+// the button and when it opens again. When several rules apply, the one that
+// stays closed longest is reported. A time in the past (a snack made offline)
+// is judged by the snacks around it. Options: quantity is how many
+// snacks the increment adds, which all have to fit under the daily limit;
+// skipRules names rules that don't apply (backdated snacks skip cooldowns).
+function evaluatePolicy(data, userId, now = Date.now(), counter = findCounter(data), { quantity = 1, skipRules = [] } = {}) {
+  const policy = resolvePolicy(data.policy, counter);
+  const local = getLocalTime(now, policy.timeZone);
+  const counterLog = getCounterLog(data, counter.id);
+  const log = counterLog.filter(entry => getEntryTime(entry) <= now);
+  const counterState = {
+    log: log,
+    later: counterLog.filter(entry => getEntryTime(entry) > now), // newest first
+    roomLog: getActiveLog(data),
+    lastIncrementTime: counter.lastIncrementTime <= now
+      ? counter.lastIncrementTime
+      : log.reduce((max, entry) => Math.max(max, getEntryTime(entry)), 0)
+  };
+
+  let blockedBy = null;
+  let opensAt = null;
+  Object.keys(rules).filter(name => !skipRules.includes(name)).forEach(name => {
+    const ruleOpensAt = rules[name](policy, counterState, userId, now, local, quantity);
+    if (ruleOpensAt !== null && (opensAt === null || ruleOpensAt > opensAt)) {
+      blockedBy = name;
+      opensAt = ruleOpensAt;
+    }
+  });
+
+  return {
+    isEnabled: blockedBy === null,
+    blockedBy: blockedBy,
+    opensAt: opensAt,
+    remainingTime: opensAt === null ? 0 : Math.ceil((opensAt - now) / 1000),
+    message: blockedBy ? MESSAGES[blockedBy] : null
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  COOLDOWN_RULES,
+  resolvePolicy,
+  validatePolicy,
+  evaluatePolicy
+};
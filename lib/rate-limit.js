@@ -0,0 +1,47 @@
+// In-memory attempt counter: at most `max` attempts per key within `windowMs`
+// of the first one. Used for wrong admin PINs and for logins per address.
+function createRateLimiter({ max, windowMs }) {
+  const attempts = new Map();
+
+  function current(key) {
+    const attempt = attempts.get(key);
+    if (attempt && Date.now() - attempt.firstAttempt > windowMs) {
+      attempts.delete(key);
+      return null;
+    }
+    return attempt;
+  }
+
+  function isLimited(key) {
+    const attempt = current(key);
+    return !!attempt && attempt.count >= max;
+  }
+
+  function hit(key) {
+    const attempt = current(key);
+    if (attempt) {
+      attempt.count++;
+    } else {
+      attempts.set(key, { count: 1, firstAttempt: Date.now() });
+    }
+  }
+
+  function reset(key) {
+    attempts.delete(key);
+  }
+
+  // Seconds until the key may try again (0 when it isn't limited)
+  function retryAfter(key) {
+    if (!isLimited(key)) return 0;
+    return Math.ceil((attempts.get(key).firstAttempt + windowMs - Date.now()) / 1000);
+  }
+
+  // Forget windows that have ended so the map doesn't grow forever
+  setInterval(() => {
+    attempts.forEach((attempt, key) => current(key));
+  }, windowMs).unref();
+
+  return { isLimited, hit, reset, retryAfter };
+}
+
+module.exports = { createRateLimiter };
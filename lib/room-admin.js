@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { hashSecret, verifySecret } = require('./passwords');
+const { createRateLimiter } = require('./rate-limit');
+
+// Room ownership: the owner's admin PIN is stored as a salted scrypt hash,
+// and admin sessions are cookies signed with that hash, so changing the PIN
+// signs every existing admin session out.
+
+const ADMIN_SESSION_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+// 4 to 12 digits
+function isValidPin(pin) {
+  return typeof pin === 'string' && /^\d{4,12}$/.test(pin);
+}
+
+function verifyPin(owner, pin) {
+  return !!owner && verifySecret({ hash: owner.pinHash, salt: owner.pinSalt }, pin);
+}
+
+// Owner record saved in the room's data
+function createOwner(username, pin) {
+  const { hash, salt } = hashSecret(pin);
+  return {
+    username: username,
+    claimedAt: Date.now(),
+    pinHash: hash,
+    pinSalt: salt
+  };
+}
+
+function sign(owner, value) {
+  return crypto.createHmac('sha256', owner.pinHash).update(value).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Cookie value proving the holder entered the room's admin PIN
+function createAdminToken(owner, accessCode) {
+  const expiresAt = Date.now() + ADMIN_SESSION_MS;
+  const value = `${accessCode}.${expiresAt}`;
+  return `${value}.${sign(owner, value)}`;
+}
+
+function verifyAdminToken(owner, accessCode, token) {
+  if (!owner || typeof token !== 'string') return false;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return false;
+
+  const [tokenCode, expiresAt, signature] = parts;
+  if (tokenCode !== accessCode || Number(expiresAt) < Date.now()) return false;
+
+  const expected = sign(owner, `${tokenCode}.${expiresAt}`);
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+// In-memory lockout after repeated wrong PINs for a room from the same address
+const failedAttempts = createRateLimiter({ max: MAX_PIN_ATTEMPTS, windowMs: PIN_LOCKOUT_MS });
+
+function isLockedOut(key) {
+  return failedAttempts.isLimited(key);
+}
+
+function recordFailedAttempt(key) {
+  failedAttempts.hit(key);
+}
+
+function clearFailedAttempts(key) {
+  failedAttempts.reset(key);
+}
+
+module.exports = {
+  ADMIN_SESSION_MS,
+  isValidPin,
+  verifyPin,
+  createOwner,
+  createAdminToken,
+  verifyAdminToken,
+  isLockedOut,
+  recordFailedAttempt,
+  clearFailedAttempts
+};
@@ -0,0 +1,298 @@
+// Shape of a room's data, shared by every storage backend.
+//
+// A room holds one or more named counters. Log entries from every counter
+// live in the single data.log array (newest first) and point at their
+// counter through entry.counterId. entry.timestamp is an ISO 8601 time in UTC.
+// Deleted entries stay in the log with deletedAt/deletedBy so they can be
+// restored; everything that counts or lists snacks skips them.
+// Who had a snack is entry.userId, the id of one of the room's data.members.
+// An entry can stand for several snacks (entry.quantity) of one of the
+// room's data.snackTypes; see snack-types.js.
+
+const { isIsoTimestamp, parseLocaleTimestamp } = require('./time');
+const { getLegacyMember } = require('./members');
+
+// Counter that single-counter data files are migrated into
+const DEFAULT_COUNTER_ID = 'default';
+
+// Older servers wrote timestamps with toLocaleString() in this time zone
+const LEGACY_TIME_ZONE = 'America/Los_Angeles';
+
+function createCounter(fields = {}) {
+  return {
+    id: fields.id || Date.now().toString(36),
+    name: fields.name || 'Snacks',
+    emoji: fields.emoji || '🐷',
+    cooldownSeconds: typeof fields.cooldownSeconds === 'number' ? fields.cooldownSeconds : null, // null: use the room policy
+    archived: false,
+    createdAt: fields.createdAt || Date.now(),
+    count: 0,
+    untrackedCount: fields.untrackedCount || 0,
+    lastIncrementTime: fields.lastIncrementTime || 0
+  };
+}
+
+// Check counter fields from a create or update request. Returns { fields }
+// with only the known fields, or { error } describing the first problem found.
+function validateCounterFields(input, { requireName = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid counter' };
+  }
+
+  const fields = {};
+
+  if (input.name !== undefined || requireName) {
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/[<>"'&]/g, '') : '';
+    if (name.length === 0 || name.length > 30) {
+      return { error: 'Counter name must be 1 to 30 characters' };
+    }
+    fields.name = name;
+  }
+
+  if (input.emoji !== undefined) {
+    const emoji = typeof input.emoji === 'string' ? input.emoji.trim() : '';
+    if (emoji.length === 0 || emoji.length > 8) {
+      return { error: 'Counter emoji must be a single emoji' };
+    }
+    fields.emoji = emoji;
+  }
+
+  if (input.cooldownSeconds !== undefined) {
+    if (input.cooldownSeconds === null || input.cooldownSeconds === '') {
+      fields.cooldownSeconds = null;
+    } else {
+      const seconds = Number(input.cooldownSeconds);
+      if (!Number.isInteger(seconds) || seconds < 0 || seconds > 86400) {
+        return { error: 'Cooldown must be between 0 and 86400 seconds' };
+      }
+      fields.cooldownSeconds = seconds;
+    }
+  }
+
+  return { fields };
+}
+
+// Fresh data for a new access code
+function createRoomData(accessCode) {
+  return {
+    accessCode: accessCode,
+    count: 0,
+    counters: [createCounter({ id: DEFAULT_COUNTER_ID })],
+    log: [],
+    members: [],
+    lastIncrementTime: 0,
+    pushSubscriptions: [],
+    webhooks: [],
+    apiTokens: [],
+    goals: [],
+    snackTypes: [],
+    owner: null,
+    roomPassword: null,
+    policy: {},
+    archivedAt: null
+  };
+}
+
+// Ensure required fields exist and the count matches the log
+function normalizeData(data, accessCode) {
+  if (typeof data.count !== 'number') data.count = 0;
+  if (!Array.isArray(data.log)) data.log = [];
+  if (!Array.isArray(data.members)) data.members = [];
+  if (typeof data.lastIncrementTime !== 'number') data.lastIncrementTime = 0;
+  if (!Array.isArray(data.pushSubscriptions)) data.pushSubscriptions = [];
+  if (!Array.isArray(data.webhooks)) data.webhooks = [];
+  if (!Array.isArray(data.apiTokens)) data.apiTokens = [];
+  if (!Array.isArray(data.goals)) data.goals = [];
+  if (!Array.isArray(data.snackTypes)) data.snackTypes = [];
+  data.goals.forEach(goal => {
+    if (!goal.results || typeof goal.results !== 'object') goal.results = {};
+  });
+  if (typeof data.accessCode !== 'string') data.accessCode = accessCode;
+  if (!data.owner || typeof data.owner !== 'object') data.owner = null;
+  if (!data.roomPassword || typeof data.roomPassword !== 'object') data.roomPassword = null;
+  if (!data.policy || typeof data.policy !== 'object') data.policy = {};
+  if (typeof data.archivedAt !== 'number') data.archivedAt = null;
+
+  // Single-counter data from before named counters: move it into a default counter
+  if (!Array.isArray(data.counters) || data.counters.length === 0) {
+    // Older data files only kept the last 20 log entries; remember the snacks
+    // that were trimmed away so the count doesn't drop once we stop trimming
+    const untrackedCount = typeof data.untrackedCount === 'number'
+      ? data.untrackedCount
+      : Math.max(0, data.count - data.log.length);
+
+    data.counters = [createCounter({
+      id: DEFAULT_COUNTER_ID,
+      untrackedCount: untrackedCount,
+      lastIncrementTime: data.lastIncrementTime
+    })];
+  }
+  delete data.untrackedCount;
+
+  data.counters = data.counters.map((counter, index) =>
+    Object.assign(createCounter({ id: `counter-${index + 1}` }), counter)
+  );
+
+  const counterIds = new Set(data.counters.map(counter => counter.id));
+  data.log.forEach(entry => {
+    if (!counterIds.has(entry.counterId)) entry.counterId = data.counters[0].id;
+    if (!isIsoTimestamp(entry.timestamp)) entry.timestamp = migrateTimestamp(entry);
+
+    // Entries from before member profiles only had the name
+    if (typeof entry.userId !== 'string') {
+      entry.userId = getLegacyMember(data, entry.username || 'Anonymous').id;
+    }
+    delete entry.username;
+  });
+
+  // Snacks synced from offline devices are stored when they arrive, not when they happened
+  sortLog(data);
+  recalculateCount(data);
+
+  return data;
+}
+
+// ISO time for an entry from before timestamps were machine-readable: parse
+// the old locale string, or fall back to the creation time in the id
+function migrateTimestamp(entry) {
+  let time = parseLocaleTimestamp(entry.timestamp, LEGACY_TIME_ZONE);
+  if (time === null) time = parseInt(entry.id, 10);
+  return new Date(isNaN(time) ? 0 : time).toISOString();
+}
+
+// Put the log in order, newest first
+function sortLog(data) {
+  data.log.sort((a, b) => getEntryTime(b) - getEntryTime(a));
+}
+
+// Entries that haven't been deleted, newest first
+function getActiveLog(data) {
+  return data.log.filter(entry => !entry.deletedAt);
+}
+
+// The count always comes from the full log history, per counter and for the room
+function recalculateCount(data) {
+  const logCounts = {};
+  getActiveLog(data).forEach(entry => {
+    logCounts[entry.counterId] = (logCounts[entry.counterId] || 0) + getEntryQuantity(entry);
+  });
+
+  data.count = 0;
+  data.counters.forEach(counter => {
+    counter.count = counter.untrackedCount + (logCounts[counter.id] || 0);
+    data.count += counter.count;
+  });
+}
+
+// Reset cooldown timestamps to the most recent remaining log entries
+function recalculateLastIncrement(data) {
+  data.lastIncrementTime = 0;
+  data.counters.forEach(counter => {
+    const latest = getCounterLog(data, counter.id)
+      .reduce((max, entry) => Math.max(max, getEntryTime(entry)), 0);
+    counter.lastIncrementTime = latest;
+    data.lastIncrementTime = Math.max(data.lastIncrementTime, latest);
+  });
+}
+
+// Log entry ids are creation times; bump by a millisecond if one is taken
+function getUniqueEntryId(data, time) {
+  const ids = new Set(data.log.map(entry => entry.id));
+  let id = time;
+  while (ids.has(id.toString())) id++;
+  return id.toString();
+}
+
+// Add a snack that happened at `time` to the log and update the counts.
+// `fields` are its optional details (quantity, snackTypeId, note). A snack
+// from before the counter's newest one renumbers the later ones.
+// Returns the new log entry.
+function addSnack(data, counter, { userId, time, fields = {}, clientId }) {
+  data.lastIncrementTime = Math.max(data.lastIncrementTime, time);
+  counter.lastIncrementTime = Math.max(counter.lastIncrementTime, time);
+
+  const entry = Object.assign({
+    id: getUniqueEntryId(data, time),
+    counterId: counter.id,
+    timestamp: new Date(time).toISOString(),
+    count: counter.count + (fields.quantity || 1)
+  }, fields, {
+    userId: userId
+  });
+  if (clientId) entry.clientId = clientId;
+  data.log.unshift(entry);
+  sortLog(data);
+
+  if (getCounterLog(data, counter.id)[0] !== entry) {
+    renumberEntries(data, counter.id);
+  }
+
+  recalculateCount(data);
+  return entry;
+}
+
+// Give a counter's snacks the running count of their place in the log,
+// oldest first from its untracked count. Needed whenever a snack is added in
+// the past, moved, resized, deleted or restored. Returns the entries whose
+// count changed.
+function renumberEntries(data, counterId) {
+  const counter = findCounter(data, counterId);
+  let running = counter ? counter.untrackedCount : 0;
+  const changed = [];
+  getCounterLog(data, counterId).reverse().forEach(entry => {
+    running += getEntryQuantity(entry);
+    if (entry.count !== running) {
+      entry.count = running;
+      changed.push(entry);
+    }
+  });
+  return changed;
+}
+
+// Find a counter by id. Without an id, the first counter that isn't archived.
+function findCounter(data, counterId) {
+  if (counterId) {
+    return data.counters.find(counter => counter.id === counterId) || null;
+  }
+  return data.counters.find(counter => !counter.archived) || data.counters[0];
+}
+
+// Active log entries of one counter, newest first
+function getCounterLog(data, counterId) {
+  return data.log.filter(entry => entry.counterId === counterId && !entry.deletedAt);
+}
+
+// When a log entry happened, in epoch milliseconds
+function getEntryTime(entry) {
+  const time = Date.parse(entry.timestamp);
+  return isNaN(time) ? parseInt(entry.id, 10) : time;
+}
+
+// How many snacks a log entry stands for
+function getEntryQuantity(entry) {
+  return entry.quantity || 1;
+}
+
+// Sanitize access code for filenames and storage keys
+function sanitizeAccessCode(accessCode) {
+  return accessCode.replace(/[^a-zA-Z0-9-_]/g, '_');
+}
+
+module.exports = {
+  DEFAULT_COUNTER_ID,
+  createCounter,
+  validateCounterFields,
+  createRoomData,
+  normalizeData,
+  recalculateCount,
+  recalculateLastIncrement,
+  sortLog,
+  addSnack,
+  renumberEntries,
+  findCounter,
+  getActiveLog,
+  getCounterLog,
+  getEntryTime,
+  getEntryQuantity,
+  sanitizeAccessCode
+};
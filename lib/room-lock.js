@@ -0,0 +1,29 @@
+// Per-room write queue. Read-modify-write sections for the same access code
+// run one at a time in the order they were requested, so two requests can't
+// both read the same state and then overwrite each other's changes.
+// Different rooms never wait on each other.
+function createRoomLock() {
+  const queues = new Map();
+
+  // Run task (sync or async) once every earlier task for this room has settled.
+  // Resolves or rejects with the task's own result.
+  function withRoomLock(accessCode, task) {
+    const previous = queues.get(accessCode) || Promise.resolve();
+    const run = previous.then(() => task());
+
+    // A failed task must not block the ones queued behind it
+    const tail = run.catch(() => {});
+    queues.set(accessCode, tail);
+    tail.then(() => {
+      if (queues.get(accessCode) === tail) {
+        queues.delete(accessCode);
+      }
+    });
+
+    return run;
+  }
+
+  return withRoomLock;
+}
+
+module.exports = { createRoomLock };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A running server writes its process id to DATA_DIR/.server.pid, so the
+// command line can tell that the data is in use: the server keeps rooms in
+// its own per-room queue (room-lock.js), which other processes can't join.
+
+function getPidFile(dataDir) {
+  return path.join(dataDir, '.server.pid');
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Called once the server is listening; the file is removed again on exit
+function writeServerPid(dataDir) {
+  const file = getPidFile(dataDir);
+  fs.writeFileSync(file, JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() }));
+  process.on('exit', () => {
+    try {
+      const current = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (current.pid === process.pid) fs.unlinkSync(file);
+    } catch (error) {
+      // Already gone
+    }
+  });
+}
+
+// The { pid, hostname, startedAt } of the server using dataDir, or null when
+// none is. A file left behind by a server that crashed on this machine is
+// ignored; one from another machine (a shared volume) can't be checked and
+// counts as running.
+function getRunningServer(dataDir) {
+  let server;
+  try {
+    server = JSON.parse(fs.readFileSync(getPidFile(dataDir), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!server || !Number.isInteger(server.pid)) return null;
+  if (server.hostname === os.hostname() && !isAlive(server.pid)) return null;
+  return server;
+}
+
+module.exports = { getPidFile, writeServerPid, getRunningServer };
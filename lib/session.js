@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Login sessions: the room and member someone signed in as, in a cookie
+// signed with a server secret so neither can be edited in the browser.
+
+const SESSION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// SESSION_SECRET from the environment, or a random secret kept in the data
+// directory so sessions survive restarts
+function loadSessionSecret(dataDir) {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+
+  const secretFile = path.join(dataDir, '.session-secret');
+  try {
+    return fs.readFileSync(secretFile, 'utf8').trim();
+  } catch (error) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    console.log('🔑 Created a new session secret in', secretFile);
+    return secret;
+  }
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createSessions(secret) {
+  function sign(value) {
+    return base64url(crypto.createHmac('sha256', secret).update(value).digest());
+  }
+
+  // Cookie value for a signed-in member
+  function create(accessCode, member) {
+    const payload = base64url(Buffer.from(JSON.stringify({
+      accessCode: accessCode,
+      userId: member.id,
+      username: member.name,
+      expiresAt: Date.now() + SESSION_MS
+    })));
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // The session in a cookie value, or null if it's missing, forged, expired
+  // or from before member profiles
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = sign(payload);
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+      return session.expiresAt > Date.now() && session.userId ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return { create, verify };
+}
+
+module.exports = { SESSION_MS, loadSessionSecret, createSessions };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { getEntryQuantity } = require('./room-data');
+
+// The room's catalog of snack types (data.snackTypes), kept by the owner:
+// what a snack was ("Donut"), with an emoji and optional calories and cost
+// per piece. A snack can name its type (entry.snackTypeId), have a quantity
+// (entry.quantity, 1 when missing) and a short note (entry.note). Types are
+// archived rather than deleted so older snacks keep their name.
+
+const MAX_SNACK_TYPES = 30;
+const MAX_QUANTITY = 20;
+const MAX_NOTE_LENGTH = 140;
+
+function createSnackType(fields) {
+  return Object.assign({
+    id: `st-${crypto.randomBytes(6).toString('hex')}`,
+    name: '',
+    emoji: '🍪',
+    calories: null,
+    cost: null,
+    archived: false,
+    createdAt: Date.now()
+  }, fields);
+}
+
+// Check snack type fields from a create or update request. Returns { fields }
+// with only the known fields, or { error } describing the first problem found.
+function validateSnackType(input, { requireName = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid snack type' };
+  }
+
+  const fields = {};
+
+  if (input.name !== undefined || requireName) {
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/[<>"'&]/g, '') : '';
+    if (name.length === 0 || name.length > 30) {
+      return { error: 'Snack type name must be 1 to 30 characters' };
+    }
+    fields.name = name;
+  }
+
+  if (input.emoji !== undefined) {
+    const emoji = typeof input.emoji === 'string' ? input.emoji.trim() : '';
+    if (emoji.length === 0 || emoji.length > 8) {
+      return { error: 'Snack type emoji must be a single emoji' };
+    }
+    fields.emoji = emoji;
+  }
+
+  if (input.calories !== undefined) {
+    if (input.calories === null || input.calories === '') {
+      fields.calories = null;
+    } else {
+      const calories = Number(input.calories);
+      if (!Number.isInteger(calories) || calories < 0 || calories > 10000) {
+        return { error: 'Calories must be a whole number from 0 to 10000' };
+      }
+      fields.calories = calories;
+    }
+  }
+
+  if (input.cost !== undefined) {
+    if (input.cost === null || input.cost === '') {
+      fields.cost = null;
+    } else {
+      const cost = Number(input.cost);
+      if (!isFinite(cost) || cost < 0 || cost > 10000) {
+        return { error: 'Cost must be a number from 0 to 10000' };
+      }
+      fields.cost = Math.round(cost * 100) / 100;
+    }
+  }
+
+  return { fields };
+}
+
+function findSnackType(data, id) {
+  return data.snackTypes.find(snackType => snackType.id === id) || null;
+}
+
+// Check the optional details of a new snack (quantity, snackTypeId, note).
+// Returns { fields } with the ones given, or { error }.
+function validateSnackDetails(input, data) {
+  const fields = {};
+
+  if (input.quantity !== undefined) {
+    const quantity = Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { error: `Quantity must be a whole number from 1 to ${MAX_QUANTITY}` };
+    }
+    fields.quantity = quantity;
+  }
+
+  if (input.snackTypeId !== undefined && input.snackTypeId !== null) {
+    const snackType = typeof input.snackTypeId === 'string' ? findSnackType(data, input.snackTypeId) : null;
+    if (!snackType) {
+      return { error: 'Snack type not found' };
+    }
+    if (snackType.archived) {
+      return { error: 'This snack type is archived' };
+    }
+    fields.snackTypeId = snackType.id;
+  }
+
+  if (input.note !== undefined && input.note !== null) {
+    if (typeof input.note !== 'string') {
+      return { error: 'Note must be text' };
+    }
+    const note = input.note.trim().replace(/\s+/g, ' ');
+    if (note.length > MAX_NOTE_LENGTH) {
+      return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    if (note) fields.note = note;
+  }
+
+  return { fields };
+}
+
+// "3 × 🍩 Donut", or null for a single snack without a type
+function describeSnack(data, entry) {
+  const quantity = getEntryQuantity(entry);
+  const snackType = entry.snackTypeId && findSnackType(data, entry.snackTypeId);
+  if (!snackType) {
+    return quantity > 1 ? `${quantity} snacks` : null;
+  }
+  const name = `${snackType.emoji} ${snackType.name}`;
+  return quantity > 1 ? `${quantity} × ${name}` : name;
+}
+
+module.exports = {
+  MAX_SNACK_TYPES,
+  MAX_QUANTITY,
+  MAX_NOTE_LENGTH,
+  createSnackType,
+  validateSnackType,
+  findSnackType,
+  validateSnackDetails,
+  describeSnack
+};
@@ -0,0 +1,173 @@
+const { getEntryTime, getEntryQuantity } = require('./room-data');
+const { getLocalTime } = require('./time');
+
+// Aggregate statistics for a room's log. Days, weeks and hours are counted
+// in the room's time zone, and an entry counts as many snacks as its
+// quantity. Snacks carried over from before the full history was kept
+// (untrackedCount) have no time or user, so they are left out.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_SERIES_DAYS = 30;
+const WEEKLY_SERIES_WEEKS = 12;
+
+// 'YYYY-MM-DD' date keys, shifted by whole days without time zone surprises
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay(); // 0 = Sunday
+}
+
+// Monday of the week a date falls in
+function weekStart(date) {
+  return addDays(date, -((weekday(date) + 6) % 7));
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// Longest run of consecutive days in a set of dates, and the run that is
+// still going (ending today, or yesterday if there's nothing yet today)
+function getStreaks(dates, today) {
+  const sorted = Array.from(dates).sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  sorted.forEach(date => {
+    run = previous && addDays(previous, 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  let current = 0;
+  let day = dates.has(today) ? today : addDays(today, -1);
+  while (dates.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return { current, longest };
+}
+
+function indexOfMax(values) {
+  return values.reduce((best, value, index) => value > values[best] ? index : best, 0);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Snacks, calories and cost per snack type (the room's snackTypes catalog),
+// most eaten first. Snacks without a type are listed with snackTypeId null.
+function summarizeSnackTypes(entries, snackTypes) {
+  const types = {};
+  entries.forEach(entry => {
+    const id = entry.snackTypeId || null;
+    if (!types[id]) types[id] = { snackTypeId: id, count: 0, calories: 0, cost: 0 };
+
+    const quantity = getEntryQuantity(entry);
+    const snackType = id && snackTypes.find(other => other.id === id);
+    types[id].count += quantity;
+    if (snackType && snackType.calories !== null) types[id].calories += quantity * snackType.calories;
+    if (snackType && snackType.cost !== null) types[id].cost = round(types[id].cost + quantity * snackType.cost);
+  });
+  return Object.values(types).sort((a, b) => b.count - a.count);
+}
+
+// entries: log entries to summarize (newest first, like data.log)
+function computeStats(entries, { timeZone, now = Date.now(), snackTypes = [] }) {
+  const today = getLocalTime(now, timeZone).date;
+  const perHour = new Array(24).fill(0);
+  const perWeekday = new Array(7).fill(0);
+  const dayCounts = {};
+  const users = {};
+  let total = 0;
+
+  entries.forEach(entry => {
+    const time = getEntryTime(entry);
+    const local = getLocalTime(time, timeZone);
+    const quantity = getEntryQuantity(entry);
+
+    total += quantity;
+    perHour[local.hour] += quantity;
+    perWeekday[weekday(local.date)] += quantity;
+    dayCounts[local.date] = (dayCounts[local.date] || 0) + quantity;
+
+    if (!users[entry.userId]) {
+      users[entry.userId] = { userId: entry.userId, total: 0, lastSnackAt: time, dates: new Set() };
+    }
+    const user = users[entry.userId];
+    user.total += quantity;
+    user.lastSnackAt = Math.max(user.lastSnackAt, time);
+    user.dates.add(local.date);
+  });
+
+  const activeDates = new Set(Object.keys(dayCounts));
+  const firstDate = Array.from(activeDates).sort()[0] || today;
+  const spanDays = daysBetween(firstDate, today) + 1;
+
+  const perDay = [];
+  for (let i = DAILY_SERIES_DAYS - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    perDay.push({ date, count: dayCounts[date] || 0 });
+  }
+
+  const weekCounts = {};
+  Object.keys(dayCounts).forEach(date => {
+    const week = weekStart(date);
+    weekCounts[week] = (weekCounts[week] || 0) + dayCounts[date];
+  });
+  const perWeek = [];
+  for (let i = WEEKLY_SERIES_WEEKS - 1; i >= 0; i--) {
+    const week = addDays(weekStart(today), -7 * i);
+    perWeek.push({ weekStart: week, count: weekCounts[week] || 0 });
+  }
+
+  const leaderboard = Object.values(users)
+    .map(user => ({
+      userId: user.userId,
+      total: user.total,
+      share: round(user.total / total),
+      lastSnackAt: user.lastSnackAt,
+      activeDays: user.dates.size,
+      streaks: getStreaks(user.dates, today)
+    }))
+    .sort((a, b) => b.total - a.total || a.userId.localeCompare(b.userId));
+
+  const busiestDate = Object.keys(dayCounts).sort((a, b) => dayCounts[b] - dayCounts[a] || a.localeCompare(b))[0];
+  const snackTypeTotals = summarizeSnackTypes(entries, snackTypes);
+
+  return {
+    timeZone: timeZone,
+    total: total,
+    firstSnackAt: total ? getEntryTime(entries[entries.length - 1]) : null,
+    lastSnackAt: total ? getEntryTime(entries[0]) : null,
+    leaderboard: leaderboard,
+    perDay: perDay,
+    perWeek: perWeek,
+    perHour: perHour,
+    perWeekday: perWeekday, // 0 = Sunday
+    busiest: {
+      hour: total ? indexOfMax(perHour) : null,
+      weekday: total ? indexOfMax(perWeekday) : null,
+      day: busiestDate ? { date: busiestDate, count: dayCounts[busiestDate] } : null
+    },
+    streaks: getStreaks(activeDates, today),
+    snackTypes: snackTypeTotals,
+    calories: snackTypeTotals.reduce((sum, type) => sum + type.calories, 0),
+    cost: round(snackTypeTotals.reduce((sum, type) => sum + type.cost, 0)),
+    averages: {
+      perDay: total ? round(total / spanDays) : 0,
+      perActiveDay: total ? round(total / activeDates.size) : 0,
+      perWeek: total ? round(total / Math.max(1, spanDays / 7)) : 0,
+      perUser: total ? round(total / leaderboard.length) : 0
+    }
+  };
+}
+
+module.exports = { addDays, weekStart, getStreaks, computeStats };
@@ -0,0 +1,50 @@
+const path = require('path');
+const { createJsonFileStorage } = require('./json-file');
+
+// Storage backends for room data.
+//
+// Every backend exposes the same synchronous interface:
+//   exists(accessCode)                      -> boolean
+//   read(accessCode)                        -> room data, or null if the room has no usable data
+//   write(accessCode, data)                 -> replace everything stored for the room
+//   saveRoom(accessCode, data)              -> save room fields and push subscriptions
+//   insertLogEntry(accessCode, data, entry) -> save a new entry that was added to data.log
+//   updateLogEntry(accessCode, data, entry) -> save a change to an entry already in data.log
+//   listRooms()                             -> access codes of every stored room
+//   getRoomSize(accessCode)                 -> bytes stored for the room, audit trail included
+//   rename(accessCode, newAccessCode)       -> move everything stored for the room to a new code
+//   remove(accessCode)                      -> delete everything stored for the room
+//   appendAuditEvent(accessCode, event)     -> add to the room's audit trail
+//   listAuditEvents(accessCode, { before, limit })
+//                                           -> audit events newest first, each with a seq
+//                                              number; only those below seq `before` if given
+//   close()
+//
+// The targeted operations receive the full, already-updated data so a backend
+// can either rewrite everything (JSON files) or touch just the rows involved (SQLite).
+// Backends report what they do to options.logger ({ log, error }, the console by default).
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..');
+
+// Directory for data files: DATA_DIR, or the project root
+function resolveDataDir(options = {}) {
+  return options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'json';
+  const dataDir = resolveDataDir(options);
+  const logger = options.logger;
+
+  if (backend === 'json') {
+    return createJsonFileStorage({ dataDir, logger });
+  }
+  if (backend === 'sqlite') {
+    // Only load the native module when it's actually asked for
+    const { createSqliteStorage } = require('./sqlite');
+    return createSqliteStorage({ dataDir, file: options.file || process.env.SQLITE_FILE, logger });
+  }
+  throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { createStorage, resolveDataDir };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { sanitizeAccessCode } = require('../room-data');
+const { createBackupStore } = require('../backups');
+
+// Default storage backend: one counter-data-<code>.json file per room,
+// rewritten atomically on every change with a .backup copy of the previous version
+function createJsonFileStorage(options = {}) {
+  const dataDir = options.dataDir;
+  const logger = options.logger || console;
+  const snapshots = createBackupStore({ dataDir });
+
+  // Multi-room access control (each access code creates its own counter)
+  function getDataFile(accessCode) {
+    // Handle undefined or null accessCode
+    if (!accessCode) {
+      logger.error('⚠️ getDataFile called with undefined accessCode');
+      return path.join(dataDir, 'counter-data-default.json');
+    }
+    return path.join(dataDir, `counter-data-${sanitizeAccessCode(accessCode)}.json`);
+  }
+
+  function exists(accessCode) {
+    return fs.existsSync(getDataFile(accessCode));
+  }
+
+  // Read a room's data, falling back to the backup if the file is corrupt.
+  // Returns null when there is nothing usable on disk.
+  function read(accessCode) {
+    const dataFile = getDataFile(accessCode);
+
+    try {
+      if (!fs.existsSync(dataFile)) {
+        logger.log(`Data file for ${accessCode} does not exist`);
+        return null;
+      }
+
+      const data = fs.readFileSync(dataFile, 'utf8');
+      const parsed = JSON.parse(data);
+
+      // Validate data structure
+      if (!parsed || typeof parsed !== 'object') {
+        logger.error('Invalid data structure in', dataFile);
+        return null;
+      }
+
+      return parsed;
+    } catch (error) {
+      logger.error('Error reading data file, attempting recovery:', error);
+
+      // Try to restore from backup
+      const backupData = tryRestoreFromBackup(accessCode);
+      if (backupData) {
+        logger.log('Restored from backup successfully');
+        return backupData;
+      }
+      return null;
+    }
+  }
+
+  // Try to restore from backup for a specific access code: the .backup copy
+  // of the previous version, or else the newest snapshot with a good checksum
+  function tryRestoreFromBackup(accessCode) {
+    const backupFile = getDataFile(accessCode) + '.backup';
+    try {
+      if (fs.existsSync(backupFile)) {
+        const backupData = fs.readFileSync(backupFile, 'utf8');
+        return JSON.parse(backupData);
+      }
+    } catch (error) {
+      logger.error('Failed to restore from backup:', error);
+    }
+
+    try {
+      const snapshot = snapshots.readLatestValid(accessCode);
+      if (snapshot) {
+        logger.log(`Restoring ${accessCode} from snapshot ${snapshot.id}`);
+        return snapshot.data;
+      }
+    } catch (error) {
+      logger.error('Failed to restore from snapshot:', error);
+    }
+    return null;
+  }
+
+  // Atomic write with backup for a specific access code
+  function write(accessCode, data) {
+    const dataFile = getDataFile(accessCode);
+    const tempFile = dataFile + '.tmp';
+    const backupFile = dataFile + '.backup';
+
+    try {
+      // Validate data before writing
+      if (!data || typeof data !== 'object') {
+        throw new Error('Invalid data structure');
+      }
+
+      // Create backup of current data if it exists
+      if (fs.existsSync(dataFile)) {
+        fs.copyFileSync(dataFile, backupFile);
+      }
+
+      // Write to temporary file first (atomic operation)
+      fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+
+      // Atomic rename (this is atomic on POSIX systems)
+      fs.renameSync(tempFile, dataFile);
+
+      logger.log(`Data saved for ${accessCode}: ${data.count} snacks, ${data.log.length} log entries`);
+    } catch (error) {
+      logger.error('Error writing data file:', error);
+
+      // Clean up temp file if it exists
+      if (fs.existsSync(tempFile)) {
+        try {
+          fs.unlinkSync(tempFile);
+        } catch (cleanupError) {
+          logger.error('Failed to clean up temp file:', cleanupError);
+        }
+      }
+
+      throw error; // Re-throw so calling code knows write failed
+    }
+  }
+
+  // The audit trail is append-only, so it lives next to the room's file as
+  // one JSON event per line instead of being rewritten with the room
+  function getAuditFile(accessCode) {
+    return getDataFile(accessCode).replace(/\.json$/, '.audit.jsonl');
+  }
+
+  function appendAuditEvent(accessCode, event) {
+    fs.appendFileSync(getAuditFile(accessCode), JSON.stringify(event) + '\n');
+  }
+
+  function listAuditEvents(accessCode, { before = Infinity, limit = Infinity } = {}) {
+    const auditFile = getAuditFile(accessCode);
+    if (!fs.existsSync(auditFile)) return [];
+
+    const lines = fs.readFileSync(auditFile, 'utf8').split('\n');
+    const events = [];
+    // Line numbers double as seq numbers
+    for (let seq = Math.min(lines.length, before - 1); seq >= 1 && events.length < limit; seq--) {
+      const line = lines[seq - 1];
+      if (!line) continue;
+      try {
+        events.push(Object.assign({ seq }, JSON.parse(line)));
+      } catch (error) {
+        logger.error(`Skipping unreadable audit line ${seq} in ${auditFile}`);
+      }
+    }
+    return events;
+  }
+
+  // List the access codes of every room on disk
+  function listRooms() {
+    return fs.readdirSync(dataDir)
+      .map(file => file.match(/^counter-data-(.+)\.json$/))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  // Every file kept for a room, whether or not it exists right now
+  function getRoomFiles(accessCode) {
+    const dataFile = getDataFile(accessCode);
+    return [dataFile, dataFile + '.backup', dataFile + '.tmp', getAuditFile(accessCode)];
+  }
+
+  // The data file and audit trail; the backup is a copy of the data
+  function getRoomSize(accessCode) {
+    return [getDataFile(accessCode), getAuditFile(accessCode)]
+      .filter(file => fs.existsSync(file))
+      .reduce((size, file) => size + fs.statSync(file).size, 0);
+  }
+
+  function rename(accessCode, newAccessCode) {
+    const targets = getRoomFiles(newAccessCode);
+    getRoomFiles(accessCode).forEach((file, index) => {
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, targets[index]);
+      }
+    });
+  }
+
+  function remove(accessCode) {
+    getRoomFiles(accessCode).forEach(file => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  }
+
+  // The whole file is rewritten for every change, so the targeted
+  // operations all come down to a full write
+  return {
+    name: 'json',
+    getDataFile,
+    exists,
+    read,
+    write,
+    saveRoom: (accessCode, data) => write(accessCode, data),
+    insertLogEntry: (accessCode, data) => write(accessCode, data),
+    updateLogEntry: (accessCode, data) => write(accessCode, data),
+    listRooms,
+    getRoomSize,
+    rename,
+    remove,
+    appendAuditEvent,
+    listAuditEvents,
+    tryRestoreFromBackup,
+    close: () => {}
+  };
+}
+
+module.exports = { createJsonFileStorage };
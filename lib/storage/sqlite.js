@@ -0,0 +1,207 @@
+const path = require('path');
+const { sanitizeAccessCode } = require('../room-data');
+
+// SQLite storage backend: rooms, log entries and push subscriptions are kept
+// as rows, so an increment is a single insert instead of a whole-file rewrite.
+// Requires the optional better-sqlite3 dependency.
+function createSqliteStorage(options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The SQLite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const file = options.file || path.join(options.dataDir, 'snack-counter.db');
+  const logger = options.logger || console;
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      access_code TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS log_entries (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      access_code TEXT NOT NULL REFERENCES rooms(access_code) ON DELETE CASCADE,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      UNIQUE (access_code, id)
+    );
+    CREATE INDEX IF NOT EXISTS log_entries_room ON log_entries (access_code, seq);
+    CREATE TABLE IF NOT EXISTS audit_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      access_code TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_events_room ON audit_events (access_code, seq);
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      access_code TEXT NOT NULL REFERENCES rooms(access_code) ON DELETE CASCADE,
+      endpoint TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (access_code, endpoint)
+    );
+  `);
+
+  const statements = {
+    getRoom: db.prepare('SELECT data FROM rooms WHERE access_code = ?'),
+    upsertRoom: db.prepare(`
+      INSERT INTO rooms (access_code, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (access_code) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    listRooms: db.prepare('SELECT access_code FROM rooms ORDER BY access_code'),
+    getLog: db.prepare('SELECT data FROM log_entries WHERE access_code = ? ORDER BY seq DESC'),
+    insertLog: db.prepare('INSERT INTO log_entries (access_code, id, data) VALUES (?, ?, ?)'),
+    updateLog: db.prepare('UPDATE log_entries SET data = ? WHERE access_code = ? AND id = ?'),
+    clearLog: db.prepare('DELETE FROM log_entries WHERE access_code = ?'),
+    getSubscriptions: db.prepare('SELECT data FROM push_subscriptions WHERE access_code = ? ORDER BY rowid'),
+    insertSubscription: db.prepare('INSERT OR REPLACE INTO push_subscriptions (access_code, endpoint, data) VALUES (?, ?, ?)'),
+    clearSubscriptions: db.prepare('DELETE FROM push_subscriptions WHERE access_code = ?'),
+    insertAudit: db.prepare('INSERT INTO audit_events (access_code, data) VALUES (?, ?)'),
+    listAudit: db.prepare('SELECT seq, data FROM audit_events WHERE access_code = ? AND seq < ? ORDER BY seq DESC LIMIT ?'),
+    getRoomSize: db.prepare(`
+      SELECT (SELECT COALESCE(SUM(length(data)), 0) FROM rooms WHERE access_code = @key) +
+             (SELECT COALESCE(SUM(length(data)), 0) FROM log_entries WHERE access_code = @key) +
+             (SELECT COALESCE(SUM(length(data)), 0) FROM audit_events WHERE access_code = @key) AS size
+    `),
+    copyRoom: db.prepare('INSERT INTO rooms (access_code, data, updated_at) SELECT ?, data, updated_at FROM rooms WHERE access_code = ?'),
+    moveLog: db.prepare('UPDATE log_entries SET access_code = ? WHERE access_code = ?'),
+    moveSubscriptions: db.prepare('UPDATE push_subscriptions SET access_code = ? WHERE access_code = ?'),
+    moveAudit: db.prepare('UPDATE audit_events SET access_code = ? WHERE access_code = ?'),
+    deleteRoom: db.prepare('DELETE FROM rooms WHERE access_code = ?'),
+    deleteAudit: db.prepare('DELETE FROM audit_events WHERE access_code = ?')
+  };
+
+  // Room-level fields, without the rows kept in their own tables
+  function roomFields(data) {
+    const { log, pushSubscriptions, ...fields } = data;
+    return JSON.stringify(fields);
+  }
+
+  function upsertRoom(key, data) {
+    statements.upsertRoom.run(key, roomFields(data), Date.now());
+  }
+
+  function replaceSubscriptions(key, data) {
+    statements.clearSubscriptions.run(key);
+    (data.pushSubscriptions || []).forEach(subscription => {
+      statements.insertSubscription.run(key, subscription.endpoint, JSON.stringify(subscription));
+    });
+  }
+
+  function exists(accessCode) {
+    return !!statements.getRoom.get(sanitizeAccessCode(accessCode));
+  }
+
+  function read(accessCode) {
+    const key = sanitizeAccessCode(accessCode);
+    const row = statements.getRoom.get(key);
+    if (!row) {
+      logger.log(`Room ${accessCode} does not exist in ${file}`);
+      return null;
+    }
+
+    const data = JSON.parse(row.data);
+    data.log = statements.getLog.all(key).map(entry => JSON.parse(entry.data));
+    data.pushSubscriptions = statements.getSubscriptions.all(key).map(subscription => JSON.parse(subscription.data));
+    return data;
+  }
+
+  // Replace everything stored for a room (used for new rooms, imports and migration)
+  const write = db.transaction((accessCode, data) => {
+    const key = sanitizeAccessCode(accessCode);
+    upsertRoom(key, data);
+
+    // The log is newest first; insert oldest first so seq follows history
+    statements.clearLog.run(key);
+    for (let i = data.log.length - 1; i >= 0; i--) {
+      statements.insertLog.run(key, data.log[i].id, JSON.stringify(data.log[i]));
+    }
+
+    replaceSubscriptions(key, data);
+    logger.log(`Data saved for ${accessCode}: ${data.count} snacks, ${data.log.length} log entries`);
+  });
+
+  // Save room fields and push subscriptions, leaving log rows untouched
+  const saveRoom = db.transaction((accessCode, data) => {
+    const key = sanitizeAccessCode(accessCode);
+    upsertRoom(key, data);
+    replaceSubscriptions(key, data);
+  });
+
+  const insertLogEntry = db.transaction((accessCode, data, entry) => {
+    const key = sanitizeAccessCode(accessCode);
+    upsertRoom(key, data);
+    statements.insertLog.run(key, entry.id, JSON.stringify(entry));
+  });
+
+  const updateLogEntry = db.transaction((accessCode, data, entry) => {
+    const key = sanitizeAccessCode(accessCode);
+    upsertRoom(key, data);
+    statements.updateLog.run(JSON.stringify(entry), key, entry.id);
+  });
+
+  function appendAuditEvent(accessCode, event) {
+    statements.insertAudit.run(sanitizeAccessCode(accessCode), JSON.stringify(event));
+  }
+
+  function listAuditEvents(accessCode, { before = Infinity, limit = Infinity } = {}) {
+    // SQLite takes -1 as "no limit"; seq numbers fit well below MAX_SAFE_INTEGER
+    const rows = statements.listAudit.all(
+      sanitizeAccessCode(accessCode),
+      before === Infinity ? Number.MAX_SAFE_INTEGER : before,
+      limit === Infinity ? -1 : limit
+    );
+    return rows.map(row => Object.assign({ seq: row.seq }, JSON.parse(row.data)));
+  }
+
+  function listRooms() {
+    return statements.listRooms.all().map(row => row.access_code);
+  }
+
+  // Stored bytes of the room's rows (the database file is shared by every room)
+  function getRoomSize(accessCode) {
+    return statements.getRoomSize.get({ key: sanitizeAccessCode(accessCode) }).size;
+  }
+
+  // The new room row has to exist before the log and subscriptions can point at it
+  const rename = db.transaction((accessCode, newAccessCode) => {
+    const key = sanitizeAccessCode(accessCode);
+    const newKey = sanitizeAccessCode(newAccessCode);
+    statements.copyRoom.run(newKey, key);
+    statements.moveLog.run(newKey, key);
+    statements.moveSubscriptions.run(newKey, key);
+    statements.moveAudit.run(newKey, key);
+    statements.deleteRoom.run(key);
+  });
+
+  // Log entries and push subscriptions go with the room row
+  const remove = db.transaction(accessCode => {
+    const key = sanitizeAccessCode(accessCode);
+    statements.deleteRoom.run(key);
+    statements.deleteAudit.run(key);
+  });
+
+  return {
+    name: 'sqlite',
+    file,
+    exists,
+    read,
+    write,
+    saveRoom,
+    insertLogEntry,
+    updateLogEntry,
+    listRooms,
+    getRoomSize,
+    rename,
+    remove,
+    appendAuditEvent,
+    listAuditEvents,
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStorage };
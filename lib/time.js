@@ -0,0 +1,129 @@
+// Time zone helpers built on Intl, shared by the snack rules, stats,
+// notifications and the log entry migration.
+
+// Formatters are slow to create and stats run this over the whole log
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getParts(time, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+// Local date, hour and minutes since midnight in a time zone
+function getLocalTime(time, timeZone) {
+  const parts = getParts(time, timeZone);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+}
+
+// Epoch milliseconds of a wall-clock time in a time zone
+function zonedTimeToEpoch({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = time => {
+    const parts = getParts(time, timeZone);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(time / 1000) * 1000;
+  };
+
+  // A second pass settles times near a daylight saving change
+  const guess = wallTime - offsetAt(wallTime);
+  return wallTime - offsetAt(guess);
+}
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' on a 24-hour clock
+function isTimeOfDay(value) {
+  return typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value);
+}
+
+// Minutes since midnight of an 'HH:MM' time
+function parseTimeOfDay(value) {
+  const [, hours, minutes] = value.match(TIME_OF_DAY_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Whether minutes since midnight fall inside { start, end } ('HH:MM'),
+// a range that may wrap past midnight
+function isInTimeRange(minutes, { start, end }) {
+  const startMinutes = parseTimeOfDay(start);
+  const endMinutes = parseTimeOfDay(end);
+  return startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+}
+
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const LOCALE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?$/i;
+
+function isIsoTimestamp(value) {
+  return typeof value === 'string' && ISO_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+// Epoch milliseconds of an old en-US toLocaleString() timestamp
+// ("10/19/2025, 3:04:05 PM") written in the given time zone, or null
+function parseLocaleTimestamp(value, timeZone) {
+  const match = typeof value === 'string' && value.trim().match(LOCALE_PATTERN);
+  if (!match) return null;
+
+  const [, month, day, year, rawHour, minute, second, meridiem] = match;
+  let hour = Number(rawHour);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  }
+  if (Number(month) > 12 || Number(day) > 31 || hour > 23 || Number(minute) > 59) return null;
+
+  return zonedTimeToEpoch({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: hour,
+    minute: Number(minute),
+    second: Number(second || 0)
+  }, timeZone);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalTime,
+  zonedTimeToEpoch,
+  isTimeOfDay,
+  parseTimeOfDay,
+  isInTimeRange,
+  isIsoTimestamp,
+  parseLocaleTimestamp
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { isTimeOfDay, parseTimeOfDay } = require('./time');
+const { findMember } = require('./members');
+const { getEntryQuantity } = require('./room-data');
+const { MILESTONE_STEPS, reachesMilestone, formatSnackMessage } = require('./notifications');
+const { findSnackType, describeSnack } = require('./snack-types');
+
+// Outgoing webhooks: a room can send its events to other tools. Each webhook
+// (data.webhooks) has a URL, the events it wants and a payload format: the
+// plain event as JSON, or a message for a Slack or Discord incoming webhook.
+// Requests are signed with the webhook's secret, retried when the receiver
+// is unreachable or fails, and the latest deliveries are kept on the webhook.
+
+const WEBHOOK_EVENTS = ['increment', 'delete', 'milestone', 'daily-summary'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+const MAX_WEBHOOKS = 10;
+const MAX_DELIVERIES = 20; // Kept per webhook, newest first
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_DELAYS_MS = [5 * 1000, 30 * 1000, 2 * 60 * 1000]; // Before the 2nd, 3rd and 4th attempt
+
+// Webhooks only reach public addresses: otherwise a room owner could make the
+// server call into its own network (the Test button even reports the answer).
+// Loopback, private, link-local, shared, multicast and reserved ranges are
+// refused, unless the operator sets WEBHOOK_ALLOW_PRIVATE=true for receivers
+// on their own network.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function allowsPrivateAddresses() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+// BlockList also checks IPv4 addresses written as IPv6 (::ffff:127.0.0.1)
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The host of a URL, without the brackets of an IPv6 address
+function getHost(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// Why a webhook can't be sent to url, or null if it can: its host has to
+// resolve, and only to public addresses. Checked when a webhook is saved;
+// deliveries check again, since what a name resolves to can change.
+async function checkWebhookAddress(url, { allowPrivate = allowsPrivateAddresses() } = {}) {
+  if (allowPrivate) return null;
+
+  const host = getHost(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `Webhook host ${host} could not be found`;
+  }
+  if (addresses.some(entry => isPrivateAddress(entry.address))) {
+    return 'Webhook URL must point to a public address, not a private network';
+  }
+  return null;
+}
+
+// dns.lookup for the delivery request that refuses private addresses, so
+// the address connected to is the one that was checked
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address: address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} is a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Shared with the receiver, which checks the X-Snack-Signature header with it
+function createSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function createWebhook(fields) {
+  return Object.assign({
+    id: `wh-${crypto.randomBytes(6).toString('hex')}`,
+    url: '',
+    events: WEBHOOK_EVENTS.slice(),
+    format: 'json',
+    milestoneEvery: 100, // With the milestone event: every 10th or 100th snack of a counter
+    summaryTime: '20:00', // With the daily-summary event, in the room's time zone
+    active: true,
+    secret: createSecret(),
+    createdAt: Date.now(),
+    lastSummaryDate: null,
+    deliveries: []
+  }, fields);
+}
+
+// Check webhook fields from a create or update request. Returns { fields }
+// with only the known fields, or { error } describing the first problem found.
+function validateWebhook(input, { requireUrl = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid webhook' };
+  }
+
+  const fields = {};
+
+  if (input.url !== undefined || requireUrl) {
+    let url = null;
+    try {
+      url = new URL(input.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:') || input.url.length > 2000) {
+      return { error: 'Webhook URL must be an http or https address' };
+    }
+    fields.url = url.toString();
+  }
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.length === 0 ||
+        input.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `Events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    fields.events = WEBHOOK_EVENTS.filter(event => input.events.includes(event));
+  }
+
+  if (input.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(input.format)) {
+      return { error: `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    fields.format = input.format;
+  }
+
+  if (input.milestoneEvery !== undefined) {
+    const step = Number(input.milestoneEvery);
+    if (!MILESTONE_STEPS.includes(step)) {
+      return { error: `Milestones can be every ${MILESTONE_STEPS.join(' or ')} snacks` };
+    }
+    fields.milestoneEvery = step;
+  }
+
+  if (input.summaryTime !== undefined) {
+    if (!isTimeOfDay(input.summaryTime)) {
+      return { error: 'Summary time must look like 20:00' };
+    }
+    fields.summaryTime = input.summaryTime;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    fields.active = input.active;
+  }
+
+  return { fields };
+}
+
+// What the API shows: everything but the secret and the delivery log
+function publicWebhook(webhook) {
+  const { secret, deliveries, lastSummaryDate, ...fields } = webhook;
+  return Object.assign(fields, { lastDelivery: deliveries[0] || null });
+}
+
+function findWebhook(data, id) {
+  return data.webhooks.find(webhook => webhook.id === id) || null;
+}
+
+// Webhooks that want an event of this type
+function getSubscribedWebhooks(data, type) {
+  return data.webhooks.filter(webhook => webhook.active && webhook.events.includes(type));
+}
+
+// An event as it is sent: text is a ready-made sentence for chat tools,
+// details depend on the type
+function createEvent(type, accessCode, text, details = {}) {
+  return Object.assign({
+    id: `evt-${crypto.randomBytes(8).toString('hex')}`,
+    type: type,
+    room: accessCode,
+    time: new Date().toISOString(),
+    text: text
+  }, details);
+}
+
+function describeMember(data, userId) {
+  const member = findMember(data, userId);
+  return { id: userId, name: member ? member.name : 'Someone' };
+}
+
+function describeCounter(counter) {
+  return { id: counter.id, name: counter.name, emoji: counter.emoji, count: counter.count };
+}
+
+function describeEntry(data, entry) {
+  const snackType = entry.snackTypeId && findSnackType(data, entry.snackTypeId);
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    count: entry.count,
+    quantity: getEntryQuantity(entry),
+    snackType: snackType ? { id: snackType.id, name: snackType.name, emoji: snackType.emoji } : null,
+    note: entry.note || null,
+    userId: entry.userId
+  };
+}
+
+function createSnackEvent(accessCode, data, counter, entry) {
+  return createEvent('increment', accessCode, formatSnackMessage(data, counter, entry), {
+    counter: describeCounter(counter),
+    entry: describeEntry(data, entry),
+    member: describeMember(data, entry.userId)
+  });
+}
+
+function createDeleteEvent(accessCode, data, counter, entry) {
+  const snackOf = describeMember(data, entry.userId);
+  const deletedBy = describeMember(data, entry.deletedBy);
+  const snack = describeSnack(data, entry);
+  return createEvent('delete', accessCode,
+    `${deletedBy.name} deleted ${snackOf.name}'s ${counter.name} #${entry.count} ${counter.emoji}${snack ? ` (${snack})` : ''}`, {
+      counter: describeCounter(counter),
+      entry: describeEntry(data, entry),
+      member: snackOf,
+      deletedBy: deletedBy
+    });
+}
+
+// Reaching (or passing, with a quantity) a multiple of 10 or 100; each
+// webhook picks its own step
+function isMilestone(webhook, counter, entry) {
+  return reachesMilestone(counter.count, getEntryQuantity(entry), webhook.milestoneEvery);
+}
+
+function createMilestoneEvent(accessCode, data, counter, entry) {
+  return createEvent('milestone', accessCode, `🎉 ${counter.name} reached ${counter.count} ${counter.emoji}`, {
+    counter: describeCounter(counter),
+    member: describeMember(data, entry.userId)
+  });
+}
+
+// Whether a webhook is due for today's summary
+function isSummaryDue(webhook, local) {
+  return webhook.lastSummaryDate !== local.date && local.minutes >= parseTimeOfDay(webhook.summaryTime);
+}
+
+function createSummaryEvent(accessCode, date, text) {
+  return createEvent('daily-summary', accessCode, text, { date: date });
+}
+
+const formatters = {
+  json: event => event,
+  slack: event => ({ text: event.text }),
+  discord: event => ({ content: event.text, username: 'Snack Counter' })
+};
+
+// Signature over "<timestamp>.<body>", so a captured request can't be replayed
+// later with a new timestamp
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// One POST; resolves with the response status, rejects on network errors
+function postJson(url, body, headers, { allowPrivate }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = getHost(url);
+    // An address in the URL is used as is, without a lookup
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is a private address`));
+    }
+
+    const options = {
+      method: 'POST',
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'SnackCounter-Webhooks'
+      }, headers),
+      timeout: REQUEST_TIMEOUT_MS
+    };
+    if (!allowPrivate) options.lookup = lookupPublicAddress;
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, options, response => {
+      response.resume(); // The body isn't needed
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Worth trying again: the receiver was unreachable, overloaded or broken
+function isRetryable(status) {
+  return status === null || status === 429 || status >= 500;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send an event to a webhook, retrying after RETRY_DELAYS_MS (or the given
+// delays) while it fails. Resolves with the delivery record; never rejects.
+async function deliverWebhook(webhook, event, { retryDelays = RETRY_DELAYS_MS, allowPrivate = allowsPrivateAddresses() } = {}) {
+  const body = JSON.stringify(formatters[webhook.format](event));
+  const delivery = {
+    id: event.id,
+    event: event.type,
+    time: event.time,
+    attempts: 0,
+    status: null,
+    ok: false,
+    error: null
+  };
+
+  while (true) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    delivery.attempts++;
+    try {
+      delivery.status = await postJson(webhook.url, body, {
+        'X-Snack-Event': event.type,
+        'X-Snack-Delivery': event.id,
+        'X-Snack-Timestamp': timestamp,
+        'X-Snack-Signature': signPayload(webhook.secret, timestamp, body)
+      }, { allowPrivate: allowPrivate });
+      delivery.error = delivery.status < 300 ? null : `HTTP ${delivery.status}`;
+    } catch (error) {
+      delivery.status = null;
+      delivery.error = error.message;
+    }
+
+    delivery.ok = delivery.error === null;
+    if (delivery.ok || !isRetryable(delivery.status) || delivery.attempts > retryDelays.length) {
+      return delivery;
+    }
+    await wait(retryDelays[delivery.attempts - 1]);
+  }
+}
+
+// Add a finished delivery to the webhook's log
+function recordDelivery(webhook, delivery) {
+  webhook.deliveries = [delivery].concat(webhook.deliveries || []).slice(0, MAX_DELIVERIES);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  MAX_WEBHOOKS,
+  createSecret,
+  createWebhook,
+  validateWebhook,
+  checkWebhookAddress,
+  publicWebhook,
+  findWebhook,
+  getSubscribedWebhooks,
+  createEvent,
+  createSnackEvent,
+  createDeleteEvent,
+  isMilestone,
+  createMilestoneEvent,
+  isSummaryDue,
+  createSummaryEvent,
+  signPayload,
+  deliverWebhook,
+  recordDelivery
+};
@@ -0,0 +1,236 @@
+// DOM Elements
+const messageDisplay = document.getElementById('settingsMessage');
+const adminLoginForm = document.getElementById('adminLoginForm');
+const adminSection = document.getElementById('adminSection');
+const roomSummary = document.getElementById('roomSummary');
+const roomFilter = document.getElementById('roomFilter');
+const showArchived = document.getElementById('showArchived');
+const roomList = document.getElementById('roomList');
+
+// The ADMIN_TOKEN, kept for this tab only
+const TOKEN_KEY = 'snackCounterAdminToken';
+
+// Last room list from the server, filtered on the page
+let rooms = [];
+
+function getToken() {
+    return sessionStorage.getItem(TOKEN_KEY);
+}
+
+function showSignedIn(signedIn) {
+    adminLoginForm.hidden = signedIn;
+    adminSection.hidden = !signedIn;
+}
+
+// Send a request with the admin token and return the parsed response,
+// throwing on errors. A rejected token signs the page out.
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, Object.assign({}, options, {
+        headers: Object.assign({ 'Authorization': `Bearer ${getToken()}` }, options.headers)
+    }));
+    if (response.status === 401) {
+        sessionStorage.removeItem(TOKEN_KEY);
+        showSignedIn(false);
+    }
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Server responded with error');
+    }
+    return response;
+}
+
+async function sendJson(url, body, method = 'POST') {
+    const response = await adminFetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+function roomUrl(room, action = '') {
+    return `/api/admin/rooms/${encodeURIComponent(room.accessCode)}${action ? '/' + action : ''}`;
+}
+
+async function loadRooms() {
+    try {
+        const response = await adminFetch('/api/admin/rooms');
+        const data = await response.json();
+        rooms = data.rooms;
+        showSignedIn(true);
+        renderRooms();
+
+        const archived = rooms.filter(room => room.archived).length;
+        const totalSize = rooms.reduce((sum, room) => sum + room.size, 0);
+        roomSummary.textContent = `${rooms.length} rooms (${archived} archived), ${formatSize(totalSize)} in ${data.storage} storage`;
+    } catch (error) {
+        console.error('Failed to load rooms:', error);
+        showMessage(error.message, true);
+    }
+}
+
+function renderRooms() {
+    const filter = roomFilter.value.trim().toLowerCase();
+    const shown = rooms.filter(room =>
+        (showArchived.checked || !room.archived) &&
+        (!filter ||
+            room.accessCode.toLowerCase().includes(filter) ||
+            room.members.some(name => name.toLowerCase().includes(filter)))
+    );
+
+    roomList.innerHTML = '';
+    if (shown.length === 0) {
+        roomList.textContent = rooms.length === 0 ? 'No rooms yet.' : 'No rooms match.';
+        return;
+    }
+    shown.forEach(room => roomList.appendChild(createRoomRow(room)));
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function createRoomRow(room) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row room-row' + (room.archived ? ' paused' : '');
+
+    const name = document.createElement('div');
+    name.className = 'webhook-url';
+    name.textContent = room.archived ? `${room.accessCode} (archived)` : room.accessCode;
+
+    const counts = document.createElement('div');
+    counts.className = 'webhook-status';
+    const lastActivity = room.lastActivity ? new Date(room.lastActivity).toLocaleString() : 'never';
+    counts.textContent = `${room.count} snacks · ${room.counters} counters · last active ${lastActivity} · ${formatSize(room.size)}`;
+
+    const people = document.createElement('div');
+    people.className = 'webhook-status';
+    const owner = room.owner ? `owner ${room.owner}` : 'no owner';
+    const password = room.hasPassword ? ' · password' : '';
+    people.textContent = room.members.length > 0
+        ? `${room.members.length} members: ${room.members.join(', ')} · ${owner}${password}`
+        : `No members · ${owner}${password}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'settings-row room-actions';
+    actions.append(
+        createActionButton('Backup', () => downloadBackup(room)),
+        createActionButton('Rename', () => renameRoom(room)),
+        createActionButton('Merge', () => mergeRoom(room)),
+        createActionButton(room.archived ? 'Restore' : 'Archive', () => setArchived(room, !room.archived)),
+        createActionButton('Delete', () => deleteRoom(room), true)
+    );
+
+    row.append(name, counts, people, actions);
+    return row;
+}
+
+function createActionButton(label, action, danger = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = danger ? 'settings-btn danger' : 'settings-btn';
+    button.textContent = label;
+    button.onclick = async () => {
+        try {
+            await action();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+    return button;
+}
+
+// The download needs the token header, so it goes through a blob link
+async function downloadBackup(room) {
+    const response = await adminFetch(roomUrl(room, 'backup'));
+    const blob = await response.blob();
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `counter-data-${room.accessCode}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+async function renameRoom(room) {
+    const to = prompt(`New access code for "${room.accessCode}". Everyone in it will need to sign in again with the new code.`, room.accessCode);
+    if (!to || to === room.accessCode) return;
+
+    await sendJson(roomUrl(room, 'rename'), { to: to.trim() });
+    showMessage(`Renamed ${room.accessCode} to ${to.trim()}.`);
+    loadRooms();
+}
+
+async function mergeRoom(room) {
+    const into = prompt(`Move the snacks and members of "${room.accessCode}" into which room? "${room.accessCode}" is deleted afterwards.`);
+    if (!into) return;
+
+    const result = await sendJson(roomUrl(room, 'merge'), { into: into.trim() });
+    showMessage(`Merged ${room.accessCode} into ${into.trim()}: ${result.summary.added} snacks added (${result.summary.skippedDuplicates} already there).`);
+    loadRooms();
+}
+
+async function setArchived(room, archived) {
+    if (archived && !confirm(`Archive "${room.accessCode}"? Nobody can sign in to it until it's restored.`)) return;
+
+    await sendJson(roomUrl(room, archived ? 'archive' : 'restore'), {});
+    showMessage(archived ? `${room.accessCode} archived.` : `${room.accessCode} restored.`);
+    loadRooms();
+}
+
+async function deleteRoom(room) {
+    const typed = prompt(`Delete "${room.accessCode}" and all ${room.count} of its snacks for good? Type the access code to confirm.`);
+    if (typed === null) return;
+    if (typed.trim() !== room.accessCode) {
+        showMessage('The access code didn\'t match, nothing was deleted.', true);
+        return;
+    }
+
+    await sendJson(roomUrl(room), {}, 'DELETE');
+    showMessage(`${room.accessCode} deleted.`);
+    loadRooms();
+}
+
+function showMessage(text, isError = false) {
+    messageDisplay.textContent = text;
+    messageDisplay.classList.toggle('error', isError);
+    messageDisplay.hidden = false;
+}
+
+adminLoginForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, document.getElementById('adminToken').value);
+    messageDisplay.hidden = true;
+    loadRooms();
+});
+
+document.getElementById('adminLogoutBtn').addEventListener('click', () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    rooms = [];
+    roomList.innerHTML = '';
+    showSignedIn(false);
+});
+
+document.getElementById('refreshBtn').addEventListener('click', loadRooms);
+roomFilter.addEventListener('input', renderRooms);
+showArchived.addEventListener('change', renderRooms);
+
+// Use the same theme as the counter page (dark mode is default)
+function initTheme() {
+    if (localStorage.getItem('darkMode') === 'false') {
+        document.body.classList.remove('dark-mode');
+        document.body.classList.add('light-mode');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    initTheme();
+    if (getToken()) {
+        loadRooms();
+    }
+});
@@ -0,0 +1,133 @@
+// Offline queue: snacks and deletes made without a connection are kept in
+// IndexedDB until the server has them. Used by both the page (script.js) and
+// the service worker (sw.js), which replays the queue on Background Sync.
+const OFFLINE_DB_NAME = 'snack-counter';
+const OFFLINE_STORE = 'queue';
+const SYNC_TAG = 'snack-queue';
+
+function openOfflineDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'clientId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the queue's object store
+async function withOfflineStore(mode, operation) {
+    const db = await openOfflineDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(OFFLINE_STORE, mode);
+            const request = operation(transaction.objectStore(OFFLINE_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Random id the server uses to count a queued snack only once
+function createClientId() {
+    if (self.crypto && self.crypto.randomUUID) {
+        return self.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+// action: { type: 'increment' | 'delete', accessCode, counterId, timestamp, logId,
+//           quantity, snackTypeId, note }
+function queueAction(action) {
+    const queued = Object.assign({ clientId: createClientId(), queuedAt: Date.now() }, action);
+    return withOfflineStore('readwrite', store => store.put(queued)).then(() => queued);
+}
+
+async function listQueuedActions(accessCode) {
+    const actions = await withOfflineStore('readonly', store => store.getAll());
+    return actions
+        .filter(action => !accessCode || action.accessCode === accessCode)
+        .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+function removeQueuedAction(clientId) {
+    return withOfflineStore('readwrite', store => store.delete(clientId));
+}
+
+// When the increment button of a counter opens again while offline. The
+// server can't be asked, so this goes by the last button state it sent
+// ({ counterId, cooldownSeconds, opensAt }, or null if none came yet) and
+// the cooldown after every snack queued for the counter since. A snack tapped
+// earlier would only be refused once it reaches the server.
+function getOfflineOpensAt(buttonState, actions) {
+    if (!buttonState) return 0;
+
+    const cooldownMs = (buttonState.cooldownSeconds || 0) * 1000;
+    return actions
+        .filter(action => action.type === 'increment' && (action.counterId || buttonState.counterId) === buttonState.counterId)
+        .reduce((opensAt, action) => Math.max(opensAt, Date.parse(action.timestamp) + cooldownMs), buttonState.opensAt || 0);
+}
+
+// Send one queued action and return the response status
+async function sendQueuedAction(action) {
+    if (action.type === 'increment') {
+        const response = await fetch('/api/increment', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                clientId: action.clientId,
+                counterId: action.counterId,
+                timestamp: action.timestamp,
+                quantity: action.quantity,
+                snackTypeId: action.snackTypeId,
+                note: action.note
+            })
+        });
+        return response.status;
+    }
+
+    const response = await fetch(`/api/log/${encodeURIComponent(action.logId)}`, {
+        method: 'DELETE',
+        credentials: 'same-origin'
+    });
+    // Someone else already deleted it
+    return response.status === 404 ? 200 : response.status;
+}
+
+// Replay everything queued for the room this browser is signed in to, oldest
+// first, stopping at the first network or server error. Actions the server
+// refuses (a cooldown, the daily limit, a room that was claimed meanwhile)
+// won't get better by retrying, so they leave the queue as "rejected".
+async function replayQueue() {
+    const roomResponse = await fetch('/api/room', { credentials: 'same-origin' });
+    if (!roomResponse.ok) {
+        return { synced: 0, rejected: 0, remaining: (await listQueuedActions()).length };
+    }
+    const { accessCode } = await roomResponse.json();
+
+    const actions = await listQueuedActions(accessCode);
+    let synced = 0;
+    let rejected = 0;
+    for (const action of actions) {
+        let status;
+        try {
+            status = await sendQueuedAction(action);
+        } catch (error) {
+            break; // Still offline
+        }
+        if (status >= 500) break;
+
+        await removeQueuedAction(action.clientId);
+        if (status < 300) {
+            synced++;
+        } else {
+            rejected++;
+        }
+    }
+
+    return { synced: synced, rejected: rejected, remaining: actions.length - synced - rejected };
+}
@@ -7,20 +7,76 @@ const flyingPig = document.getElementById('flyingPig');
 const darkModeToggle = document.getElementById('darkModeToggle');
 const logoutBtn = document.getElementById('logoutBtn');
 const currentUserDisplay = document.getElementById('currentUser');
+const buttonStatusDisplay = document.getElementById('buttonStatus');
+const counterSwitcher = document.getElementById('counterSwitcher');
+const countLabel = document.getElementById('countLabel');
+const pigBadge = document.getElementById('pigBadge');
+const toast = document.getElementById('toast');
+const toastText = document.getElementById('toastText');
+const toastAction = document.getElementById('toastAction');
+const syncStatusDisplay = document.getElementById('syncStatus');
+const confettiLayer = document.getElementById('confetti');
+const pigContainer = document.querySelector('.pig-container');
+const snackPicker = document.getElementById('snackPicker');
+const snackPickerTypes = document.getElementById('snackPickerTypes');
+const quantityValue = document.getElementById('quantityValue');
+const snackNoteInput = document.getElementById('snackNote');
+const snackTimeInput = document.getElementById('snackTime');
+const editDialog = document.getElementById('editDialog');
+
+// Notification links say which room and counter they are about (/?room=<code>&counterId=<id>)
+const linkParams = new URLSearchParams(window.location.search);
 
 // State
 let currentCount = 0;
+let counters = [];
+let snackTypes = []; // The room's catalog, picked by long-pressing the + button
+let currentCounterId = linkParams.get('counterId') || localStorage.getItem('selectedCounter'); // null: the room's first counter
+let timeFormat = localStorage.getItem('timeFormat') || 'relative'; // 'relative' or 'absolute'
 let currentLog = [];
+let members = new Map(); // Room member profiles by id, for names and avatars in the log
+let requestedMemberIds = new Set(); // Unknown ids we already refetched the member list for
+let currentUserId = null;
+let roomAccessCode = null;
+let pendingActions = []; // Offline snacks and deletes not on the server yet (see offline-queue.js)
+let syncing = false;
+let hasMoreLog = false;
+let loadingOlderLog = false;
 let isDarkMode = true; // Start with dark mode as default
 let buttonEnabled = true;
+let lastButtonState = null; // What the server last said about the button, to keep the cooldown while offline
 let countdownInterval = null;
 let notificationsEnabled = false;
+let canManageRoom = true; // Rooms without an owner let everyone delete entries
+let eventSource = null;
+let pollInterval = null;
+let reconnectTimeout = null;
+let toastTimeout = null;
+let shownCelebrations = new Set(); // Each arrives in the increment response and the live stream
+let longPressTimeout = null;
+let longPressed = false; // The press opened the picker, so it isn't also a snack
+let pickedQuantity = 1;
+let pickedSnackTypeId = null;
+let editingEntry = null; // The log entry open in the edit dialog
+
+const LONG_PRESS_MS = 500;
+const MAX_QUANTITY = 20;
+const MAX_BACKDATE_MS = 7 * 24 * 60 * 60 * 1000; // The server takes snacks up to a week old
 
 // Initialize the app
 async function init() {
     try {
+        await loadRoomInfo();
+        if (linkParams.get('room') && roomAccessCode && linkParams.get('room') !== roomAccessCode) {
+            // The link is for another room: sign in to that one
+            window.location.href = `/login?room=${encodeURIComponent(linkParams.get('room'))}`;
+            return;
+        }
+        await loadMembers();
         await loadCounterData();
+        await loadPendingActions();
         updateDisplay();
+        syncOfflineQueue();
     } catch (error) {
         console.error('Failed to initialize:', error);
     }
@@ -29,10 +85,10 @@ async function init() {
 // Load counter data from server
 async function loadCounterData() {
     try {
-        const response = await fetch('/api/counter', { credentials: 'same-origin' });
+        const response = await fetch(`/api/counter${counterQuery()}`, { credentials: 'same-origin' });
         const data = await response.json();
-        currentCount = data.count;
-        currentLog = data.log;
+        applyCounterData(data);
+        saveLocalData();
     } catch (error) {
         console.error('Failed to load counter data:', error);
         // Fallback to local storage if server is unavailable
@@ -45,20 +101,133 @@ async function loadCounterData() {
     }
 }
 
+// Load room ownership to know whether this user may delete entries
+async function loadRoomInfo() {
+    try {
+        const response = await fetch('/api/room', { credentials: 'same-origin' });
+        const room = await response.json();
+        canManageRoom = room.canManage;
+        roomAccessCode = room.accessCode;
+    } catch (error) {
+        console.error('Failed to load room info:', error);
+    }
+}
+
+// Load the room's member list (names, avatar emoji and colours)
+async function loadMembers() {
+    try {
+        const response = await fetch('/api/members', { credentials: 'same-origin' });
+        const data = await response.json();
+        setMembers(data.members);
+    } catch (error) {
+        console.error('Failed to load members:', error);
+    }
+}
+
+function setMembers(list) {
+    members = new Map(list.map(member => [member.id, member]));
+}
+
+// Someone new showed up in the log: fetch the member list once more for them
+function refreshMembersFor(userId) {
+    if (requestedMemberIds.has(userId)) return;
+    requestedMemberIds.add(userId);
+    loadMembers().then(updateDisplay);
+}
+
+// Query string selecting the counter this page is showing
+function counterQuery(prefix = '?') {
+    return currentCounterId ? `${prefix}counterId=${encodeURIComponent(currentCounterId)}` : '';
+}
+
+// Apply the latest count and newest page of the log, keeping any older
+// entries that were already loaded by scrolling
+function applyCounterData(data) {
+    // The server falls back to another counter if ours was removed
+    if (data.counterId !== currentCounterId) {
+        currentLog = [];
+        currentCounterId = data.counterId;
+    }
+    currentCount = data.count;
+    if (data.counters) {
+        counters = data.counters;
+        renderCounterSwitcher();
+    }
+    if (data.snackTypes) {
+        snackTypes = data.snackTypes;
+    }
+
+    const latestIds = new Set(data.log.map(entry => entry.id));
+    const oldestLatest = data.log[data.log.length - 1];
+    const olderEntries = oldestLatest
+        ? currentLog.filter(entry => !latestIds.has(entry.id) && parseInt(entry.id) < parseInt(oldestLatest.id))
+        : [];
+
+    currentLog = data.log.concat(olderEntries);
+    if (olderEntries.length === 0) {
+        hasMoreLog = data.hasMoreLog;
+    }
+}
+
+// Load the next page of older log entries
+async function loadOlderLog() {
+    if (!hasMoreLog || loadingOlderLog || currentLog.length === 0) {
+        return;
+    }
+
+    loadingOlderLog = true;
+    try {
+        const oldestEntry = currentLog[currentLog.length - 1];
+        const response = await fetch(`/api/log?before=${encodeURIComponent(oldestEntry.id)}&limit=20${counterQuery('&')}`, { credentials: 'same-origin' });
+        const data = await response.json();
+
+        const knownIds = new Set(currentLog.map(entry => entry.id));
+        currentLog = currentLog.concat(data.log.filter(entry => !knownIds.has(entry.id)));
+        hasMoreLog = data.hasMore;
+        updateDisplay();
+    } catch (error) {
+        console.error('Failed to load older log entries:', error);
+    } finally {
+        loadingOlderLog = false;
+    }
+}
+
 // Check button state from server
 async function checkButtonState() {
     try {
-        const response = await fetch('/api/button-state', { credentials: 'same-origin' });
-        const data = await response.json();
-        updateButtonState(data.isEnabled, data.remainingTime);
+        const response = await fetch(`/api/button-state${counterQuery()}`, { credentials: 'same-origin' });
+        applyButtonState(await response.json());
     } catch (error) {
         console.error('Failed to check button state:', error);
+        updateOfflineButtonState();
     }
 }
 
-// Update button state (enabled/disabled)
-function updateButtonState(isEnabled, remainingTime) {
+// Show a button state from the server and remember it for offline use
+function applyButtonState(data) {
+    lastButtonState = {
+        counterId: data.counterId,
+        cooldownSeconds: data.cooldownSeconds,
+        opensAt: Date.now() + data.remainingTime * 1000
+    };
+    updateButtonState(data.isEnabled, data.remainingTime, data.message);
+}
+
+// Without the server, lock the button until the cooldown after the last
+// queued snack is over (see getOfflineOpensAt)
+function updateOfflineButtonState() {
+    const remainingTime = Math.ceil((getOfflineOpensAt(lastButtonState, pendingActions) - Date.now()) / 1000);
+    if (remainingTime > 0) {
+        updateButtonState(false, remainingTime, 'Cooling down after the last snack');
+    } else if (!buttonEnabled) {
+        updateButtonState(true);
+    }
+}
+
+// Update button state (enabled/disabled), with the room rule that is blocking it
+function updateButtonState(isEnabled, remainingTime, message) {
     buttonEnabled = isEnabled;
+    buttonStatusDisplay.textContent = isEnabled ? '' : (message || '');
 
     if (isEnabled) {
         incrementBtn.disabled = false;
@@ -73,12 +242,16 @@ function updateButtonState(isEnabled, remainingTime) {
         }
     } else {
         incrementBtn.disabled = true;
-        incrementBtn.textContent = remainingTime > 0 ? `${remainingTime}s` : '+';
+        incrementBtn.textContent = remainingTime > 0 ? formatRemainingTime(remainingTime) : '+';
         incrementBtn.style.opacity = '0.5';
         incrementBtn.style.cursor = 'not-allowed';
 
-        // Start countdown if not already running
-        if (remainingTime > 0 && !countdownInterval) {
+        // Restart the countdown so it stays in step with the server
+        if (countdownInterval) {
+            clearInterval(countdownInterval);
+            countdownInterval = null;
+        }
+        if (remainingTime > 0) {
             startCountdown(remainingTime);
         }
     }
@@ -90,7 +263,7 @@ function startCountdown(initialTime) {
     countdownInterval = setInterval(() => {
         timeLeft--;
         if (timeLeft > 0) {
-            incrementBtn.textContent = `${timeLeft}s`;
+            incrementBtn.textContent = formatRemainingTime(timeLeft);
         } else {
             clearInterval(countdownInterval);
             countdownInterval = null;
@@ -99,7 +272,56 @@ function startCountdown(initialTime) {
     }, 1000);
 }
 
-// Save counter data to local storage (fallback)
+// One tab per active counter; hidden while the room only has one
+function renderCounterSwitcher() {
+    const activeCounters = counters.filter(counter => !counter.archived || counter.id === currentCounterId);
+    const currentCounter = counters.find(counter => counter.id === currentCounterId);
+
+    counterSwitcher.innerHTML = '';
+    if (activeCounters.length > 1) {
+        activeCounters.forEach(counter => {
+            const tab = document.createElement('button');
+            tab.className = 'counter-tab' + (counter.id === currentCounterId ? ' active' : '');
+            tab.textContent = `${counter.emoji} ${counter.name} (${counter.count})`;
+            tab.onclick = () => switchCounter(counter.id);
+            counterSwitcher.appendChild(tab);
+        });
+    }
+
+    countLabel.textContent = activeCounters.length > 1 && currentCounter
+        ? `${currentCounter.name} Eaten`
+        : 'Snacks Eaten';
+}
+
+// Show another counter: its own pig, count, log and cooldown
+async function switchCounter(counterId) {
+    if (counterId === currentCounterId) return;
+
+    currentCounterId = counterId;
+    localStorage.setItem('selectedCounter', counterId);
+    currentLog = [];
+    hasMoreLog = false;
+    lastButtonState = null;
+
+    await loadCounterData();
+    updateDisplay();
+    checkButtonState();
+
+    // Live updates follow one counter at a time
+    if (eventSource) {
+        eventSource.close();
+        connectEvents();
+    }
+}
+
+// Short countdown label: 45s, 12m, 3h
+function formatRemainingTime(seconds) {
+    if (seconds < 100) return `${seconds}s`;
+    if (seconds < 6000) return `${Math.ceil(seconds / 60)}m`;
+    return `${Math.ceil(seconds / 3600)}h`;
+}
+
+// Save the last counter data from the server to local storage, shown when the server can't be reached
 function saveLocalData() {
     const data = {
         count: currentCount,
@@ -108,122 +330,608 @@ function saveLocalData() {
     localStorage.setItem('snackCounter', JSON.stringify(data));
 }
 
-// Increment counter
-async function incrementCounter() {
+// Increment counter. details: optional { quantity, snackTypeId, note } from the picker
+async function incrementCounter(details = {}) {
     if (!buttonEnabled) {
         return; // Button is disabled, don't attempt increment
     }
 
+    let response;
     try {
-        const response = await fetch('/api/increment', {
+        response = await fetch('/api/increment', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            credentials: 'same-origin'
+            credentials: 'same-origin',
+            body: JSON.stringify(Object.assign({ counterId: currentCounterId }, details))
         });
+    } catch (error) {
+        // Only a snack that couldn't reach the server is queued; one the server refused is not,
+        // and neither is one it would refuse for the cooldown
+        if (getOfflineOpensAt(lastButtonState, pendingActions) > Date.now()) {
+            updateOfflineButtonState();
+            return;
+        }
+        console.error('Failed to reach the server, queueing the snack for later:', error);
+        await queueOfflineAction(Object.assign({
+            type: 'increment',
+            counterId: currentCounterId,
+            timestamp: new Date().toISOString()
+        }, details));
+        animatePig();
+        updateOfflineButtonState();
+        return;
+    }
 
+    try {
         if (response.ok) {
             const data = await response.json();
-            currentCount = data.count;
-            currentLog = data.log;
+            applyCounterData(data);
             updateDisplay();
             animatePig();
+            showCelebrations(data.celebrations || []);
             // Immediately check button state after successful increment
             setTimeout(checkButtonState, 100);
         } else if (response.status === 429) {
             // Rate limited - update button state with remaining time
             const errorData = await response.json();
-            updateButtonState(false, errorData.remainingTime);
+            updateButtonState(false, errorData.remainingTime, errorData.message);
             console.log('Rate limited:', errorData.message);
         } else {
-            throw new Error('Server responded with error');
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Server responded with error');
         }
     } catch (error) {
         console.error('Failed to increment counter:', error);
-        // Fallback: increment locally and save
-        currentCount++;
-        const timestamp = new Date().toLocaleString();
-        const id = Date.now().toString();
-        currentLog.unshift({
-            id: id,
-            timestamp: timestamp,
-            count: currentCount
-        });
-        if (currentLog.length > 20) {
-            currentLog = currentLog.slice(0, 20);
-        }
-        saveLocalData();
+        showToast(error.message, null, null, 4000);
+    }
+}
+
+// Keep an action in the offline queue until the server has it
+async function queueOfflineAction(action) {
+    try {
+        await queueAction(Object.assign({ accessCode: roomAccessCode }, action));
+        await loadPendingActions();
         updateDisplay();
-        animatePig();
+        requestBackgroundSync();
+    } catch (error) {
+        console.error('Failed to queue offline action:', error);
+        showToast('Could not save this change while offline', null, null, 3000);
     }
 }
 
+async function loadPendingActions() {
+    try {
+        pendingActions = roomAccessCode ? await listQueuedActions(roomAccessCode) : [];
+    } catch (error) {
+        console.error('Failed to read the offline queue:', error);
+        pendingActions = [];
+    }
+
+    const count = pendingActions.length;
+    syncStatusDisplay.hidden = count === 0;
+    syncStatusDisplay.textContent = `⏳ ${count} ${count === 1 ? 'change' : 'changes'} waiting to sync`;
+}
+
+// Let the service worker replay the queue once the connection is back, even
+// if this page is closed by then (Background Sync, where the browser has it)
+async function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(SYNC_TAG);
+        }
+    } catch (error) {
+        console.log('Background sync not available:', error);
+    }
+}
+
+// Send queued actions now, and show the result
+async function syncOfflineQueue() {
+    if (syncing || pendingActions.length === 0) return;
+
+    syncing = true;
+    try {
+        const result = await replayQueue();
+        await showSyncResult(result);
+    } catch (error) {
+        console.log('Still offline, keeping queued changes');
+    } finally {
+        syncing = false;
+    }
+}
+
+async function showSyncResult(result) {
+    await loadPendingActions();
+    if (result.synced > 0 || result.rejected > 0) {
+        await loadCounterData();
+        checkButtonState();
+    }
+    updateDisplay();
+
+    if (result.rejected > 0) {
+        const changes = result.rejected === 1 ? '1 offline change was' : `${result.rejected} offline changes were`;
+        showToast(`${changes} not accepted by the room's rules`, null, null, 5000);
+    }
+}
+
+// The server's log with the offline queue applied: queued snacks on top,
+// queued deletes left out
+function getDisplayedLog() {
+    const deletedIds = new Set(pendingActions.filter(action => action.type === 'delete').map(action => action.logId));
+    const queuedEntries = pendingActions
+        .filter(action => action.type === 'increment' && action.counterId === currentCounterId)
+        .map(action => ({
+            id: action.clientId,
+            clientId: action.clientId,
+            counterId: action.counterId,
+            timestamp: action.timestamp,
+            quantity: action.quantity,
+            snackTypeId: action.snackTypeId,
+            note: action.note,
+            userId: currentUserId,
+            pending: true
+        }))
+        .reverse();
+
+    return queuedEntries.concat(currentLog.filter(entry => !deletedIds.has(entry.id)));
+}
+
+function getDisplayedCount() {
+    return pendingActions.reduce((count, action) => {
+        if (action.counterId !== currentCounterId) return count;
+        const quantity = action.quantity || 1;
+        return action.type === 'increment' ? count + quantity : count - quantity;
+    }, currentCount);
+}
+
 // Update the display
 function updateDisplay() {
-    countDisplay.textContent = currentCount;
+    const log = getDisplayedLog();
+    countDisplay.textContent = getDisplayedCount();
 
     // Update pig size based on current count
     updatePigSize();
 
     // Update log
     logContainer.innerHTML = '';
-    if (currentLog.length === 0) {
+    if (log.length === 0) {
         logContainer.innerHTML = '<div class="log-entry"><span class="log-text">Welcome to the Snack Counter!</span></div>';
     } else {
-        currentLog.forEach(entry => {
+        log.forEach(entry => {
             const logEntry = document.createElement('div');
-            logEntry.className = 'log-entry';
+            logEntry.className = 'log-entry' + (entry.pending ? ' pending' : '');
 
             const logText = document.createElement('span');
             logText.className = 'log-text';
-            const username = entry.username || 'Anonymous';
-            logText.textContent = `${entry.timestamp} - ${username} clicked +`;
+            const member = members.get(entry.userId);
+            if (!member && entry.userId) {
+                refreshMembersFor(entry.userId);
+            }
+
+            const avatar = document.createElement('span');
+            avatar.className = 'avatar';
+            avatar.textContent = member ? member.emoji : '👤';
+            if (member) {
+                avatar.style.backgroundColor = member.color;
+            }
 
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'delete-btn';
-            deleteBtn.textContent = '×';
-            deleteBtn.onclick = () => deleteLogEntry(entry.id);
+            // Tap the time to switch between "3 min ago" and the full date
+            const logTime = document.createElement('time');
+            logTime.className = 'log-time';
+            logTime.dateTime = entry.timestamp;
+            logTime.textContent = formatEntryTime(entry.timestamp, timeFormat);
+            logTime.title = formatEntryTime(entry.timestamp, timeFormat === 'relative' ? 'absolute' : 'relative');
+            logTime.onclick = toggleTimeFormat;
 
+            const snack = describeSnack(entry);
+            const name = member ? member.name : 'Someone';
+            logText.append(avatar, logTime, ` - ${snack ? `${name} had ${snack}` : `${name} clicked +`}${entry.pending ? ' (waiting to sync)' : ''}`);
+            if (entry.note) {
+                const note = document.createElement('span');
+                note.className = 'log-note';
+                note.textContent = entry.note;
+                logText.appendChild(note);
+            }
             logEntry.appendChild(logText);
-            logEntry.appendChild(deleteBtn);
+
+            if (entry.editedAt) {
+                const edited = document.createElement('span');
+                edited.className = 'log-edited';
+                edited.textContent = ' (edited)';
+                edited.title = formatEntryTime(entry.editedAt, 'absolute');
+                logText.insertBefore(edited, logText.querySelector('.log-note'));
+            }
+
+            // Only the room owner can edit and delete entries once the room is claimed
+            if (canManageRoom && !entry.pending) {
+                const editBtn = document.createElement('button');
+                editBtn.className = 'edit-btn';
+                editBtn.textContent = '✏️';
+                editBtn.title = 'Edit this snack';
+                editBtn.onclick = () => openEditDialog(entry);
+                logEntry.appendChild(editBtn);
+            }
+            if (canManageRoom) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'delete-btn';
+                deleteBtn.textContent = '×';
+                deleteBtn.onclick = () => entry.pending ? cancelQueuedIncrement(entry.clientId) : deleteLogEntry(entry.id);
+                logEntry.appendChild(deleteBtn);
+            }
+
             logContainer.appendChild(logEntry);
         });
+
+        if (hasMoreLog) {
+            const moreEntry = document.createElement('div');
+            moreEntry.className = 'log-entry log-more';
+            moreEntry.textContent = 'Scroll for older snacks';
+            logContainer.appendChild(moreEntry);
+        }
     }
 }
 
+// "3 × 🍩 Donut", or null for a single snack without a type (like the server's describeSnack)
+function describeSnack(entry) {
+    const quantity = entry.quantity || 1;
+    const snackType = entry.snackTypeId && snackTypes.find(type => type.id === entry.snackTypeId);
+    if (!snackType) {
+        return quantity > 1 ? `${quantity} snacks` : null;
+    }
+    const name = `${snackType.emoji} ${snackType.name}`;
+    return quantity > 1 ? `${quantity} × ${name}` : name;
+}
+
+// Entry time in the viewer's locale and time zone, either relative or absolute
+function formatEntryTime(timestamp, format) {
+    const time = Date.parse(timestamp);
+    if (isNaN(time)) {
+        return timestamp; // Left over from an older version of the page
+    }
+
+    if (format === 'absolute') {
+        return new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    const seconds = Math.round((time - Date.now()) / 1000);
+    const relative = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    if (Math.abs(seconds) < 45) return relative.format(0, 'second');
+    if (Math.abs(seconds) < 3600) return relative.format(Math.round(seconds / 60), 'minute');
+    if (Math.abs(seconds) < 86400) return relative.format(Math.round(seconds / 3600), 'hour');
+    if (Math.abs(seconds) < 7 * 86400) return relative.format(Math.round(seconds / 86400), 'day');
+    return new Date(time).toLocaleDateString(undefined, { dateStyle: 'medium' });
+}
+
+function toggleTimeFormat() {
+    timeFormat = timeFormat === 'relative' ? 'absolute' : 'relative';
+    localStorage.setItem('timeFormat', timeFormat);
+    updateDisplay();
+}
+
 // Delete log entry
 async function deleteLogEntry(logId) {
+    let response;
     try {
-        const response = await fetch(`/api/log/${logId}`, {
+        response = await fetch(`/api/log/${logId}`, {
             method: 'DELETE',
             credentials: 'same-origin'
         });
+    } catch (error) {
+        console.error('Failed to reach the server, queueing the delete for later:', error);
+        const entry = currentLog.find(entry => entry.id === logId);
+        await queueOfflineAction({
+            type: 'delete',
+            logId: logId,
+            counterId: entry ? entry.counterId : currentCounterId,
+            quantity: entry ? entry.quantity || 1 : 1
+        });
+        return;
+    }
 
+    try {
         if (response.ok) {
             const data = await response.json();
-            currentCount = data.count;
-            currentLog = data.log;
+            applyCounterData(data);
+            updateDisplay();
+
+            // Offer undo until the server stops accepting it
+            const undoTime = Math.min(10000, Date.parse(data.undo.until) - Date.now());
+            showToast('Snack deleted', 'Undo', () => undoDelete(logId), undoTime);
+        } else if (response.status === 403) {
+            // The room was claimed since the page loaded
+            alert('Only the room owner can delete snacks. Sign in from the settings page.');
+            canManageRoom = false;
             updateDisplay();
         } else {
-            throw new Error('Server responded with error');
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Server responded with error');
         }
     } catch (error) {
         console.error('Failed to delete log entry:', error);
-        // Fallback: remove locally and save
-        currentLog = currentLog.filter(entry => entry.id !== logId);
-        currentCount = currentLog.length;
-        saveLocalData();
+        showToast(error.message, null, null, 4000);
+    }
+}
+
+// Deleting a snack that never reached the server just takes it out of the queue
+async function cancelQueuedIncrement(clientId) {
+    try {
+        await removeQueuedAction(clientId);
+    } catch (error) {
+        console.error('Failed to remove queued snack:', error);
+    }
+    await loadPendingActions();
+    updateDisplay();
+}
+
+// Bring back a snack that was just deleted
+async function undoDelete(logId) {
+    try {
+        const response = await fetch(`/api/log/${logId}/restore`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Server responded with error');
+        }
+
+        // Start from the first page again so the entry shows up in its place
+        currentLog = [];
+        applyCounterData(data);
+        updateDisplay();
+        showToast('Snack restored', 'Redo', () => deleteLogEntry(logId), 5000);
+    } catch (error) {
+        console.error('Failed to undo delete:', error);
+        showToast(error.message, null, null, 3000);
+    }
+}
+
+// Message at the bottom of the screen with an optional action button
+function showToast(text, actionLabel, action, duration) {
+    clearTimeout(toastTimeout);
+    toastText.textContent = text;
+    toastAction.hidden = !actionLabel;
+    toastAction.textContent = actionLabel || '';
+    toastAction.onclick = () => {
+        hideToast();
+        action();
+    };
+    toast.hidden = false;
+    toastTimeout = setTimeout(hideToast, duration);
+}
+
+function hideToast() {
+    clearTimeout(toastTimeout);
+    toast.hidden = true;
+}
+
+// Badges and goals from the server: a toast for all of them, and a party
+// for everything but a missed goal
+function showCelebrations(celebrations) {
+    const fresh = celebrations.filter(celebration => !shownCelebrations.has(celebration.id));
+    if (fresh.length === 0) return;
+    fresh.forEach(celebration => shownCelebrations.add(celebration.id));
+
+    showToast(fresh.map(celebration => celebration.text).join(' · '), null, null, 6000);
+
+    const parties = fresh.filter(celebration => celebration.type !== 'goal-missed');
+    if (parties.length > 0) {
+        throwConfetti(parties.map(celebration => celebration.emoji));
+        pigContainer.classList.remove('party');
+        void pigContainer.offsetWidth; // Restart the animation
+        pigContainer.classList.add('party');
+        setTimeout(() => pigContainer.classList.remove('party'), 1600);
+    }
+}
+
+// Emojis flying out from the pig
+function throwConfetti(emojis) {
+    const pieces = emojis.concat(['🎉', '✨', '🐷']);
+    const origin = pigContainer.getBoundingClientRect();
+
+    for (let i = 0; i < 24; i++) {
+        const piece = document.createElement('span');
+        piece.className = 'confetti-piece';
+        piece.textContent = pieces[i % pieces.length];
+        piece.style.left = `${origin.left + origin.width / 2}px`;
+        piece.style.top = `${origin.top + origin.height / 2}px`;
+
+        const angle = Math.random() * Math.PI * 2;
+        const distance = 80 + Math.random() * 140;
+        piece.style.setProperty('--dx', `${Math.cos(angle) * distance}px`);
+        piece.style.setProperty('--dy', `${Math.sin(angle) * distance - 60}px`);
+        piece.style.animationDelay = `${Math.random() * 0.2}s`;
+
+        confettiLayer.appendChild(piece);
+        setTimeout(() => piece.remove(), 1800);
+    }
+}
+
+// Snack picker: long-press the + button to choose a snack type, a quantity,
+// a note and, for a snack someone forgot to add, when it happened
+function openSnackPicker() {
+    closeEditDialog();
+    pickedQuantity = 1;
+    pickedSnackTypeId = null;
+    snackNoteInput.value = '';
+    snackTimeInput.value = '';
+    snackTimeInput.min = toDateTimeInput(Date.now() - MAX_BACKDATE_MS);
+    snackTimeInput.max = toDateTimeInput(Date.now());
+    renderSnackPicker();
+    snackPicker.hidden = false;
+}
+
+function closeSnackPicker() {
+    snackPicker.hidden = true;
+}
+
+function renderSnackPicker() {
+    quantityValue.textContent = pickedQuantity;
+
+    const choices = [{ id: null, emoji: '🐷', name: 'Any snack' }]
+        .concat(snackTypes.filter(snackType => !snackType.archived));
+    snackPickerTypes.innerHTML = '';
+    choices.forEach(snackType => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'snack-type-chip' + (snackType.id === pickedSnackTypeId ? ' active' : '');
+        chip.textContent = `${snackType.emoji} ${snackType.name}`;
+        chip.onclick = () => {
+            pickedSnackTypeId = snackType.id;
+            renderSnackPicker();
+        };
+        snackPickerTypes.appendChild(chip);
+    });
+}
+
+function changeQuantity(step) {
+    pickedQuantity = Math.min(MAX_QUANTITY, Math.max(1, pickedQuantity + step));
+    quantityValue.textContent = pickedQuantity;
+}
+
+function submitSnackPicker(e) {
+    e.preventDefault();
+    closeSnackPicker();
+
+    const details = {};
+    if (pickedQuantity > 1) details.quantity = pickedQuantity;
+    if (pickedSnackTypeId) details.snackTypeId = pickedSnackTypeId;
+    if (snackNoteInput.value.trim()) details.note = snackNoteInput.value.trim();
+    if (snackTimeInput.value) details.timestamp = new Date(snackTimeInput.value).toISOString();
+    incrementCounter(details);
+}
+
+// "2025-10-19T15:04" in the viewer's time zone, for datetime-local inputs
+function toDateTimeInput(time) {
+    const date = new Date(time);
+    return new Date(time - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fillSelect(select, options, selected) {
+    select.innerHTML = '';
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+function openEditDialog(entry) {
+    editingEntry = entry;
+
+    const memberOptions = Array.from(members.values()).map(member => [member.id, `${member.emoji} ${member.name}`]);
+    fillSelect(document.getElementById('editMember'), memberOptions, entry.userId);
+
+    // Archived types can't be picked, except the one the snack already has
+    const typeOptions = [['', '🐷 Any snack']].concat(snackTypes
+        .filter(snackType => !snackType.archived || snackType.id === entry.snackTypeId)
+        .map(snackType => [snackType.id, `${snackType.emoji} ${snackType.name}`]));
+    fillSelect(document.getElementById('editSnackType'), typeOptions, entry.snackTypeId || '');
+
+    const editTime = document.getElementById('editTime');
+    editTime.value = toDateTimeInput(Date.parse(entry.timestamp));
+    editTime.max = toDateTimeInput(Date.now());
+    document.getElementById('editQuantity').value = entry.quantity || 1;
+    document.getElementById('editNote').value = entry.note || '';
+
+    closeSnackPicker();
+    editDialog.hidden = false;
+}
+
+function closeEditDialog() {
+    editDialog.hidden = true;
+    editingEntry = null;
+}
+
+// Send only what changed; the time input has no seconds, so an unchanged
+// minute keeps the original time
+async function submitEditDialog(e) {
+    e.preventDefault();
+    const entry = editingEntry;
+    const changes = {};
+
+    const userId = document.getElementById('editMember').value;
+    if (userId && userId !== entry.userId) changes.userId = userId;
+
+    const time = document.getElementById('editTime').value;
+    if (time !== toDateTimeInput(Date.parse(entry.timestamp))) changes.timestamp = new Date(time).toISOString();
+
+    const snackTypeId = document.getElementById('editSnackType').value || null;
+    if (snackTypeId !== (entry.snackTypeId || null)) changes.snackTypeId = snackTypeId;
+
+    const quantity = Number(document.getElementById('editQuantity').value);
+    if (quantity !== (entry.quantity || 1)) changes.quantity = quantity;
+
+    const note = document.getElementById('editNote').value.trim();
+    if (note !== (entry.note || '')) changes.note = note || null;
+
+    closeEditDialog();
+    if (Object.keys(changes).length === 0) return;
+
+    try {
+        const response = await fetch(`/api/log/${encodeURIComponent(entry.id)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Server responded with error');
+        }
+
+        // Start from the first page again, the entry may have moved
+        currentLog = [];
+        applyCounterData(data);
         updateDisplay();
+        showToast('Snack updated', null, null, 3000);
+    } catch (error) {
+        console.error('Failed to edit log entry:', error);
+        showToast(error.message, null, null, 4000);
     }
 }
 
+function startLongPress() {
+    longPressed = false;
+    clearTimeout(longPressTimeout);
+    longPressTimeout = setTimeout(() => {
+        longPressed = true;
+        openSnackPicker();
+    }, LONG_PRESS_MS);
+}
+
+function cancelLongPress() {
+    clearTimeout(longPressTimeout);
+}
+
+// A short press is a single snack; a long press already opened the picker
+function handleIncrementPress() {
+    if (longPressed) {
+        longPressed = false;
+        return;
+    }
+    incrementCounter();
+}
+
 // Update pig size based on current count
 function updatePigSize() {
     // Calculate width based on count (only horizontal scaling)
     // Pig gets wider with positive counts, narrower with zero/negative
-    const scaleX = Math.max(0.5, 1 + (currentCount * 0.01)); // Min 50% width, max unlimited
+    const scaleX = Math.max(0.5, 1 + (getDisplayedCount() * 0.01)); // Min 50% width, max unlimited
     pig.style.transform = `scaleX(${scaleX})`;
+
+    // Each counter gets its own pig: a different colour and its emoji
+    const counterIndex = Math.max(0, counters.findIndex(counter => counter.id === currentCounterId));
+    pig.style.filter = counterIndex > 0 ? `hue-rotate(${(counterIndex * 67) % 360}deg)` : '';
+    const currentCounter = counters[counterIndex];
+    pigBadge.textContent = counters.length > 1 && currentCounter ? currentCounter.emoji : '';
 }
 
 // Animate the pig (just the bounce effect, size is handled separately)
@@ -273,10 +981,28 @@ function startFlyingPig() {
 }
 
 // Event listeners
-incrementBtn.addEventListener('click', incrementCounter);
+incrementBtn.addEventListener('click', handleIncrementPress);
+incrementBtn.addEventListener('pointerdown', startLongPress);
+incrementBtn.addEventListener('pointerup', cancelLongPress);
+incrementBtn.addEventListener('pointerleave', cancelLongPress);
+incrementBtn.addEventListener('pointercancel', cancelLongPress);
+incrementBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+snackPicker.addEventListener('submit', submitSnackPicker);
+editDialog.addEventListener('submit', submitEditDialog);
+document.getElementById('editCancel').addEventListener('click', closeEditDialog);
+document.getElementById('snackPickerCancel').addEventListener('click', closeSnackPicker);
+document.getElementById('quantityDown').addEventListener('click', () => changeQuantity(-1));
+document.getElementById('quantityUp').addEventListener('click', () => changeQuantity(1));
 darkModeToggle.addEventListener('click', toggleDarkMode);
 logoutBtn.addEventListener('click', logout);
 
+// Load older entries when the log is scrolled near the bottom
+logContainer.addEventListener('scroll', () => {
+    if (logContainer.scrollTop + logContainer.clientHeight >= logContainer.scrollHeight - 40) {
+        loadOlderLog();
+    }
+});
+
 // Touch events for mobile
 incrementBtn.addEventListener('touchstart', (e) => {
     e.preventDefault();
@@ -286,7 +1012,7 @@ incrementBtn.addEventListener('touchstart', (e) => {
 incrementBtn.addEventListener('touchend', (e) => {
     e.preventDefault();
     incrementBtn.style.transform = 'scale(1)';
-    incrementCounter();
+    handleIncrementPress();
 });
 
 // Theme toggle (dark mode is default, toggle to light mode)
@@ -305,8 +1031,10 @@ function toggleDarkMode() {
 }
 
 // Logout function
-function logout() {
+async function logout() {
     if (confirm('Are you sure you want to log out?')) {
+        await clearOfflineCaches();
+
         // Create a form to POST to logout endpoint
         const form = document.createElement('form');
         form.method = 'POST';
@@ -316,6 +1044,16 @@ function logout() {
     }
 }
 
+// The cached page and API responses belong to this room and session;
+// the service worker fills the caches again on the next visit
+async function clearOfflineCaches() {
+    localStorage.removeItem('snackCounter');
+    if (!('caches' in window)) return;
+
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('snack-counter-')).map(name => caches.delete(name)));
+}
+
 // Initialize theme from localStorage (dark mode is default)
 function initDarkMode() {
     const savedDarkMode = localStorage.getItem('darkMode');
@@ -335,43 +1073,50 @@ function initDarkMode() {
     }
 }
 
-// Get username from cookies and display it
+// Get username from the server (it lives in the signed session cookie) and display it
 function initUserDisplay() {
-    // Try to get username from document.cookie (client-side cookies)
-    const cookies = document.cookie.split(';');
-    let username = 'Guest';
-
-    for (let cookie of cookies) {
-        const [name, value] = cookie.trim().split('=');
-        if (name.trim() === 'username') {
-            username = decodeURIComponent(value.trim());
-            break;
+    currentUserDisplay.textContent = 'Guest';
+
+    fetch('/api/user-info', {
+        method: 'GET',
+        credentials: 'same-origin'
+    })
+    .then(response => response.json())
+    .then(data => {
+        currentUserId = data.userId;
+        if (data.username && data.username !== 'Anonymous') {
+            currentUserDisplay.textContent = data.profile ? `${data.profile.emoji} ${data.username}` : data.username;
         }
-    }
+    })
+    .catch(error => {
+        console.log('Could not get user info from server');
+    });
+}
 
-    // If we still don't have a username, try to get it from the server
-    if (username === 'Guest') {
-        // Make a request to get current user info
-        fetch('/api/user-info', {
-            method: 'GET',
-            credentials: 'same-origin'
-        })
-        .then(response => response.json())
-        .then(data => {
-            if (data.username && data.username !== 'Anonymous') {
-                currentUserDisplay.textContent = data.username;
+function initOfflineSync() {
+    window.addEventListener('online', syncOfflineQueue);
+    syncStatusDisplay.onclick = syncOfflineQueue;
+
+    // The service worker tells open pages when it has replayed the queue
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service Worker registration failed:', error);
+        });
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'queue-synced') {
+                showSyncResult(event.data.result);
             }
-        })
-        .catch(error => {
-            console.log('Could not get user info from server');
         });
-    } else {
-        currentUserDisplay.textContent = username;
     }
 }
 
 // Push notification functions
 async function initPushNotifications() {
+    // Turned off from the settings page on this device
+    if (localStorage.getItem('notificationsOff') === 'true') {
+        return;
+    }
+
     if ('serviceWorker' in navigator && 'PushManager' in window) {
         try {
             // Register service worker
@@ -448,6 +1193,76 @@ function urlBase64ToUint8Array(base64String) {
     return outputArray;
 }
 
+// Real-time updates from the server, falling back to polling while the stream is down
+function connectEvents() {
+    if (!('EventSource' in window)) {
+        startPolling();
+        return;
+    }
+
+    eventSource = new EventSource(`/api/events${counterQuery()}`, { withCredentials: true });
+
+    eventSource.addEventListener('open', () => {
+        console.log('Live updates connected');
+        stopPolling();
+    });
+
+    eventSource.addEventListener('counter', (event) => {
+        const data = JSON.parse(event.data);
+        applyCounterData(data);
+        updateDisplay();
+    });
+
+    // Someone earned a badge or the room reached (or missed) a goal
+    eventSource.addEventListener('celebration', (event) => {
+        showCelebrations(JSON.parse(event.data));
+    });
+
+    // Someone joined or changed their profile
+    eventSource.addEventListener('members', (event) => {
+        setMembers(JSON.parse(event.data));
+        updateDisplay();
+    });
+
+    eventSource.addEventListener('button-state', (event) => {
+        applyButtonState(JSON.parse(event.data));
+    });
+
+    eventSource.addEventListener('error', () => {
+        console.log('Live updates interrupted, polling until reconnected');
+        startPolling();
+
+        // The browser retries on its own unless the stream was closed for good
+        if (eventSource.readyState === EventSource.CLOSED && !reconnectTimeout) {
+            reconnectTimeout = setTimeout(() => {
+                reconnectTimeout = null;
+                connectEvents();
+            }, 10000);
+        }
+    });
+}
+
+// Periodic refresh to sync with other users (only while live updates are down)
+function startPolling() {
+    if (pollInterval) return;
+    pollInterval = setInterval(async () => {
+        try {
+            await loadCounterData();
+            updateDisplay();
+            await checkButtonState(); // Also check button state
+        } catch (error) {
+            // Silent fail for periodic updates
+        }
+    }, 5000); // Refresh every 5 seconds
+}
+
+function stopPolling() {
+    if (pollInterval) {
+        clearInterval(pollInterval);
+        pollInterval = null;
+    }
+}
+
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
     init();
@@ -455,16 +1270,10 @@ document.addEventListener('DOMContentLoaded', () => {
     initUserDisplay(); // Display current user
     startFlyingPig();
     checkButtonState(); // Check initial button state
+    connectEvents(); // Subscribe to live room updates
     initPushNotifications(); // Initialize push notifications
+    initOfflineSync(); // Send snacks made offline once the connection is back
+    setInterval(() => {
+        if (timeFormat === 'relative') updateDisplay(); // Keep "3 min ago" current
+    }, 60000);
 });
-
-// Periodic refresh to sync with other users
-setInterval(async () => {
-    try {
-        await loadCounterData();
-        updateDisplay();
-        await checkButtonState(); // Also check button state
-    } catch (error) {
-        // Silent fail for periodic updates
-    }
-}, 5000); // Refresh every 5 seconds
@@ -0,0 +1,989 @@
+// DOM Elements
+const roomCodeDisplay = document.getElementById('roomCode');
+const roomOwnerDisplay = document.getElementById('roomOwner');
+const messageDisplay = document.getElementById('settingsMessage');
+const profileForm = document.getElementById('profileForm');
+const profilePinStatus = document.getElementById('profilePinStatus');
+const removePinBtn = document.getElementById('removePinBtn');
+const notificationForm = document.getElementById('notificationForm');
+const notificationStatus = document.getElementById('notificationStatus');
+const notificationFields = document.getElementById('notificationFields');
+const notificationsOnBtn = document.getElementById('notificationsOnBtn');
+const unsubscribeBtn = document.getElementById('unsubscribeBtn');
+
+// This browser's push subscription, if notifications are on
+let pushSubscription = null;
+const claimForm = document.getElementById('claimForm');
+const unlockForm = document.getElementById('unlockForm');
+const adminSection = document.getElementById('adminSection');
+const pinForm = document.getElementById('pinForm');
+const roomPasswordForm = document.getElementById('roomPasswordForm');
+const roomPasswordStatus = document.getElementById('roomPasswordStatus');
+const policyForm = document.getElementById('policyForm');
+const counterList = document.getElementById('counterList');
+const counterForm = document.getElementById('counterForm');
+const snackTypeList = document.getElementById('snackTypeList');
+const snackTypeForm = document.getElementById('snackTypeForm');
+const goalList = document.getElementById('goalList');
+const goalForm = document.getElementById('goalForm');
+const goalCounterSelect = document.getElementById('goalCounter');
+const webhookList = document.getElementById('webhookList');
+const webhookForm = document.getElementById('webhookForm');
+const tokenList = document.getElementById('tokenList');
+const tokenForm = document.getElementById('tokenForm');
+const newToken = document.getElementById('newToken');
+const newTokenValue = document.getElementById('newTokenValue');
+const backupStatus = document.getElementById('backupStatus');
+const backupList = document.getElementById('backupList');
+const exportForm = document.getElementById('exportForm');
+const importFile = document.getElementById('importFile');
+const importPreview = document.getElementById('importPreview');
+const importMode = document.getElementById('importMode');
+const importSummary = document.getElementById('importSummary');
+const importApplyBtn = document.getElementById('importApplyBtn');
+const importCancelBtn = document.getElementById('importCancelBtn');
+
+// Parsed backup waiting for the owner to confirm the preview
+let pendingImport = null;
+const resetBtn = document.getElementById('resetBtn');
+const lockBtn = document.getElementById('lockBtn');
+
+// Load room ownership and show the matching sections
+async function loadRoomInfo() {
+    try {
+        const response = await fetch('/api/room', { credentials: 'same-origin' });
+        const room = await response.json();
+
+        roomCodeDisplay.textContent = room.accessCode;
+        roomOwnerDisplay.textContent = room.owner || 'Nobody yet';
+
+        claimForm.hidden = !!room.owner;
+        unlockForm.hidden = !room.owner || room.isAdmin;
+        adminSection.hidden = !room.isAdmin;
+        fillPolicyForm(room.policy);
+        showRoomPasswordStatus(room.hasPassword);
+        if (room.isAdmin) {
+            loadCounters();
+            loadSnackTypes();
+            loadGoals();
+            loadWebhooks();
+            loadTokens();
+            loadBackups();
+        }
+    } catch (error) {
+        console.error('Failed to load room info:', error);
+        showMessage('Could not load room settings.', true);
+    }
+}
+
+// Load your own member profile into the profile form
+async function loadProfile() {
+    try {
+        const response = await fetch('/api/user-info', { credentials: 'same-origin' });
+        const data = await response.json();
+        if (data.profile) {
+            fillProfileForm(data.profile);
+        }
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+    }
+}
+
+function fillProfileForm(profile) {
+    document.getElementById('profileEmoji').value = profile.emoji;
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileColor').value = profile.color;
+    document.getElementById('profilePin').value = '';
+    profilePinStatus.textContent = profile.hasPin
+        ? 'Your name is protected with a PIN.'
+        : 'Anyone who signs in with your name can snack as you. Set a PIN to stop that.';
+    removePinBtn.hidden = !profile.hasPin;
+}
+
+// Find this device's push subscription and show its preferences
+async function loadNotificationPreferences() {
+    notificationFields.hidden = true;
+    notificationsOnBtn.hidden = true;
+
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+        notificationStatus.textContent = 'This browser does not support notifications.';
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        pushSubscription = registration ? await registration.pushManager.getSubscription() : null;
+        if (!pushSubscription) {
+            notificationStatus.textContent = 'Notifications are off on this device.';
+            notificationsOnBtn.hidden = false;
+            return;
+        }
+
+        const response = await fetch(`/api/notifications/preferences?endpoint=${encodeURIComponent(pushSubscription.endpoint)}`, { credentials: 'same-origin' });
+        if (response.status === 404) {
+            // Subscribed in the browser, but the room no longer knows it: the counter page will subscribe again
+            notificationStatus.textContent = 'Notifications are off on this device.';
+            notificationsOnBtn.hidden = false;
+            return;
+        }
+        const data = await response.json();
+        fillNotificationForm(data.preferences);
+    } catch (error) {
+        console.error('Failed to load notification preferences:', error);
+        notificationStatus.textContent = 'Could not load notification settings.';
+    }
+}
+
+function fillNotificationForm(preferences) {
+    notificationStatus.textContent = 'Notifications are on. Choose what this device hears about:';
+    notificationFields.hidden = false;
+    document.getElementById('notificationMode').value = preferences.mode;
+    document.getElementById('milestoneEvery').value = preferences.milestoneEvery;
+    document.getElementById('digestTime').value = preferences.digestTime;
+    document.getElementById('muteOwn').checked = preferences.muteOwn;
+    document.getElementById('notifyQuietEnabled').checked = !!preferences.quietHours;
+    if (preferences.quietHours) {
+        document.getElementById('notifyQuietStart').value = preferences.quietHours.start;
+        document.getElementById('notifyQuietEnd').value = preferences.quietHours.end;
+    }
+}
+
+// Show the room's current snack rules in the policy form
+function fillPolicyForm(policy) {
+    document.getElementById('cooldownSeconds').value = policy.cooldownSeconds;
+    document.getElementById('cooldownScope').value = policy.cooldownScope;
+    document.getElementById('dailyLimitPerUser').value = policy.dailyLimitPerUser || '';
+    document.getElementById('quietHoursEnabled').checked = !!policy.quietHours;
+    if (policy.quietHours) {
+        document.getElementById('quietStart').value = policy.quietHours.start;
+        document.getElementById('quietEnd').value = policy.quietHours.end;
+    }
+    document.getElementById('policyTimeZone').value = policy.timeZone;
+}
+
+// List the room's counters, each with its own edit controls
+async function loadCounters() {
+    try {
+        const response = await fetch('/api/counters', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        counterList.innerHTML = '';
+        data.counters.forEach(counter => counterList.appendChild(createCounterRow(counter)));
+        fillGoalCounters(data.counters);
+    } catch (error) {
+        console.error('Failed to load counters:', error);
+        showMessage('Could not load counters.', true);
+    }
+}
+
+function createCounterRow(counter) {
+    const row = document.createElement('form');
+    row.className = 'settings-row counter-row' + (counter.archived ? ' archived' : '');
+
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'emoji-input';
+    emojiInput.maxLength = 8;
+    emojiInput.value = counter.emoji;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 30;
+    nameInput.required = true;
+    nameInput.value = counter.name;
+
+    const cooldownInput = document.createElement('input');
+    cooldownInput.type = 'number';
+    cooldownInput.className = 'cooldown-input';
+    cooldownInput.min = 0;
+    cooldownInput.max = 86400;
+    cooldownInput.placeholder = 'Room';
+    cooldownInput.title = 'Cooldown in seconds';
+    cooldownInput.value = counter.cooldownSeconds === null ? '' : counter.cooldownSeconds;
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'settings-btn';
+    saveBtn.textContent = 'Save';
+
+    const archiveBtn = document.createElement('button');
+    archiveBtn.type = 'button';
+    archiveBtn.className = 'settings-btn';
+    archiveBtn.textContent = counter.archived ? 'Restore' : 'Archive';
+    archiveBtn.onclick = async () => {
+        try {
+            await sendJson(`/api/counters/${encodeURIComponent(counter.id)}/${counter.archived ? 'restore' : 'archive'}`, {});
+            showMessage(counter.archived ? `${counter.name} restored.` : `${counter.name} archived.`);
+            loadCounters();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    row.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await sendJson(`/api/counters/${encodeURIComponent(counter.id)}`, {
+                name: nameInput.value,
+                emoji: emojiInput.value || '🐷',
+                cooldownSeconds: cooldownInput.value === '' ? null : Number(cooldownInput.value)
+            }, 'PATCH');
+            showMessage('Counter saved.');
+            loadCounters();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    });
+
+    row.append(emojiInput, nameInput, cooldownInput, saveBtn, archiveBtn);
+    return row;
+}
+
+async function loadSnackTypes() {
+    try {
+        const response = await fetch('/api/snack-types', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        snackTypeList.innerHTML = '';
+        data.snackTypes.forEach(snackType => snackTypeList.appendChild(createSnackTypeRow(snackType)));
+    } catch (error) {
+        console.error('Failed to load snack types:', error);
+        showMessage('Could not load snack types.', true);
+    }
+}
+
+// Empty number inputs clear calories or cost
+function optionalNumber(input) {
+    return input.value === '' ? null : Number(input.value);
+}
+
+function createSnackTypeRow(snackType) {
+    const row = document.createElement('form');
+    row.className = 'settings-row counter-row' + (snackType.archived ? ' archived' : '');
+
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'emoji-input';
+    emojiInput.maxLength = 8;
+    emojiInput.value = snackType.emoji;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 30;
+    nameInput.required = true;
+    nameInput.value = snackType.name;
+
+    const caloriesInput = document.createElement('input');
+    caloriesInput.type = 'number';
+    caloriesInput.className = 'cooldown-input';
+    caloriesInput.min = 0;
+    caloriesInput.max = 10000;
+    caloriesInput.placeholder = 'kcal';
+    caloriesInput.title = 'Calories per piece';
+    caloriesInput.value = snackType.calories === null ? '' : snackType.calories;
+
+    const costInput = document.createElement('input');
+    costInput.type = 'number';
+    costInput.className = 'cooldown-input';
+    costInput.min = 0;
+    costInput.max = 10000;
+    costInput.step = '0.01';
+    costInput.placeholder = 'Cost';
+    costInput.title = 'Cost per piece';
+    costInput.value = snackType.cost === null ? '' : snackType.cost;
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'settings-btn';
+    saveBtn.textContent = 'Save';
+
+    const archiveBtn = document.createElement('button');
+    archiveBtn.type = 'button';
+    archiveBtn.className = 'settings-btn';
+    archiveBtn.textContent = snackType.archived ? 'Restore' : 'Archive';
+    archiveBtn.onclick = async () => {
+        try {
+            await sendJson(`/api/snack-types/${encodeURIComponent(snackType.id)}/${snackType.archived ? 'restore' : 'archive'}`, {});
+            showMessage(snackType.archived ? `${snackType.name} restored.` : `${snackType.name} archived.`);
+            loadSnackTypes();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    row.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await sendJson(`/api/snack-types/${encodeURIComponent(snackType.id)}`, {
+                name: nameInput.value,
+                emoji: emojiInput.value || '🍪',
+                calories: optionalNumber(caloriesInput),
+                cost: optionalNumber(costInput)
+            }, 'PATCH');
+            showMessage('Snack type saved.');
+            loadSnackTypes();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    });
+
+    row.append(emojiInput, nameInput, caloriesInput, costInput, saveBtn, archiveBtn);
+    return row;
+}
+
+// Goals can count one counter's snacks or the whole room's
+function fillGoalCounters(counters) {
+    const selected = goalCounterSelect.value;
+    goalCounterSelect.length = 1;
+    counters.filter(counter => !counter.archived).forEach(counter => {
+        const option = document.createElement('option');
+        option.value = counter.id;
+        option.textContent = `${counter.emoji} ${counter.name}`;
+        goalCounterSelect.appendChild(option);
+    });
+    goalCounterSelect.value = selected;
+    goalCounterSelect.hidden = counters.length < 2;
+}
+
+async function loadGoals() {
+    try {
+        const response = await fetch('/api/goals', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        goalList.innerHTML = '';
+        data.goals.forEach(goal => goalList.appendChild(createGoalRow(goal)));
+    } catch (error) {
+        console.error('Failed to load goals:', error);
+        showMessage('Could not load goals.', true);
+    }
+}
+
+function createGoalRow(goal) {
+    const row = document.createElement('div');
+    row.className = 'settings-row counter-row';
+
+    const description = document.createElement('span');
+    description.className = 'goal-row-text';
+    description.textContent = `${goal.description} (${goal.count} / ${goal.target})`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'settings-btn danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.onclick = async () => {
+        try {
+            await sendJson(`/api/goals/${encodeURIComponent(goal.id)}`, {}, 'DELETE');
+            showMessage('Goal removed.');
+            loadGoals();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    row.append(description, removeBtn);
+    return row;
+}
+
+// List the room's webhooks with their latest delivery
+async function loadWebhooks() {
+    try {
+        const response = await fetch('/api/webhooks', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        webhookList.innerHTML = '';
+        data.webhooks.forEach(webhook => webhookList.appendChild(createWebhookRow(webhook)));
+    } catch (error) {
+        console.error('Failed to load webhooks:', error);
+        showMessage('Could not load webhooks.', true);
+    }
+}
+
+function describeDelivery(delivery) {
+    if (!delivery) return 'Nothing sent yet';
+    const time = new Date(delivery.time).toLocaleString();
+    return delivery.ok
+        ? `Last sent ${time}`
+        : `Failed ${time}: ${delivery.error} (${delivery.attempts} ${delivery.attempts === 1 ? 'try' : 'tries'})`;
+}
+
+function createWebhookRow(webhook) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row' + (webhook.active ? '' : ' paused');
+
+    const url = document.createElement('div');
+    url.className = 'webhook-url';
+    url.textContent = `${webhook.format.toUpperCase()} · ${webhook.url}`;
+
+    const status = document.createElement('div');
+    status.className = 'webhook-status';
+    status.textContent = `${webhook.events.join(', ')} · ${describeDelivery(webhook.lastDelivery)}`;
+
+    const testBtn = document.createElement('button');
+    testBtn.type = 'button';
+    testBtn.className = 'settings-btn';
+    testBtn.textContent = 'Test';
+    testBtn.onclick = async () => {
+        try {
+            const delivery = await sendJson(`/api/webhooks/${encodeURIComponent(webhook.id)}/test`, {});
+            showMessage(delivery.ok ? 'Test sent.' : `Test failed: ${delivery.error}`, !delivery.ok);
+            loadWebhooks();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    const pauseBtn = document.createElement('button');
+    pauseBtn.type = 'button';
+    pauseBtn.className = 'settings-btn';
+    pauseBtn.textContent = webhook.active ? 'Pause' : 'Resume';
+    pauseBtn.onclick = async () => {
+        try {
+            await sendJson(`/api/webhooks/${encodeURIComponent(webhook.id)}`, { active: !webhook.active }, 'PATCH');
+            loadWebhooks();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'settings-btn danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.onclick = async () => {
+        if (!confirm('Stop sending events to this webhook?')) return;
+        try {
+            await sendJson(`/api/webhooks/${encodeURIComponent(webhook.id)}`, {}, 'DELETE');
+            showMessage('Webhook removed.');
+            loadWebhooks();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    const buttons = document.createElement('div');
+    buttons.className = 'settings-row';
+    buttons.append(testBtn, pauseBtn, removeBtn);
+
+    row.append(url, status, buttons);
+    return row;
+}
+
+// List the room's API tokens with what they may do and when they were last used
+async function loadTokens() {
+    try {
+        const response = await fetch('/api/tokens', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        tokenList.innerHTML = '';
+        data.tokens.forEach(token => tokenList.appendChild(createTokenRow(token)));
+    } catch (error) {
+        console.error('Failed to load API tokens:', error);
+        showMessage('Could not load API tokens.', true);
+    }
+}
+
+function createTokenRow(token) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row';
+
+    const name = document.createElement('div');
+    name.className = 'webhook-url';
+    name.textContent = `${token.name} · ${token.scopes.join(', ')}`;
+
+    const status = document.createElement('div');
+    status.className = 'webhook-status';
+    const lastUsed = token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used';
+    status.textContent = `Acts as ${token.actingAs || 'a removed member'} · ${lastUsed}`;
+
+    const revokeBtn = document.createElement('button');
+    revokeBtn.type = 'button';
+    revokeBtn.className = 'settings-btn danger';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.onclick = async () => {
+        if (!confirm(`Revoke "${token.name}"? Anything using it stops working.`)) return;
+        try {
+            await sendJson(`/api/tokens/${encodeURIComponent(token.id)}`, {}, 'DELETE');
+            showMessage('Token revoked.');
+            loadTokens();
+        } catch (error) {
+            showMessage(error.message, true);
+        }
+    };
+
+    row.append(name, status, revokeBtn);
+    return row;
+}
+
+// Names for why a snapshot was taken
+const BACKUP_REASONS = {
+    'scheduled': 'Hourly',
+    'manual': 'Saved by hand',
+    'before-import': 'Before an import',
+    'before-reset': 'Before a reset',
+    'before-restore': 'Before a restore',
+    'before-merge': 'Before a merge'
+};
+
+async function loadBackups() {
+    try {
+        const response = await fetch('/api/backups', { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        const { hourly, daily, weekly } = data.retention;
+        backupStatus.textContent = (data.intervalMinutes > 0
+            ? `The server saves a snapshot of this room every ${data.intervalMinutes} minutes it changes, and before imports, resets and restores.`
+            : 'The server saves a snapshot of this room before imports, resets and restores.') +
+            ` It keeps every snapshot from the last ${hourly} hours, then one a day for ${daily} days and one a week for ${weekly} weeks.`;
+
+        backupList.innerHTML = '';
+        if (data.backups.length === 0) {
+            backupList.textContent = 'No snapshots yet.';
+        }
+        data.backups.forEach(backup => backupList.appendChild(createBackupRow(backup)));
+    } catch (error) {
+        console.error('Failed to load snapshots:', error);
+        showMessage('Could not load snapshots.', true);
+    }
+}
+
+function createBackupRow(backup) {
+    const row = document.createElement('div');
+    row.className = 'webhook-row' + (backup.valid ? '' : ' paused');
+
+    const time = document.createElement('div');
+    time.className = 'webhook-url';
+    time.textContent = new Date(backup.createdAt).toLocaleString();
+
+    const status = document.createElement('div');
+    status.className = 'webhook-status';
+    status.textContent = backup.valid
+        ? `${BACKUP_REASONS[backup.reason] || backup.reason} · ${backup.count} snacks`
+        : backup.error;
+    row.append(time, status);
+
+    if (backup.valid) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'settings-btn';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.onclick = async () => {
+            if (!confirm(`Roll the room back to ${time.textContent} (${backup.count} snacks)? A snapshot of how it is now is saved first.`)) return;
+            try {
+                const result = await sendJson(`/api/backups/${encodeURIComponent(backup.id)}/restore`, {});
+                showMessage(result.message);
+                loadBackups();
+                loadCounters();
+            } catch (error) {
+                showMessage(error.message, true);
+            }
+        };
+        row.appendChild(restoreBtn);
+    }
+    return row;
+}
+
+function showRoomPasswordStatus(hasPassword) {
+    roomPasswordStatus.textContent = hasPassword
+        ? 'People need the access code and this password to join.'
+        : 'Anyone with the access code can join.';
+}
+
+function showMessage(text, isError = false) {
+    messageDisplay.textContent = text;
+    messageDisplay.classList.toggle('error', isError);
+    messageDisplay.hidden = false;
+}
+
+// Send JSON to the server and return the parsed response, throwing on errors
+async function sendJson(url, body, method = 'POST') {
+    const response = await fetch(url, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        const error = new Error(data.error || 'Server responded with error');
+        error.details = data.details;
+        throw error;
+    }
+    return data;
+}
+
+profileForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const profile = {
+        name: document.getElementById('profileName').value,
+        emoji: document.getElementById('profileEmoji').value,
+        color: document.getElementById('profileColor').value
+    };
+    const pin = document.getElementById('profilePin').value;
+    if (pin) {
+        profile.pin = pin;
+    }
+
+    try {
+        fillProfileForm(await sendJson('/api/members/me', profile, 'PATCH'));
+        showMessage('Profile saved.');
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+removePinBtn.addEventListener('click', async () => {
+    if (!confirm('Remove your PIN? Anyone will be able to sign in with your name.')) return;
+
+    try {
+        fillProfileForm(await sendJson('/api/members/me', { pin: null }, 'PATCH'));
+        showMessage('PIN removed.');
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+notificationForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const quietHoursEnabled = document.getElementById('notifyQuietEnabled').checked;
+
+    try {
+        const data = await sendJson('/api/notifications/preferences', {
+            endpoint: pushSubscription.endpoint,
+            preferences: {
+                mode: document.getElementById('notificationMode').value,
+                milestoneEvery: Number(document.getElementById('milestoneEvery').value),
+                digestTime: document.getElementById('digestTime').value,
+                muteOwn: document.getElementById('muteOwn').checked,
+                quietHours: quietHoursEnabled ? {
+                    start: document.getElementById('notifyQuietStart').value,
+                    end: document.getElementById('notifyQuietEnd').value
+                } : null
+            }
+        }, 'PUT');
+        fillNotificationForm(data.preferences);
+        showMessage('Notification settings saved.');
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+unsubscribeBtn.addEventListener('click', async () => {
+    try {
+        await sendJson('/api/unsubscribe', { endpoint: pushSubscription.endpoint });
+        await pushSubscription.unsubscribe();
+        // Keep the counter page from subscribing again on its next load
+        localStorage.setItem('notificationsOff', 'true');
+        showMessage('Notifications turned off on this device.');
+        loadNotificationPreferences();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+// The counter page asks for permission and subscribes
+notificationsOnBtn.addEventListener('click', () => {
+    localStorage.removeItem('notificationsOff');
+    window.location.href = '/';
+});
+
+claimForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        await sendJson('/api/room/claim', { pin: document.getElementById('claimPin').value });
+        showMessage('You are now the owner of this room.');
+        claimForm.reset();
+        loadRoomInfo();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+unlockForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        await sendJson('/api/room/admin-login', { pin: document.getElementById('unlockPin').value });
+        showMessage('Signed in as the room owner.');
+        unlockForm.reset();
+        loadRoomInfo();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+pinForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        await sendJson('/api/room/pin', { pin: document.getElementById('newPin').value });
+        showMessage('Admin PIN changed.');
+        pinForm.reset();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+roomPasswordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = document.getElementById('newRoomPassword').value;
+    if (!password && !confirm('Remove the room password? Anyone with the access code will be able to join.')) return;
+
+    try {
+        const result = await sendJson('/api/room/password', { password: password });
+        showMessage(result.hasPassword ? 'Room password saved.' : 'Room password removed.');
+        showRoomPasswordStatus(result.hasPassword);
+        roomPasswordForm.reset();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+policyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const quietHoursEnabled = document.getElementById('quietHoursEnabled').checked;
+
+    try {
+        const data = await sendJson('/api/room/policy', {
+            cooldownSeconds: Number(document.getElementById('cooldownSeconds').value),
+            cooldownScope: document.getElementById('cooldownScope').value,
+            dailyLimitPerUser: document.getElementById('dailyLimitPerUser').value || null,
+            quietHours: quietHoursEnabled ? {
+                start: document.getElementById('quietStart').value,
+                end: document.getElementById('quietEnd').value
+            } : null,
+            timeZone: document.getElementById('policyTimeZone').value.trim()
+        }, 'PUT');
+        fillPolicyForm(data.policy);
+        showMessage('Snack rules saved.');
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+counterForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const counter = await sendJson('/api/counters', {
+            name: document.getElementById('newCounterName').value,
+            emoji: document.getElementById('newCounterEmoji').value || '🐷'
+        });
+        showMessage(`${counter.name} added.`);
+        counterForm.reset();
+        loadCounters();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+snackTypeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const snackType = await sendJson('/api/snack-types', {
+            name: document.getElementById('newSnackTypeName').value,
+            emoji: document.getElementById('newSnackTypeEmoji').value || '🍪',
+            calories: optionalNumber(document.getElementById('newSnackTypeCalories')),
+            cost: optionalNumber(document.getElementById('newSnackTypeCost'))
+        });
+        showMessage(`${snackType.name} added.`);
+        snackTypeForm.reset();
+        loadSnackTypes();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+goalForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const goal = await sendJson('/api/goals', {
+            type: document.getElementById('goalType').value,
+            target: Number(document.getElementById('goalTarget').value),
+            period: document.getElementById('goalPeriod').value,
+            counterId: goalCounterSelect.value || null,
+            name: document.getElementById('goalName').value
+        });
+        showMessage(`Goal added: ${goal.description}.`);
+        goalForm.reset();
+        loadGoals();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+webhookForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const events = Array.from(webhookForm.querySelectorAll('input[name="webhookEvent"]:checked'))
+        .map(input => input.value);
+
+    try {
+        const webhook = await sendJson('/api/webhooks', {
+            url: document.getElementById('webhookUrl').value,
+            format: document.getElementById('webhookFormat').value,
+            events: events
+        });
+        // Only shown this once; JSON receivers need it to check signatures
+        showMessage(`Webhook added. Signing secret: ${webhook.secret}`);
+        webhookForm.reset();
+        loadWebhooks();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+tokenForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const scopes = Array.from(tokenForm.querySelectorAll('input[name="tokenScope"]:checked'))
+        .map(input => input.value);
+
+    try {
+        const token = await sendJson('/api/tokens', {
+            name: document.getElementById('tokenName').value,
+            scopes: scopes
+        });
+        newTokenValue.value = token.token;
+        newToken.hidden = false;
+        newTokenValue.select();
+        showMessage(`Token "${token.name}" created.`);
+        tokenForm.reset();
+        loadTokens();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+// Downloads go through a plain link so the browser saves the file
+exportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams({ format: document.getElementById('exportFormat').value });
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const link = document.createElement('a');
+    link.href = `/api/export-data?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+});
+
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    if (!file) return;
+
+    try {
+        pendingImport = JSON.parse(await file.text());
+    } catch (error) {
+        showMessage('Import failed: the file is not valid JSON.', true);
+        return;
+    } finally {
+        importFile.value = '';
+    }
+    previewImport();
+});
+
+// Ask the server what the import would change without applying it
+async function previewImport() {
+    try {
+        const result = await sendJson(`/api/import-data?mode=${importMode.value}&dryRun=true`, pendingImport);
+        const summary = result.summary;
+        const lines = [
+            `${summary.snacksInFile} snacks in the file`,
+            `${summary.added} snacks added`,
+            `${summary.removed} snacks removed`,
+            `Total goes from ${summary.countBefore} to ${summary.countAfter}`
+        ];
+        if (summary.mode === 'merge') {
+            lines.splice(2, 1, `${summary.skippedDuplicates} already in this room`);
+        }
+        if (summary.countersAdded.length > 0) {
+            lines.push(`New counters: ${summary.countersAdded.join(', ')}`);
+        }
+        renderImportSummary(lines);
+        importApplyBtn.disabled = false;
+    } catch (error) {
+        renderImportSummary([error.message].concat(error.details || []));
+        importApplyBtn.disabled = true;
+    }
+    importPreview.hidden = false;
+}
+
+function renderImportSummary(lines) {
+    importSummary.innerHTML = '';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        importSummary.appendChild(item);
+    });
+}
+
+function closeImportPreview() {
+    pendingImport = null;
+    importPreview.hidden = true;
+}
+
+importMode.addEventListener('change', previewImport);
+
+importApplyBtn.addEventListener('click', async () => {
+    try {
+        const result = await sendJson(`/api/import-data?mode=${importMode.value}`, pendingImport);
+        showMessage(result.message);
+        closeImportPreview();
+        loadCounters();
+        loadBackups();
+    } catch (error) {
+        showMessage(`Import failed: ${error.message}`, true);
+    }
+});
+
+importCancelBtn.addEventListener('click', closeImportPreview);
+
+resetBtn.addEventListener('click', async () => {
+    if (!confirm('Reset the counter to zero and delete the whole snack log?')) return;
+
+    try {
+        await sendJson('/api/reset', {});
+        showMessage('Counter reset.');
+        loadBackups();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+document.getElementById('backupNowBtn').addEventListener('click', async () => {
+    try {
+        await sendJson('/api/backups', {});
+        showMessage('Snapshot saved.');
+        loadBackups();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+lockBtn.addEventListener('click', async () => {
+    try {
+        await sendJson('/api/room/admin-logout', {});
+        showMessage('Signed out as the room owner.');
+        loadRoomInfo();
+    } catch (error) {
+        showMessage(error.message, true);
+    }
+});
+
+// Use the same theme as the counter page (dark mode is default)
+function initTheme() {
+    if (localStorage.getItem('darkMode') === 'false') {
+        document.body.classList.remove('dark-mode');
+        document.body.classList.add('light-mode');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    initTheme();
+    loadProfile();
+    loadNotificationPreferences();
+    loadRoomInfo();
+});
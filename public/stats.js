@@ -0,0 +1,346 @@
+// DOM Elements
+const messageDisplay = document.getElementById('statsMessage');
+const counterSelect = document.getElementById('statsCounter');
+const summaryDisplay = document.getElementById('statsSummary');
+const leaderboardList = document.getElementById('leaderboard');
+const goalsCard = document.getElementById('goalsCard');
+const goalList = document.getElementById('goalList');
+const badgeList = document.getElementById('badgeList');
+const snackTypesCard = document.getElementById('snackTypesCard');
+const snackTypeTotals = document.getElementById('snackTypeTotals');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Room member profiles by id; the leaderboard only has ids
+let members = new Map();
+
+// Achievement badges by id, for the emojis next to names
+let achievements = new Map();
+
+// The room's snack types by id; stats only have ids
+let snackTypes = new Map();
+
+// Fill the counter picker so stats can be narrowed to one counter
+async function loadCounters() {
+    try {
+        const response = await fetch('/api/counters', { credentials: 'same-origin' });
+        const data = await response.json();
+
+        data.counters.forEach(counter => {
+            const option = document.createElement('option');
+            option.value = counter.id;
+            option.textContent = `${counter.emoji} ${counter.name}${counter.archived ? ' (archived)' : ''}`;
+            counterSelect.appendChild(option);
+        });
+        counterSelect.parentElement.hidden = data.counters.length < 2;
+    } catch (error) {
+        console.error('Failed to load counters:', error);
+    }
+}
+
+async function loadMembers() {
+    try {
+        const response = await fetch('/api/members', { credentials: 'same-origin' });
+        const data = await response.json();
+        members = new Map(data.members.map(member => [member.id, member]));
+    } catch (error) {
+        console.error('Failed to load members:', error);
+    }
+}
+
+async function loadSnackTypes() {
+    try {
+        const response = await fetch('/api/snack-types', { credentials: 'same-origin' });
+        const data = await response.json();
+        snackTypes = new Map(data.snackTypes.map(snackType => [snackType.id, snackType]));
+    } catch (error) {
+        console.error('Failed to load snack types:', error);
+    }
+}
+
+// The room's goals with how the current day, week or month is going
+async function loadGoals() {
+    try {
+        const response = await fetch('/api/goals', { credentials: 'same-origin' });
+        const data = await response.json();
+        renderGoals(data.goals);
+    } catch (error) {
+        console.error('Failed to load goals:', error);
+    }
+}
+
+function renderGoals(goals) {
+    goalsCard.hidden = goals.length === 0;
+    goalList.innerHTML = '';
+
+    goals.forEach(goal => {
+        const item = document.createElement('li');
+        item.className = `goal-item ${goal.status}`;
+
+        const description = document.createElement('span');
+        description.className = 'goal-description';
+        description.textContent = goal.description;
+
+        const progress = document.createElement('span');
+        progress.className = 'goal-progress';
+        const bar = document.createElement('span');
+        bar.style.width = `${Math.min(100, (goal.count / goal.target) * 100)}%`;
+        progress.appendChild(bar);
+
+        const status = document.createElement('span');
+        status.className = 'goal-status';
+        const labels = { 'reached': '🎉 Reached', 'missed': '😬 Missed', 'on-track': '👍 On track', 'in-progress': '' };
+        status.textContent = `${goal.count} / ${goal.target} ${labels[goal.status]}`;
+
+        item.append(description, progress, status);
+        goalList.appendChild(item);
+    });
+}
+
+// Every badge, with who has earned it
+async function loadAchievements() {
+    try {
+        const response = await fetch('/api/achievements', { credentials: 'same-origin' });
+        const data = await response.json();
+        achievements = new Map(data.achievements.map(achievement => [achievement.id, achievement]));
+        renderBadges(data.achievements);
+    } catch (error) {
+        console.error('Failed to load achievements:', error);
+    }
+}
+
+function renderBadges(list) {
+    badgeList.innerHTML = '';
+    list.forEach(achievement => {
+        const item = document.createElement('li');
+        item.className = 'badge-item' + (achievement.earnedBy.length === 0 ? ' locked' : '');
+
+        const emoji = document.createElement('span');
+        emoji.className = 'badge-emoji';
+        emoji.textContent = achievement.emoji;
+
+        const text = document.createElement('span');
+        const name = document.createElement('strong');
+        name.textContent = achievement.name;
+        const description = document.createElement('span');
+        const earnedBy = achievement.earnedBy
+            .map(earned => members.get(earned.userId))
+            .filter(Boolean)
+            .map(member => member.name);
+        description.textContent = ` · ${achievement.description}` + (earnedBy.length ? ` · ${earnedBy.join(', ')}` : '');
+        text.append(name, description);
+
+        item.append(emoji, text);
+        badgeList.appendChild(item);
+    });
+}
+
+async function loadStats() {
+    const query = counterSelect.value ? `?counterId=${encodeURIComponent(counterSelect.value)}` : '';
+
+    try {
+        const response = await fetch(`/api/stats${query}`, { credentials: 'same-origin' });
+        const stats = await response.json();
+        if (!response.ok) {
+            throw new Error(stats.error || 'Server responded with error');
+        }
+
+        messageDisplay.hidden = true;
+        renderSummary(stats);
+        renderLeaderboard(stats.leaderboard);
+        renderSnackTypes(stats.snackTypes);
+        renderBarChart(document.getElementById('dayChart'),
+            stats.perDay.map(day => day.count),
+            stats.perDay.map(day => day.date.slice(5)),
+            5);
+        renderBarChart(document.getElementById('weekChart'),
+            stats.perWeek.map(week => week.count),
+            stats.perWeek.map(week => week.weekStart.slice(5)),
+            3);
+        renderBarChart(document.getElementById('hourChart'),
+            stats.perHour,
+            stats.perHour.map((count, hour) => `${hour}h`),
+            6);
+        renderBarChart(document.getElementById('weekdayChart'),
+            stats.perWeekday,
+            WEEKDAYS,
+            1);
+    } catch (error) {
+        console.error('Failed to load stats:', error);
+        messageDisplay.textContent = 'Could not load stats.';
+        messageDisplay.classList.add('error');
+        messageDisplay.hidden = false;
+    }
+}
+
+function renderSummary(stats) {
+    const busiestDay = stats.busiest.day ? `${stats.busiest.day.date} (${stats.busiest.day.count})` : '-';
+    const busiestTime = stats.busiest.hour === null
+        ? '-'
+        : `${WEEKDAYS[stats.busiest.weekday]}s around ${stats.busiest.hour}:00`;
+
+    const rows = [
+        ['Total snacks', stats.total],
+        ['Per day', stats.averages.perDay],
+        ['Per week', stats.averages.perWeek],
+        ['Per person', stats.averages.perUser],
+        ['Current streak', `${stats.streaks.current} days`],
+        ['Longest streak', `${stats.streaks.longest} days`],
+        ['Busiest day', busiestDay],
+        ['Busiest time', busiestTime]
+    ];
+    if (stats.calories > 0) rows.push(['Calories', stats.calories.toLocaleString()]);
+    if (stats.cost > 0) rows.push(['Spent', stats.cost.toFixed(2)]);
+
+    summaryDisplay.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stats-item';
+        const valueElement = document.createElement('strong');
+        valueElement.textContent = value;
+        const labelElement = document.createElement('span');
+        labelElement.textContent = label;
+        item.append(valueElement, labelElement);
+        summaryDisplay.appendChild(item);
+    });
+}
+
+// Ranked list with a bar showing each person's share of the snacks
+function renderLeaderboard(leaderboard) {
+    leaderboardList.innerHTML = '';
+    if (leaderboard.length === 0) {
+        leaderboardList.innerHTML = '<li class="leaderboard-empty">No snacks yet</li>';
+        return;
+    }
+
+    const top = leaderboard[0].total;
+    leaderboard.forEach((user, index) => {
+        const item = document.createElement('li');
+
+        const rank = document.createElement('span');
+        rank.className = 'leaderboard-rank';
+        rank.textContent = index < 3 ? ['🥇', '🥈', '🥉'][index] : `${index + 1}.`;
+
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        const member = members.get(user.userId);
+        name.textContent = member ? `${member.emoji} ${member.name}` : 'Someone';
+        if (member && member.achievements.length > 0) {
+            const badges = member.achievements.map(earned => achievements.get(earned.id)).filter(Boolean);
+            name.textContent += ` ${badges.map(badge => badge.emoji).join('')}`;
+            name.title = badges.map(badge => badge.name).join(', ');
+        }
+
+        const bar = document.createElement('span');
+        bar.className = 'leaderboard-bar';
+        bar.style.width = `${Math.max(2, (user.total / top) * 100)}%`;
+
+        const total = document.createElement('span');
+        total.className = 'leaderboard-total';
+        total.textContent = `${user.total} · 🔥 ${user.streaks.current}`;
+        total.title = `${Math.round(user.share * 100)}% of snacks, ${user.streaks.current} day streak (best ${user.streaks.longest})`;
+
+        item.append(rank, name, bar, total);
+        leaderboardList.appendChild(item);
+    });
+}
+
+// Snacks per type with their calories and cost; hidden until the room uses types
+function renderSnackTypes(totals) {
+    snackTypesCard.hidden = !totals.some(type => type.snackTypeId);
+    snackTypeTotals.innerHTML = '';
+    if (totals.length === 0) return;
+
+    const top = totals[0].count;
+    totals.forEach(type => {
+        const item = document.createElement('li');
+        const snackType = snackTypes.get(type.snackTypeId);
+
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        name.textContent = snackType ? `${snackType.emoji} ${snackType.name}` : (type.snackTypeId ? 'Unknown' : 'Other snacks');
+
+        const bar = document.createElement('span');
+        bar.className = 'leaderboard-bar';
+        bar.style.width = `${Math.max(2, (type.count / top) * 100)}%`;
+
+        const total = document.createElement('span');
+        total.className = 'leaderboard-total';
+        const extras = [];
+        if (type.calories > 0) extras.push(`${type.calories.toLocaleString()} kcal`);
+        if (type.cost > 0) extras.push(type.cost.toFixed(2));
+        total.textContent = [type.count].concat(extras).join(' · ');
+
+        item.append(name, bar, total);
+        snackTypeTotals.appendChild(item);
+    });
+}
+
+// Simple SVG bar chart; every labelEvery-th bar gets a label underneath
+function renderBarChart(container, values, labels, labelEvery) {
+    const width = 300;
+    const height = 120;
+    const labelHeight = 14;
+    const chartHeight = height - labelHeight;
+    const max = Math.max(1, ...values);
+    const barWidth = width / values.length;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('class', 'bar-chart');
+
+    values.forEach((value, index) => {
+        const barHeight = (value / max) * (chartHeight - 12);
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', index * barWidth + barWidth * 0.1);
+        rect.setAttribute('y', chartHeight - barHeight);
+        rect.setAttribute('width', barWidth * 0.8);
+        rect.setAttribute('height', barHeight);
+        rect.setAttribute('rx', 2);
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${labels[index]}: ${value}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+
+        if (index % labelEvery === 0) {
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', index * barWidth + barWidth / 2);
+            label.setAttribute('y', height - 2);
+            label.setAttribute('text-anchor', 'middle');
+            label.textContent = labels[index];
+            svg.appendChild(label);
+        }
+    });
+
+    // Mark the top of the scale
+    const maxLabel = document.createElementNS(SVG_NS, 'text');
+    maxLabel.setAttribute('x', 2);
+    maxLabel.setAttribute('y', 9);
+    maxLabel.setAttribute('class', 'chart-max');
+    maxLabel.textContent = max;
+    svg.appendChild(maxLabel);
+
+    container.innerHTML = '';
+    container.appendChild(svg);
+}
+
+// Use the same theme as the counter page (dark mode is default)
+function initTheme() {
+    if (localStorage.getItem('darkMode') === 'false') {
+        document.body.classList.remove('dark-mode');
+        document.body.classList.add('light-mode');
+    }
+}
+
+counterSelect.addEventListener('change', loadStats);
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async () => {
+    initTheme();
+    await Promise.all([loadCounters(), loadMembers(), loadSnackTypes()]);
+    await loadAchievements();
+    loadGoals();
+    loadStats();
+});
@@ -1,4 +1,28 @@
-// Service Worker for Push Notifications
+// Service Worker: push notifications, syncing snacks made offline, and
+// caching so the app opens instantly and keeps working on a flaky connection
+importScripts('/offline-queue.js');
+
+// Bump when the app shell changes; old caches are removed on activate
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `snack-counter-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `snack-counter-runtime-${CACHE_VERSION}`; // Fonts and API responses
+
+const APP_SHELL = [
+  '/',
+  '/styles.css',
+  '/script.js',
+  '/offline-queue.js',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/badge-96.png'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// The only API responses kept for offline use: read-only views of the room
+// that the page can show while offline. Everything else (button state,
+// exports, settings, tokens, webhooks, admin routes) always goes to the network.
+const CACHED_API = ['/api/counter', '/api/log', '/api/room', '/api/members', '/api/user-info'];
+
 self.addEventListener('push', function(event) {
   if (!event.data) return;
 
@@ -7,12 +31,12 @@ self.addEventListener('push', function(event) {
 
     const options = {
       body: data.body,
-      icon: data.icon || '/icon.png',
-      badge: data.badge || '/badge.png',
+      icon: data.icon || '/icons/icon-192.png',
+      badge: data.badge || '/icons/badge-96.png',
       vibrate: [200, 100, 200],
       data: {
         dateOfArrival: Date.now(),
-        primaryKey: 1
+        url: data.url || '/'
       },
       actions: [
         {
@@ -33,28 +57,117 @@ self.addEventListener('push', function(event) {
 self.addEventListener('notificationclick', function(event) {
   event.notification.close();
 
-  // This looks to see if the current is already open and focuses if it is
+  // The room (and counter) the notification is about
+  const url = new URL(event.notification.data.url || '/', self.location.origin).href;
+
+  // This looks to see if that page is already open and focuses if it is
   event.waitUntil(
-    clients.matchAll().then(function(clientList) {
+    clients.matchAll({ type: 'window' }).then(function(clientList) {
       for (let i = 0; i < clientList.length; i++) {
         let client = clientList[i];
-        if (client.url === '/' && 'focus' in client) {
+        if (client.url === url && 'focus' in client) {
           return client.focus();
         }
       }
       if (clients.openWindow) {
-        return clients.openWindow('/');
+        return clients.openWindow(url);
       }
     })
   );
 });
 
+// Background Sync: replay the offline queue once the connection is back.
+// Rejecting leaves the sync registered, so the browser tries again later.
+self.addEventListener('sync', function(event) {
+  if (event.tag !== SYNC_TAG) return;
+
+  event.waitUntil(
+    replayQueue().then(function(result) {
+      return clients.matchAll({ type: 'window' }).then(function(clientList) {
+        clientList.forEach(function(client) {
+          client.postMessage({ type: 'queue-synced', result: result });
+        });
+        if (result.remaining > 0) {
+          throw new Error(`${result.remaining} queued changes could not be sent yet`);
+        }
+      });
+    })
+  );
+});
+
 self.addEventListener('install', function(event) {
   console.log('Service Worker installing.');
-  self.skipWaiting();
+  // The page itself needs a session, so it's cached when it's first loaded
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL.filter(url => url !== '/')))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', function(event) {
   console.log('Service Worker activating.');
-  event.waitUntil(clients.claim());
+  const currentCaches = [SHELL_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('snack-counter-') && !currentCaches.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => clients.claim())
+  );
 });
+
+self.addEventListener('fetch', function(event) {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin || url.pathname === '/api/events') return;
+
+  if (url.pathname.startsWith('/api/')) {
+    if (CACHED_API.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, RUNTIME_CACHE));
+    }
+  } else if (APP_SHELL.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE, true));
+  } else {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+// Complete responses (fonts loaded without CORS come back opaque), never
+// redirects to the login page
+function isCacheable(response) {
+  return response.ok || response.type === 'opaque';
+}
+
+function fetchAndCache(cache, request) {
+  return fetch(request).then(response => {
+    if (isCacheable(response)) {
+      cache.put(request, response.clone());
+    } else if (response.type === 'opaqueredirect') {
+      cache.delete(request); // Signed out: let the login page take over next time
+    }
+    return response;
+  });
+}
+
+// Serve from the cache when possible. With refresh, the cached copy is
+// updated in the background for next time.
+function cacheFirst(request, cacheName, refresh) {
+  return caches.open(cacheName).then(cache => cache.match(request).then(cached => {
+    if (!cached) return fetchAndCache(cache, request);
+    if (refresh) fetchAndCache(cache, request).catch(() => {});
+    return cached;
+  }));
+}
+
+// Fresh from the network, or the last cached copy while offline
+function networkFirst(request, cacheName) {
+  return caches.open(cacheName).then(cache => fetchAndCache(cache, request)
+    .catch(() => cache.match(request).then(cached => cached || Response.error())));
+}
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Replaced by `snack-counter backup` and `snack-counter restore`
+// (bin/snack-counter.js); kept so older instructions still work:
+//   list <access code>           -> snack-counter backup <access code> --list
+//   create <access code>         -> snack-counter backup <access code>
+//   restore <access code> <id>   -> snack-counter restore <access code> <id>
+
+const COMMANDS = {
+  list: args => ['backup', ...args, '--list'],
+  create: args => ['backup', ...args],
+  restore: args => ['restore', ...args]
+};
+
+const [command, ...args] = process.argv.slice(2);
+if (!COMMANDS[command]) {
+  console.error('Usage: npm run backups -- list <access code> | create <access code> | restore <access code> <id>');
+  process.exit(1);
+}
+
+const cliArgs = COMMANDS[command](args);
+console.error(`npm run backups is now "snack-counter ${cliArgs.join(' ')}"`);
+process.argv.splice(2, process.argv.length - 2, ...cliArgs);
+require('../bin/snack-counter');
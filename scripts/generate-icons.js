@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Draw the app icons (a pig face) into public/icons as PNG files, without
+// any image libraries. Run again after changing the drawing.
+//
+// Usage: npm run icons
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'icons');
+const SAMPLES = 4; // Per axis, for smooth edges
+
+const COLORS = {
+  background: [26, 26, 46, 255], // Dark mode background
+  skin: [255, 153, 153, 255],
+  innerEar: [255, 102, 102, 255],
+  nose: [255, 102, 102, 255],
+  nostril: [204, 51, 51, 255],
+  eye: [0, 0, 0, 255],
+  white: [255, 255, 255, 255]
+};
+
+const ICONS = [
+  { file: 'icon-192.png', size: 192, scale: 0.9 },
+  { file: 'icon-512.png', size: 512, scale: 0.9 },
+  { file: 'icon-maskable-512.png', size: 512, scale: 0.72 }, // Inside the maskable safe zone
+  { file: 'apple-touch-icon.png', size: 180, scale: 0.85 },
+  { file: 'badge-96.png', size: 96, scale: 1, badge: true } // Monochrome, for the status bar
+];
+
+function inEllipse(x, y, cx, cy, rx, ry) {
+  return ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+}
+
+function inTriangle(x, y, [ax, ay], [bx, by], [cx, cy]) {
+  const d1 = (x - bx) * (ay - by) - (ax - bx) * (y - by);
+  const d2 = (x - cx) * (by - cy) - (bx - cx) * (y - cy);
+  const d3 = (x - ax) * (cy - ay) - (cx - ax) * (y - ay);
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+}
+
+// Colour of the pig at (x, y), both 0..1 with the face centred; null outside
+function pigColor(x, y, badge) {
+  const paint = color => (badge ? COLORS.white : color);
+
+  for (const side of [-1, 1]) {
+    const ear = [[0.5 + side * 0.12, 0.26], [0.5 + side * 0.34, 0.06], [0.5 + side * 0.33, 0.36]];
+    const innerEar = [[0.5 + side * 0.18, 0.26], [0.5 + side * 0.31, 0.13], [0.5 + side * 0.3, 0.3]];
+    if (inTriangle(x, y, ...innerEar)) return paint(COLORS.innerEar);
+    if (inTriangle(x, y, ...ear)) return paint(COLORS.skin);
+  }
+
+  if (!inEllipse(x, y, 0.5, 0.56, 0.4, 0.36)) return null;
+
+  for (const side of [-1, 1]) {
+    if (inEllipse(x, y, 0.5 + side * 0.06, 0.67, 0.028, 0.045)) return badge ? null : COLORS.nostril;
+    if (inEllipse(x, y, 0.5 + side * 0.15, 0.47, 0.04, 0.045)) return badge ? null : COLORS.eye;
+  }
+  if (inEllipse(x, y, 0.5, 0.67, 0.16, 0.11)) {
+    return badge || inEllipse(x, y, 0.5, 0.67, 0.145, 0.095) ? paint(COLORS.nose) : COLORS.nostril;
+  }
+  return paint(COLORS.skin);
+}
+
+// RGBA pixels of one icon, averaging SAMPLES x SAMPLES points per pixel
+function drawIcon({ size, scale, badge }) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const background = badge ? [0, 0, 0, 0] : COLORS.background;
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const sum = [0, 0, 0, 0];
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const x = ((px + (sx + 0.5) / SAMPLES) / size - 0.5) / scale + 0.5;
+          const y = ((py + (sy + 0.5) / SAMPLES) / size - 0.5) / scale + 0.5;
+          const color = pigColor(x, y, badge) || background;
+          for (let i = 0; i < 4; i++) sum[i] += color[i];
+        }
+      }
+      const offset = (py * size + px) * 4;
+      for (let i = 0; i < 4; i++) {
+        pixels[offset + i] = Math.round(sum[i] / (SAMPLES * SAMPLES));
+      }
+    }
+  }
+  return pixels;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGBA PNG; every row starts with filter type 0 (none)
+function encodePng(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // RGBA
+
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    rows.push(Buffer.from([0]), pixels.subarray(y * size * 4, (y + 1) * size * 4));
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows), { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function generate() {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  ICONS.forEach(icon => {
+    const file = path.join(OUTPUT_DIR, icon.file);
+    fs.writeFileSync(file, encodePng(icon.size, drawIcon(icon)));
+    console.log(`🐷 ${path.relative(process.cwd(), file)} (${icon.size}x${icon.size})`);
+  });
+}
+
+generate();
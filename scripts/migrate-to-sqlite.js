@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// Replaced by `snack-counter migrate [--force]` (bin/snack-counter.js); kept
+// so older instructions still work.
+
+console.error('scripts/migrate-to-sqlite.js is now "snack-counter migrate"');
+process.argv.splice(2, 0, 'migrate');
+require('../bin/snack-counter');
@@ -2,21 +2,68 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const webpush = require('web-push');
+const { createStorage, resolveDataDir } = require('./lib/storage');
+const {
+  createRoomData,
+  createCounter,
+  validateCounterFields,
+  normalizeData,
+  recalculateCount,
+  recalculateLastIncrement,
+  sortLog,
+  addSnack,
+  renumberEntries,
+  findCounter,
+  getActiveLog,
+  getCounterLog,
+  getEntryQuantity
+} = require('./lib/room-data');
+const { createRoomLock } = require('./lib/room-lock');
+const roomAdmin = require('./lib/room-admin');
+const { SESSION_MS, loadSessionSecret, createSessions } = require('./lib/session');
+const { writeServerPid } = require('./lib/server-pid');
+const { hashSecret, verifySecret } = require('./lib/passwords');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { COOLDOWN_RULES, resolvePolicy, validatePolicy, evaluatePolicy } = require('./lib/policy');
+const { computeStats } = require('./lib/stats');
+const { IMPORT_MODES, validateImport, planImport } = require('./lib/import');
+const { createBackupStore, planRestore } = require('./lib/backups');
+const members = require('./lib/members');
+const { isIsoTimestamp, getLocalTime } = require('./lib/time');
+const notifications = require('./lib/notifications');
+const webhooks = require('./lib/webhooks');
+const apiTokens = require('./lib/api-tokens');
+const operator = require('./lib/operator');
+const goals = require('./lib/goals');
+const snackTypes = require('./lib/snack-types');
+const { validateEntryEdit, applyEntryEdit } = require('./lib/log-edit');
+const { listAchievements } = require('./lib/achievements');
+const { celebrateSnack } = require('./lib/celebrations');
+const { EXPORT_FORMATS, CONTENT_TYPES, parseDateRange, filterByDateRange, formatExport } = require('./lib/export');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Multi-room access control (each access code creates its own counter)
-function getDataFile(accessCode) {
-  // Handle undefined or null accessCode
-  if (!accessCode) {
-    console.error('⚠️ getDataFile called with undefined accessCode');
-    return path.join(__dirname, 'counter-data-default.json');
-  }
-  // Sanitize access code for filename
-  const sanitizedCode = accessCode.replace(/[^a-zA-Z0-9-_]/g, '_');
-  return path.join(__dirname, `counter-data-${sanitizedCode}.json`);
-}
+// Room data storage (JSON files by default, see lib/storage)
+const storage = createStorage();
+
+// Timestamped snapshots of every room (see lib/backups)
+const backups = createBackupStore({ dataDir: resolveDataDir() });
+
+// Serializes read-modify-write sections per access code
+const withRoomLock = createRoomLock();
+
+// Signed login sessions (see lib/session)
+const sessions = createSessions(loadSessionSecret(resolveDataDir()));
+
+// Logins per address, to stop access code guessing
+const loginLimiter = createRateLimiter({ max: 20, windowMs: 15 * 60 * 1000 });
+
+// Wrong API tokens per address, so they can't be guessed either
+const tokenLimiter = createRateLimiter({ max: 20, windowMs: 15 * 60 * 1000 });
+
+// Wrong server admin tokens per address
+const operatorLimiter = createRateLimiter({ max: 10, windowMs: 15 * 60 * 1000 });
 
 // Web Push Configuration
 const vapidKeys = {
@@ -32,6 +79,8 @@ webpush.setVapidDetails(
 );
 
 // Middleware
+// Backups with the full snack history can be much larger than other requests
+app.use('/api/import-data', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -50,31 +99,101 @@ app.use((req, res, next) => {
   next();
 });
 
-// Extract access code and username for ALL requests (including API)
+// Scripts, styles, icons and the manifest are the same for everyone
+function isStaticAsset(pathname) {
+  return pathname.includes('.css') ||
+    pathname.includes('.js') ||
+    pathname === '/manifest.webmanifest' ||
+    pathname.startsWith('/icons/');
+}
+
+// Extract access code, member id and username for API requests and pages.
+// They come from the signed session cookie set at login, or from an API token.
 app.use((req, res, next) => {
-  // Get access code from query parameter or cookie
-  let accessCode = req.query.access || req.cookies.accessCode;
+  if (isStaticAsset(req.path)) {
+    req.username = 'Anonymous';
+    return next();
+  }
 
-  if (accessCode) {
-    // Sanitize access code for consistency
-    const sanitizedCode = accessCode.replace(/[^a-zA-Z0-9-_]/g, '_');
-    req.accessCode = sanitizedCode;
+  // The server admin dashboard has its own token (see requireOperator)
+  const bearerToken = apiTokens.getBearerToken(req);
+  if (bearerToken !== null && req.path.startsWith('/api/') && !req.path.startsWith('/api/admin/')) {
+    return authenticateApiToken(req, res, next, bearerToken);
   }
 
-  // Get username from cookie - decode it properly
-  req.username = req.cookies.username ? decodeURIComponent(req.cookies.username) : 'Anonymous';
-  
-  console.log('🔧 Extract Middleware - Path:', req.path, 'accessCode:', req.accessCode, 'username:', req.username, 'cookies:', req.cookies);
+  // Sessions end when their room is deleted, renamed or archived
+  const session = sessions.verify(req.cookies.session);
+  if (session && isOpenRoom(session.accessCode)) {
+    req.accessCode = session.accessCode;
+    req.userId = session.userId;
+    req.username = session.username;
+  } else {
+    req.username = 'Anonymous';
+  }
 
   next();
 });
 
+// How often a token's lastUsedAt is saved, at most
+const TOKEN_USE_SAVE_MS = 60 * 1000;
+
+// Sign the request in as the token's member, if the token is valid and has
+// the scope the request needs
+function authenticateApiToken(req, res, next, value) {
+  if (tokenLimiter.isLimited(req.ip)) {
+    res.set('Retry-After', tokenLimiter.retryAfter(req.ip));
+    return res.status(429).json({ error: 'Too many invalid API tokens, try again later' });
+  }
+
+  const parsed = value && apiTokens.parseApiToken(value);
+  const data = parsed && storage.exists(parsed.accessCode) ? readData(parsed.accessCode) : null;
+  const token = data && !data.archivedAt && apiTokens.verifyApiToken(data, parsed);
+  if (!token) {
+    tokenLimiter.hit(req.ip);
+    console.log('❌ Invalid API token - Path:', req.path);
+    return res.status(401).json({ error: 'Invalid API token' });
+  }
+
+  const scope = apiTokens.getRequiredScope(req.method, req.path);
+  if (!scope) {
+    return res.status(403).json({ error: 'API tokens can\'t be used here' });
+  }
+  if (!apiTokens.hasScope(token, scope)) {
+    return res.status(403).json({ error: `This token doesn't have the "${scope}" scope` });
+  }
+
+  const member = members.findMember(data, token.userId);
+  req.accessCode = parsed.accessCode;
+  req.userId = token.userId;
+  req.username = member ? member.name : 'Anonymous';
+  req.apiToken = token;
+
+  console.log('🔑 API token - Path:', req.path, 'accessCode:', req.accessCode, 'token:', token.name, 'acting as:', req.username);
+
+  if (Date.now() - (token.lastUsedAt || 0) > TOKEN_USE_SAVE_MS) {
+    saveTokenUse(req.accessCode, token.id)
+      .catch(error => console.error('Failed to save token use:', error));
+  }
+  next();
+}
+
+function saveTokenUse(accessCode, tokenId) {
+  return withRoomLock(accessCode, () => {
+    const data = readData(accessCode);
+    const token = data.apiTokens.find(token => token.id === tokenId);
+    if (!token) return;
+
+    token.lastUsedAt = Date.now();
+    storage.saveRoom(accessCode, data);
+  });
+}
+
 // Access control middleware
 app.use((req, res, next) => {
-  // Allow API calls and static assets (they already have accessCode and username from previous middleware)
+  // Allow API calls (each route checks req.accessCode) and static assets
   if (req.path.startsWith('/api/') ||
-      req.path.includes('.css') ||
-      req.path.includes('.js') ||
+      isStaticAsset(req.path) ||
+      req.path === '/admin' ||
       req.path === '/login' ||
       req.method === 'POST' && req.path === '/login') {
     return next();
@@ -88,6 +207,13 @@ app.use((req, res, next) => {
 
   console.log('❌ Access denied - Path:', req.path, 'no valid accessCode');
 
+  // Old share links (/?access=<code>) and notification links (/?room=<code>)
+  // just fill in the login form
+  const linkedRoom = req.query.access || req.query.room;
+  if (req.path === '/' && typeof linkedRoom === 'string' && /^[a-zA-Z0-9_-]+$/.test(linkedRoom)) {
+    return res.redirect(`/login?room=${linkedRoom}`);
+  }
+
   // If accessing root, show login page
   if (req.path === '/') {
     return res.redirect('/login');
@@ -102,164 +228,293 @@ app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
+// Login page with an error message shown
+function renderLoginError(message) {
+  return fs.readFileSync(path.join(__dirname, 'public', 'login.html'), 'utf8')
+    .replace('<div class="error" id="error-message" style="display: none;">Invalid access code. Please try again.</div>',
+             `<div class="error" id="error-message">${message}</div>`);
+}
+
 // Handle login form submission
-app.post('/login', (req, res) => {
-  const { password: accessCode, username } = req.body;
+app.post('/login', async (req, res) => {
+  const { accessCode, roomPassword, username, userPin, adminPin } = req.body;
+
+  if (loginLimiter.isLimited(req.ip)) {
+    const minutes = Math.ceil(loginLimiter.retryAfter(req.ip) / 60);
+    return res.status(429).send(renderLoginError(`Too many login attempts. Please wait ${minutes} minutes and try again.`));
+  }
+  loginLimiter.hit(req.ip);
 
   // Validate access code format
   if (!accessCode || !/^[a-zA-Z0-9_-]+$/.test(accessCode)) {
-    const loginPage = fs.readFileSync(path.join(__dirname, 'public', 'login.html'), 'utf8')
-      .replace('<div class="error" id="error-message" style="display: none;">Invalid access code. Please try again.</div>',
-               '<div class="error" id="error-message">Invalid access code format. Use only letters, numbers, underscores, and dashes.</div>');
-    return res.send(loginPage);
+    return res.send(renderLoginError('Invalid access code format. Use only letters, numbers, underscores, and dashes.'));
   }
 
-  // Validate username
-  if (!username || username.trim().length === 0) {
-    const loginPage = fs.readFileSync(path.join(__dirname, 'public', 'login.html'), 'utf8')
-      .replace('<div class="error" id="error-message" style="display: none;">Invalid access code. Please try again.</div>',
-               '<div class="error" id="error-message">Please enter your name.</div>');
-    return res.send(loginPage);
+  // Validate and sanitize username (remove potentially harmful characters)
+  const cleanUsername = members.cleanName(username);
+  if (cleanUsername.length === 0) {
+    return res.send(renderLoginError('Please enter your name.'));
+  }
+  if (userPin && !roomAdmin.isValidPin(userPin)) {
+    return res.send(renderLoginError('Your PIN must be 4 to 12 digits.'));
   }
 
-  // Sanitize username (remove potentially harmful characters)
-  const cleanUsername = username.trim().substring(0, 50).replace(/[<>\"'&]/g, '');
+  // Rooms with a password need it; a new room can be given one right away
+  if (storage.exists(accessCode)) {
+    const data = readData(accessCode);
+    if (data.archivedAt) {
+      return res.send(renderLoginError('This room has been archived by the server admin.'));
+    }
+    if (data.roomPassword && !verifySecret(data.roomPassword, roomPassword)) {
+      return res.send(renderLoginError('Incorrect room password.'));
+    }
+  } else if (roomPassword) {
+    if (!isValidRoomPassword(roomPassword)) {
+      return res.send(renderLoginError('The room password must be 4 to 100 characters.'));
+    }
+    try {
+      await withRoomLock(accessCode, () => {
+        const data = readData(accessCode);
+        if (!data.roomPassword) {
+          data.roomPassword = createRoomPassword(roomPassword);
+          storage.saveRoom(accessCode, data);
+          recordAudit(accessCode, cleanUsername, 'room-password');
+        }
+      });
+    } catch (error) {
+      console.error('Room password error:', error);
+      return res.send(renderLoginError('Something went wrong. Please try again.'));
+    }
+  }
 
-  // Set cookies and redirect
-  res.cookie('accessCode', accessCode, {
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    httpOnly: true,
-    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
-  });
+  // Sign in as the room member with this name, or join as a new one
+  let member;
+  try {
+    member = await withRoomLock(accessCode, () => {
+      const data = readData(accessCode);
+      const existing = members.findMemberByName(data, cleanUsername);
+      if (existing) {
+        return !existing.pinHash || members.verifyMemberPin(existing, userPin) ? existing : null;
+      }
 
-  res.cookie('username', cleanUsername, {
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    httpOnly: false, // Allow JavaScript to read this for display
-    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
-  });
+      const created = members.createMember(cleanUsername, { pin: userPin });
+      data.members.push(created);
+      storage.saveRoom(accessCode, data);
+      console.log('👋 Member joined - accessCode:', accessCode, 'name:', created.name);
+      recordAudit(accessCode, created.name, 'member-join', { userId: created.id });
+      broadcastMembers(accessCode, data);
+      return created;
+    });
+  } catch (error) {
+    console.error('Member login error:', error);
+    return res.send(renderLoginError('Something went wrong. Please try again.'));
+  }
+  if (!member) {
+    return res.send(renderLoginError(userPin
+      ? 'Incorrect PIN for that name.'
+      : 'That name is protected with a PIN. Enter your PIN, or pick another name.'));
+  }
+
+  // Optional admin PIN: claims a room that has no owner yet, or signs the owner in
+  if (adminPin) {
+    if (!roomAdmin.isValidPin(adminPin)) {
+      return res.send(renderLoginError('The admin PIN must be 4 to 12 digits.'));
+    }
+
+    const attemptKey = `${accessCode}:${req.ip}`;
+    if (roomAdmin.isLockedOut(attemptKey)) {
+      return res.send(renderLoginError('Too many wrong PINs. Please wait a few minutes and try again.'));
+    }
+
+    try {
+      const owner = await withRoomLock(accessCode, () => {
+        const data = readData(accessCode);
+        if (!data.owner) {
+          data.owner = roomAdmin.createOwner(member.name, adminPin);
+          storage.saveRoom(accessCode, data);
+          console.log('👑 Room claimed - accessCode:', accessCode, 'owner:', member.name);
+          recordAudit(accessCode, member.name, 'room-claim');
+          return data.owner;
+        }
+        return roomAdmin.verifyPin(data.owner, adminPin) ? data.owner : null;
+      });
+
+      if (!owner) {
+        roomAdmin.recordFailedAttempt(attemptKey);
+        return res.send(renderLoginError('Incorrect admin PIN for this room.'));
+      }
+      roomAdmin.clearFailedAttempts(attemptKey);
+      setAdminCookie(req, res, owner, accessCode);
+    } catch (error) {
+      console.error('Admin login error:', error);
+      return res.send(renderLoginError('Something went wrong. Please try again.'));
+    }
+  }
 
-  res.redirect(`/?access=${accessCode}`);
+  setSessionCookie(req, res, accessCode, member);
+  res.redirect('/');
 });
 
+function setSessionCookie(req, res, accessCode, member) {
+  res.cookie('session', sessions.create(accessCode, member), {
+    maxAge: SESSION_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
+  });
+}
+
 // Logout route
 app.post('/logout', (req, res) => {
+  res.clearCookie('session');
+  res.clearCookie('roomAdmin');
+  // Cookies from before signed sessions
   res.clearCookie('accessCode');
   res.clearCookie('username');
   res.redirect('/login');
 });
 
-app.use(express.static('public'));
-
-// Data files are now created on-demand when access codes are first used
+// Room passwords: optional, separate from the access code, stored as a hash
+function isValidRoomPassword(password) {
+  return typeof password === 'string' && password.length >= 4 && password.length <= 100;
+}
 
-// Helper function to read data with integrity checks
-function readData(accessCode) {
-  const dataFile = getDataFile(accessCode);
+function createRoomPassword(password) {
+  return Object.assign(hashSecret(password), { setAt: Date.now() });
+}
 
-  try {
-    if (!fs.existsSync(dataFile)) {
-      console.log(`Data file for ${accessCode} does not exist, initializing...`);
-      return initializeData(accessCode);
-    }
+// Room settings page
+app.get('/settings', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'settings.html'));
+});
 
-    const data = fs.readFileSync(dataFile, 'utf8');
-    const parsed = JSON.parse(data);
+// Stats page
+app.get('/stats', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'stats.html'));
+});
 
-    // Validate data structure
-    if (!parsed || typeof parsed !== 'object') {
-      console.error('Invalid data structure, reinitializing...');
-      return initializeData(accessCode);
-    }
+// Server admin dashboard (signs in with ADMIN_TOKEN, not a room session)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
 
-    // Ensure required fields exist
-    if (typeof parsed.count !== 'number') parsed.count = 0;
-    if (!Array.isArray(parsed.log)) parsed.log = [];
-    if (typeof parsed.lastIncrementTime !== 'number') parsed.lastIncrementTime = 0;
-    if (!Array.isArray(parsed.pushSubscriptions)) parsed.pushSubscriptions = [];
-    if (typeof parsed.accessCode !== 'string') parsed.accessCode = accessCode;
+app.use(express.static('public'));
 
-    return parsed;
-  } catch (error) {
-    console.error('Error reading data file, attempting recovery:', error);
+// Number of log entries sent per page
+const LOG_PAGE_SIZE = 20;
+const MAX_LOG_PAGE_SIZE = 100;
 
-    // Try to restore from backup
-    const backupData = tryRestoreFromBackup(accessCode);
-    if (backupData) {
-      console.log('Restored from backup successfully');
-      return backupData;
-    }
+// Data is now created on-demand when access codes are first used
 
-    // If all else fails, initialize fresh
-    console.log('Initializing fresh data...');
+// Helper function to read data with integrity checks
+function readData(accessCode) {
+  const data = storage.read(accessCode);
+  if (!data) {
+    console.log(`No usable data for ${accessCode}, initializing...`);
     return initializeData(accessCode);
   }
+  return normalizeData(data, accessCode);
+}
+
+// Which rooms are archived, so checking a session doesn't read its room on
+// every request. Only the server admin routes change this, and they update it.
+const archivedRooms = new Map();
+
+// A room that exists and hasn't been archived by the server admin
+function isOpenRoom(accessCode) {
+  if (!storage.exists(accessCode)) return false;
+  if (!archivedRooms.has(accessCode)) {
+    const data = storage.read(accessCode);
+    if (!data) return false;
+    archivedRooms.set(accessCode, !!data.archivedAt);
+  }
+  return !archivedRooms.get(accessCode);
 }
 
 // Initialize fresh data for a specific access code
 function initializeData(accessCode) {
-  const initialData = {
-    accessCode: accessCode,
-    count: 0,
-    log: [],
-    lastIncrementTime: 0,
-    pushSubscriptions: []
-  };
+  const initialData = createRoomData(accessCode);
   writeData(accessCode, initialData);
   return initialData;
 }
 
-// Try to restore from backup for a specific access code
-function tryRestoreFromBackup(accessCode) {
-  const dataFile = getDataFile(accessCode);
-  const backupFile = dataFile + '.backup';
-  try {
-    if (fs.existsSync(backupFile)) {
-      const backupData = fs.readFileSync(backupFile, 'utf8');
-      return JSON.parse(backupData);
-    }
-  } catch (error) {
-    console.error('Failed to restore from backup:', error);
-  }
-  return null;
+// Room owner/admin role
+
+// Admin session cookie for the room owner
+function setAdminCookie(req, res, owner, accessCode) {
+  res.cookie('roomAdmin', roomAdmin.createAdminToken(owner, accessCode), {
+    maxAge: roomAdmin.ADMIN_SESSION_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
+  });
 }
 
-// Atomic write with backup for a specific access code
-function writeData(accessCode, data) {
-  const dataFile = getDataFile(accessCode);
-  const tempFile = dataFile + '.tmp';
-  const backupFile = dataFile + '.backup';
+function isRoomAdmin(req, data) {
+  if (req.apiToken) return apiTokens.hasScope(req.apiToken, 'admin');
+  return !!data.owner && roomAdmin.verifyAdminToken(data.owner, req.accessCode, req.cookies.roomAdmin);
+}
 
-  try {
-    // Validate data before writing
-    if (!data || typeof data !== 'object') {
-      throw new Error('Invalid data structure');
-    }
+// Destructive routes: once a room has an owner, only they may use them
+function requireRoomAdmin(req, res, next) {
+  if (!req.accessCode) {
+    console.error('❌ API', req.path, '- No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
 
-    // Create backup of current data if it exists
-    if (fs.existsSync(dataFile)) {
-      fs.copyFileSync(dataFile, backupFile);
-    }
+  const data = readData(req.accessCode);
+  if (!data.owner || isRoomAdmin(req, data)) {
+    return next();
+  }
 
-    // Write to temporary file first (atomic operation)
-    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  console.log('🔒 Admin required - Path:', req.path, 'accessCode:', req.accessCode, 'username:', req.username);
+  res.status(403).json({ error: 'Only the room owner can do this', adminRequired: true });
+}
 
-    // Atomic rename (this is atomic on POSIX systems)
-    fs.renameSync(tempFile, dataFile);
+// Replace everything stored for a specific access code
+function writeData(accessCode, data) {
+  // Validate data before writing
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid data structure');
+  }
+  storage.write(accessCode, data);
+}
 
-    console.log(`Data saved for ${accessCode}: ${data.count} snacks, ${data.log.length} log entries`);
-  } catch (error) {
-    console.error('Error writing data file:', error);
+// Save a log entry that was deleted, restored or edited. The counter's
+// snacks are renumbered first; when that changed any other entry, the whole
+// room is saved.
+function saveLogEntry(accessCode, data, entry) {
+  const renumbered = renumberEntries(data, entry.counterId);
+  if (renumbered.some(other => other !== entry)) {
+    storage.write(accessCode, data);
+  } else {
+    storage.updateLogEntry(accessCode, data, entry);
+  }
+}
 
-    // Clean up temp file if it exists
-    if (fs.existsSync(tempFile)) {
-      try {
-        fs.unlinkSync(tempFile);
-      } catch (cleanupError) {
-        console.error('Failed to clean up temp file:', cleanupError);
-      }
-    }
+// Audit trail: one event per change to a room, with who made it and when.
+// A failure here is logged but never fails the change itself.
+function recordAudit(accessCode, actor, action, details = {}) {
+  try {
+    storage.appendAuditEvent(accessCode, {
+      time: new Date().toISOString(),
+      actor: actor,
+      action: action,
+      details: details
+    });
+  } catch (error) {
+    console.error('Audit error:', error);
+  }
+}
 
-    throw error; // Re-throw so calling code knows write failed
+// Save a snapshot of a room before its data is replaced. Like the audit
+// trail, a failure is logged but doesn't stop the change.
+function snapshotRoom(accessCode, data, reason) {
+  try {
+    const backup = backups.create(accessCode, data, reason);
+    console.log('💾 BACKUP - accessCode:', accessCode, 'id:', backup.id);
+  } catch (error) {
+    console.error('Backup error:', error);
   }
 }
 
@@ -271,248 +526,2005 @@ app.get('/api/counter', (req, res) => {
   }
   console.log('API /counter - accessCode:', req.accessCode);
   const data = readData(req.accessCode);
-  res.json(data);
+  res.json(getCounterSnapshot(data, getRequestedCounter(req, data)));
 });
 
-app.get('/api/button-state', (req, res) => {
+// Paginated snack history, newest first
+app.get('/api/log', (req, res) => {
   if (!req.accessCode) {
-    console.error('❌ API /button-state - No accessCode!');
+    console.error('❌ API /log - No accessCode!');
     return res.status(400).json({ error: 'No access code provided' });
   }
   const data = readData(req.accessCode);
-  const now = Date.now();
-  const timeSinceLastIncrement = now - data.lastIncrementTime;
-  const RATE_LIMIT_MS = 20000; // 20 seconds
-
-  const isEnabled = timeSinceLastIncrement >= RATE_LIMIT_MS;
-  const remainingTime = isEnabled ? 0 : Math.ceil((RATE_LIMIT_MS - timeSinceLastIncrement) / 1000);
+  const counter = getRequestedCounter(req, data);
+  const log = getCounterLog(data, counter.id);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), MAX_LOG_PAGE_SIZE);
+
+  let start = 0;
+  if (req.query.before) {
+    const beforeIndex = log.findIndex(entry => entry.id === req.query.before);
+    if (beforeIndex !== -1) {
+      start = beforeIndex + 1;
+    } else {
+      // The entry may have been deleted in the meantime; fall back to comparing ids (creation times)
+      const beforeTime = parseInt(req.query.before, 10);
+      start = log.findIndex(entry => parseInt(entry.id, 10) < beforeTime);
+      if (start === -1) start = log.length;
+    }
+  }
 
+  const page = log.slice(start, start + limit);
   res.json({
-    isEnabled: isEnabled,
-    remainingTime: remainingTime,
-    lastIncrementTime: data.lastIncrementTime
+    counterId: counter.id,
+    log: page,
+    hasMore: start + limit < log.length
   });
 });
 
-// User info endpoint
-app.get('/api/user-info', (req, res) => {
-  const username = req.username || 'Guest';
-  res.json({ username: username });
-});
+// The counter a request is about (counterId in the query or body), falling
+// back to the room's first active counter when none or an unknown one is given
+function getRequestedCounter(req, data) {
+  const counterId = req.query.counterId || (req.body && req.body.counterId);
+  return findCounter(data, counterId) || findCounter(data);
+}
 
-// Push notification routes
-app.get('/api/vapid-public-key', (req, res) => {
-  res.json({ publicKey: vapidKeys.publicKey });
+// Counter state sent to clients: one counter's count plus the first page of its log
+function getCounterSnapshot(data, counter) {
+  const log = getCounterLog(data, counter.id);
+  return {
+    accessCode: data.accessCode,
+    counterId: counter.id,
+    count: counter.count,
+    totalCount: data.count,
+    log: log.slice(0, LOG_PAGE_SIZE),
+    hasMoreLog: log.length > LOG_PAGE_SIZE,
+    lastIncrementTime: counter.lastIncrementTime,
+    counters: data.counters,
+    snackTypes: data.snackTypes
+  };
+}
+
+// Leaderboard and snack patterns for the whole room, or one counter with ?counterId=
+app.get('/api/stats', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /stats - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const data = readData(req.accessCode);
+  let entries = getActiveLog(data);
+  if (req.query.counterId) {
+    const counter = findCounter(data, req.query.counterId);
+    if (!counter) {
+      return res.status(404).json({ error: 'Counter not found' });
+    }
+    entries = getCounterLog(data, counter.id);
+  }
+
+  const stats = computeStats(entries, { timeZone: resolvePolicy(data.policy).timeZone, snackTypes: data.snackTypes });
+  res.json(Object.assign({ counterId: req.query.counterId || null }, stats));
 });
 
-app.post('/api/subscribe', (req, res) => {
-  const subscription = req.body;
+app.get('/api/button-state', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /button-state - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
   const data = readData(req.accessCode);
+  res.json(getButtonState(data, req.userId, getRequestedCounter(req, data)));
+});
 
-  // Remove any existing subscription with the same endpoint
-  data.pushSubscriptions = data.pushSubscriptions.filter(sub =>
-    sub.endpoint !== subscription.endpoint
-  );
+// State of a counter's increment button for one member, from the room's policy (see lib/policy)
+function getButtonState(data, userId, counter) {
+  return Object.assign(evaluatePolicy(data, userId, Date.now(), counter), {
+    counterId: counter.id,
+    cooldownSeconds: resolvePolicy(data.policy, counter).cooldownSeconds, // For snacks made offline
+    lastIncrementTime: counter.lastIncrementTime
+  });
+}
 
-  // Add the new subscription
-  data.pushSubscriptions.push(subscription);
+// Real-time updates (Server-Sent Events), one set of open streams per access code
+const eventClients = new Map();
 
-  // Keep only the last 50 subscriptions to prevent file bloat
-  if (data.pushSubscriptions.length > 50) {
-    data.pushSubscriptions = data.pushSubscriptions.slice(-50);
+app.get('/api/events', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /events - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
   }
 
-  writeData(req.accessCode, data);
-  res.status(201).json({ message: 'Subscription added successfully' });
-});
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
 
-// Function to send push notifications
-async function sendPushNotifications(accessCode, message, title = 'Snack Counter') {
+  const accessCode = req.accessCode;
+  if (!eventClients.has(accessCode)) {
+    eventClients.set(accessCode, new Set());
+  }
+  const clients = eventClients.get(accessCode);
   const data = readData(accessCode);
-  const payload = JSON.stringify({
-    title: title,
-    body: message,
-    icon: '/icon.png',
-    badge: '/badge.png'
+  const counter = getRequestedCounter(req, data);
+  const client = { res, userId: req.userId, counterId: counter.id };
+  clients.add(client);
+  console.log('📡 SSE connected - accessCode:', accessCode, 'counter:', counter.id, 'open streams:', clients.size);
+
+  // Send the current state right away so the client doesn't need a separate fetch
+  sendEvent(res, 'counter', getCounterSnapshot(data, counter));
+  sendEvent(res, 'button-state', getButtonState(data, req.userId, counter));
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (clients.size === 0) {
+      eventClients.delete(accessCode);
+    }
+    console.log('📡 SSE disconnected - accessCode:', accessCode, 'open streams:', clients.size);
   });
+});
 
-  const promises = data.pushSubscriptions.map(async (subscription) => {
-    try {
-      await webpush.sendNotification(subscription, payload);
-    } catch (error) {
-      console.error('Error sending push notification:', error);
-      // If subscription is invalid, remove it
-      if (error.statusCode === 410 || error.statusCode === 400) {
-        removeInvalidSubscription(accessCode, subscription.endpoint);
-      }
-    }
+function sendEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// Push the latest counter and cooldown state to every open stream in a room
+function broadcastRoomUpdate(accessCode, data) {
+  const clients = eventClients.get(accessCode);
+  if (!clients) return;
+
+  // Each stream follows one counter, and button state may be per user
+  clients.forEach(client => {
+    const counter = findCounter(data, client.counterId) || findCounter(data);
+    sendEvent(client.res, 'counter', getCounterSnapshot(data, counter));
+    sendEvent(client.res, 'button-state', getButtonState(data, client.userId, counter));
   });
+}
 
-  await Promise.all(promises);
+// End every open stream in a room, when it's archived, renamed or deleted
+function disconnectRoom(accessCode) {
+  const clients = eventClients.get(accessCode);
+  if (!clients) return;
+
+  clients.forEach(client => client.res.end());
+  eventClients.delete(accessCode);
 }
 
-// Remove invalid subscriptions
-function removeInvalidSubscription(accessCode, endpoint) {
-  const data = readData(accessCode);
-  data.pushSubscriptions = data.pushSubscriptions.filter(sub =>
-    sub.endpoint !== endpoint
-  );
-  writeData(accessCode, data);
+// Show badges and goals to everyone watching the room
+function broadcastCelebrations(accessCode, celebrations) {
+  const clients = eventClients.get(accessCode);
+  if (!clients || celebrations.length === 0) return;
+
+  clients.forEach(client => sendEvent(client.res, 'celebration', celebrations));
 }
 
-// Data export endpoint for backups
-app.get('/api/export-data', (req, res) => {
-  try {
-    if (!req.accessCode) {
-      console.error('❌ API /export-data - No accessCode!');
-      return res.status(400).json({ error: 'No access code provided' });
-    }
-    const data = readData(req.accessCode);
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename="snack-counter-data.json"');
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to export data' });
-  }
-});
+// Tell every open stream in a room that the member list changed
+function broadcastMembers(accessCode, data) {
+  const clients = eventClients.get(accessCode);
+  if (!clients) return;
 
-// Data import endpoint for restores
-app.post('/api/import-data', (req, res) => {
-  try {
-    if (!req.accessCode) {
-      console.error('❌ API /import-data - No accessCode!');
-      return res.status(400).json({ error: 'No access code provided' });
-    }
-    
-    const importedData = req.body;
+  const list = getMemberList(data);
+  clients.forEach(client => sendEvent(client.res, 'members', list));
+}
 
-    // Validate imported data structure
-    if (!importedData || typeof importedData !== 'object') {
-      return res.status(400).json({ error: 'Invalid data format' });
-    }
+// Public profiles of everyone in the room, with how many snacks they've had
+function getMemberList(data) {
+  const snackCounts = {};
+  getActiveLog(data).forEach(entry => {
+    snackCounts[entry.userId] = (snackCounts[entry.userId] || 0) + getEntryQuantity(entry);
+  });
 
-    // Ensure required fields
-    if (typeof importedData.count !== 'number') importedData.count = 0;
-    if (!Array.isArray(importedData.log)) importedData.log = [];
-    if (typeof importedData.lastIncrementTime !== 'number') importedData.lastIncrementTime = 0;
+  return data.members.map(member => Object.assign(members.publicMember(member), {
+    snackCount: snackCounts[member.id] || 0
+  }));
+}
 
-    // Save the imported data
-    writeData(req.accessCode, importedData);
+// User info endpoint
+app.get('/api/user-info', (req, res) => {
+  const username = req.username || 'Guest';
+  const member = req.accessCode ? members.findMember(readData(req.accessCode), req.userId) : null;
+  res.json({
+    username: member ? member.name : username,
+    userId: req.userId || null,
+    profile: member ? members.publicMember(member) : null
+  });
+});
 
-    res.json({
-      success: true,
-      message: `Imported ${importedData.count} snacks and ${importedData.log.length} log entries`
-    });
-  } catch (error) {
-    console.error('Import error:', error);
-    res.status(500).json({ error: 'Failed to import data' });
+// Room member list, used to show names and avatars in the log and stats
+app.get('/api/members', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /members - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
   }
+  res.json({ members: getMemberList(readData(req.accessCode)) });
 });
 
-app.post('/api/increment', (req, res) => {
+// Edit your own profile: name, avatar and PIN (pin: null removes it)
+app.patch('/api/members/me', async (req, res) => {
   if (!req.accessCode) {
-    console.error('❌ API /increment - No accessCode!');
+    console.error('❌ API /members/me - No accessCode!');
     return res.status(400).json({ error: 'No access code provided' });
   }
-  
-  const data = readData(req.accessCode);
-  const now = Date.now();
-  const timeSinceLastIncrement = now - data.lastIncrementTime;
-  const RATE_LIMIT_MS = 20000; // 20 seconds
 
-  // Check if enough time has passed since last increment
-  if (timeSinceLastIncrement < RATE_LIMIT_MS) {
-    const remainingTime = Math.ceil((RATE_LIMIT_MS - timeSinceLastIncrement) / 1000);
-    return res.status(429).json({
-      error: 'Rate limited',
-      remainingTime: remainingTime,
-      message: `Please wait ${remainingTime} seconds before the next snack!`
-    });
+  const validation = members.validateProfile(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
   }
+  const fields = validation.fields;
 
-  // Allow increment
-  data.count += 1;
-  data.lastIncrementTime = now;
-
-  const timestamp = new Date().toLocaleString('en-US', { 
-    timeZone: 'America/Los_Angeles'
-  });
-  const id = Date.now().toString();
-  const username = req.username || 'Anonymous';
-  console.log('🚀 INCREMENT - accessCode:', req.accessCode, 'user:', username, 'new count:', data.count, 'file:', getDataFile(req.accessCode));
-
-  data.log.unshift({
-    id: id,
-    timestamp: timestamp,
-    count: data.count,
-    username: username
-  });
-
-  // Keep only last 20 entries in log
-  if (data.log.length > 20) {
-    data.log = data.log.slice(0, 20);
-  }
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const member = members.findMember(data, req.userId);
+      if (!member) {
+        return { error: 'Member not found', status: 404 };
+      }
 
-  writeData(req.accessCode, data);
+      if (fields.name !== undefined) {
+        const taken = members.findMemberByName(data, fields.name);
+        if (taken && taken.id !== member.id) {
+          return { error: 'Someone in this room already uses that name', status: 409 };
+        }
+        // The owner is shown by name, so keep it in step
+        if (data.owner && data.owner.username === member.name) {
+          data.owner.username = fields.name;
+        }
+        member.name = fields.name;
+      }
+      if (fields.emoji !== undefined) member.emoji = fields.emoji;
+      if (fields.color !== undefined) member.color = fields.color;
+      if (fields.pin !== undefined) members.setMemberPin(member, fields.pin);
+
+      storage.saveRoom(req.accessCode, data);
+      recordAudit(req.accessCode, member.name, 'profile-update', {
+        userId: member.id,
+        fields: Object.keys(fields)
+      });
+      broadcastMembers(req.accessCode, data);
+      return { member };
+    });
 
-  // Send push notifications asynchronously (don't wait for it)
-  sendPushNotifications(req.accessCode, `Snack #${data.count} has been eaten! 🐷`, 'Snack Counter')
-    .catch(error => console.error('Failed to send push notifications:', error));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-  res.json(data);
+    // The session carries the name, so hand out a fresh one
+    setSessionCookie(req, res, req.accessCode, result.member);
+    res.json(members.publicMember(result.member));
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
 });
 
-app.delete('/api/log/:id', (req, res) => {
+// Room ownership info for the current user
+app.get('/api/room', (req, res) => {
   if (!req.accessCode) {
-    console.error('❌ API /log DELETE - No accessCode!');
+    console.error('❌ API /room - No accessCode!');
     return res.status(400).json({ error: 'No access code provided' });
   }
-  
   const data = readData(req.accessCode);
-  const logId = req.params.id;
-  
-  console.log('🗑️ DELETE LOG - accessCode:', req.accessCode, 'logId:', logId, 'current log length:', data.log.length);
-
-  // Find the log entry to delete
-  const logIndex = data.log.findIndex(entry => entry.id === logId);
-  if (logIndex !== -1) {
-    // Remove the log entry
-    data.log.splice(logIndex, 1);
-
-    // Recalculate count based on remaining log entries
-    data.count = data.log.length;
-
-    // Recalculate lastIncrementTime based on the most recent remaining log entry
-    if (data.log.length > 0) {
-      // Sort log entries by ID (timestamp) to find the most recent
-      const sortedLog = [...data.log].sort((a, b) => parseInt(b.id) - parseInt(a.id));
-      data.lastIncrementTime = parseInt(sortedLog[0].id);
-    } else {
-      // No log entries left, reset lastIncrementTime
-      data.lastIncrementTime = 0;
-    }
+  const isAdmin = isRoomAdmin(req, data);
 
-    writeData(req.accessCode, data);
-    console.log('✅ DELETED - new count:', data.count, 'new log length:', data.log.length);
-    res.json(data);
-  } else {
-    console.log('❌ Log entry not found:', logId);
-    res.status(404).json({ error: 'Log entry not found' });
-  }
+  res.json({
+    accessCode: req.accessCode,
+    owner: data.owner ? data.owner.username : null,
+    isAdmin: isAdmin,
+    // Rooms without an owner stay open to everyone, as before ownership existed
+    canManage: !data.owner || isAdmin,
+    hasPassword: !!data.roomPassword,
+    policy: resolvePolicy(data.policy)
+  });
 });
 
-// Graceful shutdown handling
-process.on('SIGINT', () => {
-  console.log('\nReceived SIGINT, shutting down gracefully...');
-  console.log('Data persistence: All snack data is automatically saved to counter-data.json');
-  console.log('Backup available: counter-data.json.backup');
-  process.exit(0);
-});
+// Update the room's cooldown and rate-limit rules
+app.put('/api/room/policy', requireRoomAdmin, async (req, res) => {
+  const validation = validatePolicy(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
 
-process.on('SIGTERM', () => {
-  console.log('\nReceived SIGTERM, shutting down gracefully...');
-  console.log('Data persistence: All snack data is automatically saved to counter-data.json');
-  console.log('Backup available: counter-data.json.backup');
+  try {
+    const data = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      data.policy = Object.assign({}, data.policy, validation.policy);
+      storage.saveRoom(req.accessCode, data);
+      return data;
+    });
+
+    console.log('📏 POLICY - accessCode:', req.accessCode, 'policy:', data.policy);
+    recordAudit(req.accessCode, req.username, 'policy-update', { policy: validation.policy });
+    broadcastRoomUpdate(req.accessCode, data);
+    res.json({ success: true, policy: resolvePolicy(data.policy) });
+  } catch (error) {
+    console.error('Policy update error:', error);
+    res.status(500).json({ error: 'Failed to update policy' });
+  }
+});
+
+// Claim a room that has no owner yet
+app.post('/api/room/claim', async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /room/claim - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+  const { pin } = req.body;
+  if (!roomAdmin.isValidPin(pin)) {
+    return res.status(400).json({ error: 'The admin PIN must be 4 to 12 digits' });
+  }
+
+  try {
+    const owner = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (data.owner) return null;
+
+      data.owner = roomAdmin.createOwner(req.username, pin);
+      storage.saveRoom(req.accessCode, data);
+      return data.owner;
+    });
+
+    if (!owner) {
+      return res.status(409).json({ error: 'This room already has an owner' });
+    }
+
+    console.log('👑 Room claimed - accessCode:', req.accessCode, 'owner:', req.username);
+    recordAudit(req.accessCode, req.username, 'room-claim');
+    setAdminCookie(req, res, owner, req.accessCode);
+    res.json({ success: true, owner: owner.username });
+  } catch (error) {
+    console.error('Claim error:', error);
+    res.status(500).json({ error: 'Failed to claim room' });
+  }
+});
+
+// Sign in as the room owner with the admin PIN
+app.post('/api/room/admin-login', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /room/admin-login - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const attemptKey = `${req.accessCode}:${req.ip}`;
+  if (roomAdmin.isLockedOut(attemptKey)) {
+    return res.status(429).json({ error: 'Too many wrong PINs. Please wait a few minutes and try again.' });
+  }
+
+  const data = readData(req.accessCode);
+  if (!data.owner) {
+    return res.status(409).json({ error: 'This room has no owner yet' });
+  }
+  if (!roomAdmin.verifyPin(data.owner, req.body.pin)) {
+    roomAdmin.recordFailedAttempt(attemptKey);
+    return res.status(401).json({ error: 'Incorrect admin PIN' });
+  }
+
+  roomAdmin.clearFailedAttempts(attemptKey);
+  setAdminCookie(req, res, data.owner, req.accessCode);
+  res.json({ success: true });
+});
+
+app.post('/api/room/admin-logout', (req, res) => {
+  res.clearCookie('roomAdmin');
+  res.json({ success: true });
+});
+
+// Change the admin PIN (signs out every other admin session)
+app.post('/api/room/pin', requireRoomAdmin, async (req, res) => {
+  const { pin } = req.body;
+  if (!roomAdmin.isValidPin(pin)) {
+    return res.status(400).json({ error: 'The admin PIN must be 4 to 12 digits' });
+  }
+
+  try {
+    const owner = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      data.owner = roomAdmin.createOwner(data.owner ? data.owner.username : req.username, pin);
+      storage.saveRoom(req.accessCode, data);
+      return data.owner;
+    });
+
+    recordAudit(req.accessCode, req.username, 'pin-change');
+    setAdminCookie(req, res, owner, req.accessCode);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('PIN change error:', error);
+    res.status(500).json({ error: 'Failed to change PIN' });
+  }
+});
+
+// Set, change or remove (empty password) the room password. People who are
+// already signed in stay signed in until their session ends.
+app.post('/api/room/password', requireRoomAdmin, async (req, res) => {
+  const { password } = req.body;
+  if (password && !isValidRoomPassword(password)) {
+    return res.status(400).json({ error: 'The room password must be 4 to 100 characters' });
+  }
+
+  try {
+    await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      data.roomPassword = password ? createRoomPassword(password) : null;
+      storage.saveRoom(req.accessCode, data);
+    });
+
+    console.log('🔑 Room password', password ? 'set' : 'removed', '- accessCode:', req.accessCode);
+    recordAudit(req.accessCode, req.username, 'room-password', { removed: !password });
+    res.json({ success: true, hasPassword: !!password });
+  } catch (error) {
+    console.error('Room password error:', error);
+    res.status(500).json({ error: 'Failed to change room password' });
+  }
+});
+
+// Reset the counter and its history (owner only)
+app.post('/api/reset', requireRoomAdmin, async (req, res) => {
+  try {
+    const data = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      snapshotRoom(req.accessCode, data, 'before-reset');
+      recordAudit(req.accessCode, req.username, 'reset', { count: data.count, logEntries: getActiveLog(data).length });
+      data.log = [];
+      data.lastIncrementTime = 0;
+      data.counters.forEach(counter => {
+        counter.untrackedCount = 0;
+        counter.lastIncrementTime = 0;
+      });
+      recalculateCount(data);
+      writeData(req.accessCode, data);
+      return data;
+    });
+
+    console.log('♻️ RESET - accessCode:', req.accessCode, 'by:', req.username);
+    broadcastRoomUpdate(req.accessCode, data);
+    res.json(getCounterSnapshot(data, getRequestedCounter(req, data)));
+  } catch (error) {
+    console.error('Reset error:', error);
+    res.status(500).json({ error: 'Failed to reset counter' });
+  }
+});
+
+// Room goals, with how the current day, week or month is going
+app.get('/api/goals', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /goals - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+  const data = readData(req.accessCode);
+  const timeZone = resolvePolicy(data.policy).timeZone;
+  res.json({ goals: data.goals.map(goal => goals.getGoalProgress(data, goal, Date.now(), timeZone)) });
+});
+
+app.post('/api/goals', requireRoomAdmin, async (req, res) => {
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const validation = goals.validateGoal(req.body, data);
+      if (validation.error) {
+        return { error: validation.error, status: 400 };
+      }
+      if (data.goals.length >= goals.MAX_GOALS) {
+        return { error: `A room can have at most ${goals.MAX_GOALS} goals`, status: 409 };
+      }
+
+      const goal = goals.createGoal(validation.fields);
+      data.goals.push(goal);
+      storage.saveRoom(req.accessCode, data);
+      return { data, goal };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { data, goal } = result;
+    const progress = goals.getGoalProgress(data, goal, Date.now(), resolvePolicy(data.policy).timeZone);
+    console.log('🎯 GOAL - accessCode:', req.accessCode, 'created:', goal.id, progress.description);
+    recordAudit(req.accessCode, req.username, 'goal-create', { goalId: goal.id, description: progress.description });
+    res.status(201).json(progress);
+  } catch (error) {
+    console.error('Goal create error:', error);
+    res.status(500).json({ error: 'Failed to create goal' });
+  }
+});
+
+app.delete('/api/goals/:id', requireRoomAdmin, async (req, res) => {
+  try {
+    const description = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const goal = data.goals.find(goal => goal.id === req.params.id);
+      if (!goal) return null;
+
+      data.goals = data.goals.filter(other => other !== goal);
+      storage.saveRoom(req.accessCode, data);
+      return goals.describeGoal(data, goal);
+    });
+
+    if (!description) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    recordAudit(req.accessCode, req.username, 'goal-delete', { goalId: req.params.id, description: description });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Goal delete error:', error);
+    res.status(500).json({ error: 'Failed to delete goal' });
+  }
+});
+
+// Achievement badges and who in the room has earned them
+app.get('/api/achievements', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /achievements - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+  const data = readData(req.accessCode);
+  res.json({
+    achievements: listAchievements().map(achievement => Object.assign(achievement, {
+      earnedBy: data.members
+        .map(member => {
+          const earned = (member.achievements || []).find(other => other.id === achievement.id);
+          return earned ? { userId: member.id, earnedAt: earned.earnedAt } : null;
+        })
+        .filter(Boolean)
+    }))
+  });
+});
+
+// Named counters in the room
+
+app.get('/api/counters', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /counters - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+  const data = readData(req.accessCode);
+  res.json({ counters: data.counters });
+});
+
+app.post('/api/counters', requireRoomAdmin, async (req, res) => {
+  const validation = validateCounterFields(req.body, { requireName: true });
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const counter = Object.assign(createCounter(), validation.fields);
+      // Ids come from the creation time; make sure two quick creations don't clash
+      while (data.counters.some(other => other.id === counter.id)) {
+        counter.id += '0';
+      }
+      data.counters.push(counter);
+      storage.saveRoom(req.accessCode, data);
+      return { data, counter };
+    });
+
+    console.log('➕ COUNTER - accessCode:', req.accessCode, 'created:', result.counter.id, result.counter.name);
+    recordAudit(req.accessCode, req.username, 'counter-create', { counterId: result.counter.id, name: result.counter.name });
+    broadcastRoomUpdate(req.accessCode, result.data);
+    res.status(201).json(result.counter);
+  } catch (error) {
+    console.error('Counter create error:', error);
+    res.status(500).json({ error: 'Failed to create counter' });
+  }
+});
+
+// Change a counter (room members see it right away), or archive/restore it
+async function updateCounter(req, res, action, update) {
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const counter = findCounter(data, req.params.id);
+      if (!counter) {
+        return { error: 'Counter not found', status: 404 };
+      }
+
+      const error = update(data, counter);
+      if (error) {
+        return { error, status: 409 };
+      }
+
+      storage.saveRoom(req.accessCode, data);
+      return { data, counter };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('✏️ COUNTER - accessCode:', req.accessCode, 'updated:', result.counter.id, result.counter.name, 'archived:', result.counter.archived);
+    recordAudit(req.accessCode, req.username, action, { counterId: result.counter.id, name: result.counter.name });
+    broadcastRoomUpdate(req.accessCode, result.data);
+    res.json(result.counter);
+  } catch (error) {
+    console.error('Counter update error:', error);
+    res.status(500).json({ error: 'Failed to update counter' });
+  }
+}
+
+// Rename a counter or change its emoji or cooldown
+app.patch('/api/counters/:id', requireRoomAdmin, (req, res) => {
+  const validation = validateCounterFields(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  updateCounter(req, res, 'counter-update', (data, counter) => {
+    Object.assign(counter, validation.fields);
+  });
+});
+
+app.post('/api/counters/:id/archive', requireRoomAdmin, (req, res) => {
+  updateCounter(req, res, 'counter-archive', (data, counter) => {
+    const activeCounters = data.counters.filter(other => !other.archived);
+    if (!counter.archived && activeCounters.length === 1) {
+      return 'A room needs at least one active counter';
+    }
+    counter.archived = true;
+  });
+});
+
+app.post('/api/counters/:id/restore', requireRoomAdmin, (req, res) => {
+  updateCounter(req, res, 'counter-restore', (data, counter) => {
+    counter.archived = false;
+  });
+});
+
+// The room's catalog of snack types, picked when adding a snack
+
+app.get('/api/snack-types', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /snack-types - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+  const data = readData(req.accessCode);
+  res.json({ snackTypes: data.snackTypes });
+});
+
+app.post('/api/snack-types', requireRoomAdmin, async (req, res) => {
+  const validation = snackTypes.validateSnackType(req.body, { requireName: true });
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (data.snackTypes.length >= snackTypes.MAX_SNACK_TYPES) {
+        return { error: `A room can have at most ${snackTypes.MAX_SNACK_TYPES} snack types`, status: 409 };
+      }
+
+      const snackType = snackTypes.createSnackType(validation.fields);
+      data.snackTypes.push(snackType);
+      storage.saveRoom(req.accessCode, data);
+      return { data, snackType };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('🍩 SNACK TYPE - accessCode:', req.accessCode, 'created:', result.snackType.id, result.snackType.name);
+    recordAudit(req.accessCode, req.username, 'snack-type-create', { snackTypeId: result.snackType.id, name: result.snackType.name });
+    broadcastRoomUpdate(req.accessCode, result.data);
+    res.status(201).json(result.snackType);
+  } catch (error) {
+    console.error('Snack type create error:', error);
+    res.status(500).json({ error: 'Failed to create snack type' });
+  }
+});
+
+// Change a snack type, or archive/restore it
+async function updateSnackType(req, res, action, update) {
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const snackType = snackTypes.findSnackType(data, req.params.id);
+      if (!snackType) {
+        return { error: 'Snack type not found', status: 404 };
+      }
+
+      update(snackType);
+      storage.saveRoom(req.accessCode, data);
+      return { data, snackType };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('✏️ SNACK TYPE - accessCode:', req.accessCode, 'updated:', result.snackType.id, result.snackType.name, 'archived:', result.snackType.archived);
+    recordAudit(req.accessCode, req.username, action, { snackTypeId: result.snackType.id, name: result.snackType.name });
+    broadcastRoomUpdate(req.accessCode, result.data);
+    res.json(result.snackType);
+  } catch (error) {
+    console.error('Snack type update error:', error);
+    res.status(500).json({ error: 'Failed to update snack type' });
+  }
+}
+
+app.patch('/api/snack-types/:id', requireRoomAdmin, (req, res) => {
+  const validation = snackTypes.validateSnackType(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  updateSnackType(req, res, 'snack-type-update', snackType => {
+    Object.assign(snackType, validation.fields);
+  });
+});
+
+// Archived types can't be picked any more, but older snacks keep them
+app.post('/api/snack-types/:id/archive', requireRoomAdmin, (req, res) => {
+  updateSnackType(req, res, 'snack-type-archive', snackType => {
+    snackType.archived = true;
+  });
+});
+
+app.post('/api/snack-types/:id/restore', requireRoomAdmin, (req, res) => {
+  updateSnackType(req, res, 'snack-type-restore', snackType => {
+    snackType.archived = false;
+  });
+});
+
+// Push notification routes
+app.get('/api/vapid-public-key', (req, res) => {
+  res.json({ publicKey: vapidKeys.publicKey });
+});
+
+// Turn on push notifications for this device. The subscription belongs to
+// the signed-in member; subscribing again keeps the device's preferences.
+app.post('/api/subscribe', async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /subscribe - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const subscription = req.body;
+  if (!subscription || typeof subscription.endpoint !== 'string') {
+    return res.status(400).json({ error: 'Invalid push subscription' });
+  }
+
+  try {
+    await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+
+      // Remove any existing subscription with the same endpoint
+      const existing = findSubscription(data, subscription.endpoint);
+      data.pushSubscriptions = data.pushSubscriptions.filter(sub =>
+        sub.endpoint !== subscription.endpoint
+      );
+
+      // Add the new subscription
+      data.pushSubscriptions.push({
+        endpoint: subscription.endpoint,
+        expirationTime: subscription.expirationTime || null,
+        keys: subscription.keys,
+        userId: req.userId,
+        preferences: existing ? existing.preferences : {},
+        lastDigestDate: existing ? existing.lastDigestDate : null
+      });
+
+      // Keep only the last 50 subscriptions to prevent file bloat
+      if (data.pushSubscriptions.length > 50) {
+        data.pushSubscriptions = data.pushSubscriptions.slice(-50);
+      }
+
+      storage.saveRoom(req.accessCode, data);
+    });
+    res.status(201).json({ message: 'Subscription added successfully' });
+  } catch (error) {
+    console.error('Subscribe error:', error);
+    res.status(500).json({ error: 'Failed to add subscription' });
+  }
+});
+
+function findSubscription(data, endpoint) {
+  return data.pushSubscriptions.find(sub => sub.endpoint === endpoint) || null;
+}
+
+// Turn push notifications off for a device
+app.post('/api/unsubscribe', async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /unsubscribe - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const endpoint = req.body && req.body.endpoint;
+  if (typeof endpoint !== 'string') {
+    return res.status(400).json({ error: 'endpoint is required' });
+  }
+
+  try {
+    const removed = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (!findSubscription(data, endpoint)) return false;
+
+      data.pushSubscriptions = data.pushSubscriptions.filter(sub => sub.endpoint !== endpoint);
+      storage.saveRoom(req.accessCode, data);
+      return true;
+    });
+    if (!removed) {
+      return res.status(404).json({ error: 'This device is not subscribed' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to remove subscription' });
+  }
+});
+
+// Notification preferences of one device (?endpoint= from its push subscription)
+app.get('/api/notifications/preferences', (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /notifications/preferences - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const subscription = findSubscription(readData(req.accessCode), req.query.endpoint);
+  if (!subscription) {
+    return res.status(404).json({ error: 'This device is not subscribed' });
+  }
+  res.json({ preferences: notifications.resolvePreferences(subscription.preferences) });
+});
+
+app.put('/api/notifications/preferences', async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /notifications/preferences - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const { endpoint, preferences } = req.body || {};
+  const validation = notifications.validatePreferences(preferences);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const subscription = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const subscription = findSubscription(data, endpoint);
+      if (!subscription) return null;
+
+      subscription.preferences = Object.assign({}, subscription.preferences, validation.preferences);
+      storage.saveRoom(req.accessCode, data);
+      return subscription;
+    });
+    if (!subscription) {
+      return res.status(404).json({ error: 'This device is not subscribed' });
+    }
+    res.json({ preferences: notifications.resolvePreferences(subscription.preferences) });
+  } catch (error) {
+    console.error('Notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to save notification preferences' });
+  }
+});
+
+// Send a notification to the room's devices that pass the filter
+async function sendPushNotifications(accessCode, notification, filter = () => true) {
+  const data = readData(accessCode);
+  const payload = JSON.stringify(Object.assign({
+    title: 'Snack Counter',
+    icon: '/icons/icon-192.png',
+    badge: '/icons/badge-96.png'
+  }, notification));
+
+  const promises = data.pushSubscriptions.filter(filter).map(async (subscription) => {
+    try {
+      await webpush.sendNotification(subscription, payload);
+    } catch (error) {
+      console.error('Error sending push notification:', error);
+      // If subscription is invalid, remove it
+      if (error.statusCode === 410 || error.statusCode === 400) {
+        await removeInvalidSubscription(accessCode, subscription.endpoint);
+      }
+    }
+  });
+
+  await Promise.all(promises);
+}
+
+// Tell the room about a snack, following each device's preferences
+function notifySnack(accessCode, data, counter, entry) {
+  const local = getLocalTime(Date.now(), resolvePolicy(data.policy).timeZone);
+  const snack = { userId: entry.userId, count: counter.count, quantity: getEntryQuantity(entry) };
+
+  return sendPushNotifications(accessCode, {
+    body: notifications.formatSnackMessage(data, counter, entry),
+    url: notifications.getRoomUrl(accessCode, counter.id)
+  }, subscription => notifications.shouldNotifySnack(subscription, snack, local));
+}
+
+// Tell the room about badges and goals a snack earned
+function notifyCelebrations(accessCode, data, counter, celebrations) {
+  const local = getLocalTime(Date.now(), resolvePolicy(data.policy).timeZone);
+
+  return Promise.all(celebrations.map(celebration => sendPushNotifications(accessCode, {
+    body: celebration.text,
+    url: notifications.getRoomUrl(accessCode, counter.id)
+  }, subscription => notifications.shouldNotifyCelebration(subscription, celebration, local))));
+}
+
+// Daily digests: every few minutes, send today's summary to devices whose
+// digest time has passed in their room's time zone
+const DIGEST_CHECK_MS = 5 * 60 * 1000;
+
+async function sendDailyDigests() {
+  for (const accessCode of storage.listRooms()) {
+    if (!isOpenRoom(accessCode)) continue;
+
+    try {
+      const due = await withRoomLock(accessCode, () => {
+        const data = readData(accessCode);
+        const timeZone = resolvePolicy(data.policy).timeZone;
+        const local = getLocalTime(Date.now(), timeZone);
+        const subscriptions = data.pushSubscriptions.filter(sub => notifications.isDigestDue(sub, local));
+        if (subscriptions.length === 0) return null;
+
+        subscriptions.forEach(sub => {
+          sub.lastDigestDate = local.date;
+        });
+        storage.saveRoom(accessCode, data);
+        return {
+          endpoints: new Set(subscriptions.map(sub => sub.endpoint)),
+          message: notifications.formatDigestMessage(data, local.date, timeZone)
+        };
+      });
+
+      // Quiet days are skipped, but still count as sent
+      if (due && due.message) {
+        console.log('📬 Daily digest - accessCode:', accessCode, 'devices:', due.endpoints.size);
+        await sendPushNotifications(accessCode, {
+          body: due.message,
+          url: notifications.getRoomUrl(accessCode)
+        }, subscription => due.endpoints.has(subscription.endpoint));
+      }
+    } catch (error) {
+      console.error('Daily digest error for', accessCode, error);
+    }
+
+    try {
+      await sendDailySummaryWebhooks(accessCode);
+    } catch (error) {
+      console.error('Daily summary webhook error for', accessCode, error);
+    }
+  }
+}
+
+setInterval(sendDailyDigests, DIGEST_CHECK_MS).unref();
+
+// Remove invalid subscriptions
+function removeInvalidSubscription(accessCode, endpoint) {
+  return withRoomLock(accessCode, () => {
+    const data = readData(accessCode);
+    data.pushSubscriptions = data.pushSubscriptions.filter(sub =>
+      sub.endpoint !== endpoint
+    );
+    storage.saveRoom(accessCode, data);
+  });
+}
+
+// API tokens (owner only once the room is claimed, and only with a login
+// cookie: tokens can't create or revoke tokens). The token itself is only
+// returned when it's created.
+app.get('/api/tokens', requireRoomAdmin, (req, res) => {
+  const data = readData(req.accessCode);
+  res.json({
+    tokens: data.apiTokens.map(token => {
+      const member = members.findMember(data, token.userId);
+      return Object.assign(apiTokens.publicToken(token), { actingAs: member ? member.name : null });
+    })
+  });
+});
+
+app.post('/api/tokens', requireRoomAdmin, async (req, res) => {
+  const validation = apiTokens.validateTokenFields(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (data.apiTokens.length >= apiTokens.MAX_TOKENS) {
+        return { error: `A room can have at most ${apiTokens.MAX_TOKENS} API tokens`, status: 409 };
+      }
+
+      // Tokens act as the member creating them, or another member of the room
+      const userId = validation.fields.userId || req.userId;
+      const member = members.findMember(data, userId);
+      if (!member) {
+        return { error: 'Member not found', status: 404 };
+      }
+
+      const created = apiTokens.createApiToken(req.accessCode, Object.assign({}, validation.fields, {
+        userId: member.id,
+        createdBy: req.userId
+      }));
+      data.apiTokens.push(created.token);
+      storage.saveRoom(req.accessCode, data);
+      return { created, member };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { token, value } = result.created;
+    console.log('🔑 TOKEN - accessCode:', req.accessCode, 'created:', token.id, token.name, 'scopes:', token.scopes.join(','));
+    recordAudit(req.accessCode, req.username, 'token-create', {
+      tokenId: token.id,
+      name: token.name,
+      scopes: token.scopes,
+      userId: token.userId
+    });
+    res.status(201).json(Object.assign(apiTokens.publicToken(token), {
+      actingAs: result.member.name,
+      token: value
+    }));
+  } catch (error) {
+    console.error('Token create error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/tokens/:id', requireRoomAdmin, async (req, res) => {
+  try {
+    const token = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const token = data.apiTokens.find(token => token.id === req.params.id);
+      if (!token) return null;
+
+      data.apiTokens = data.apiTokens.filter(other => other !== token);
+      storage.saveRoom(req.accessCode, data);
+      return token;
+    });
+
+    if (!token) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    console.log('🗑️ TOKEN - accessCode:', req.accessCode, 'revoked:', token.id, token.name);
+    recordAudit(req.accessCode, req.username, 'token-revoke', { tokenId: token.id, name: token.name });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Token revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// Outgoing webhooks
+
+// Send an event to the room's webhooks that want it (and pass the filter),
+// then add each delivery to its webhook's log
+async function sendWebhooks(accessCode, data, event, filter = () => true) {
+  const targets = webhooks.getSubscribedWebhooks(data, event.type).filter(filter);
+
+  await Promise.all(targets.map(async (webhook) => {
+    const delivery = await webhooks.deliverWebhook(webhook, event);
+    console.log(delivery.ok ? '🪝' : '❌', 'WEBHOOK - accessCode:', accessCode, 'event:', event.type, 'webhook:', webhook.id, 'status:', delivery.status, 'attempts:', delivery.attempts);
+    await saveWebhookDelivery(accessCode, webhook.id, delivery);
+  }));
+}
+
+function saveWebhookDelivery(accessCode, webhookId, delivery) {
+  return withRoomLock(accessCode, () => {
+    const data = readData(accessCode);
+    const webhook = webhooks.findWebhook(data, webhookId);
+    if (!webhook) return; // Removed while the delivery was under way
+
+    webhooks.recordDelivery(webhook, delivery);
+    storage.saveRoom(accessCode, data);
+  });
+}
+
+// A snack, plus a milestone for the webhooks whose step it reaches
+function sendSnackWebhooks(accessCode, data, counter, entry) {
+  return Promise.all([
+    sendWebhooks(accessCode, data, webhooks.createSnackEvent(accessCode, data, counter, entry)),
+    sendWebhooks(accessCode, data, webhooks.createMilestoneEvent(accessCode, data, counter, entry),
+      webhook => webhooks.isMilestone(webhook, counter, entry))
+  ]);
+}
+
+// Same schedule as the push digests, but each webhook has its own time.
+// Deliveries (with their retries) aren't waited for.
+async function sendDailySummaryWebhooks(accessCode) {
+  const due = await withRoomLock(accessCode, () => {
+    const data = readData(accessCode);
+    const timeZone = resolvePolicy(data.policy).timeZone;
+    const local = getLocalTime(Date.now(), timeZone);
+    const targets = webhooks.getSubscribedWebhooks(data, 'daily-summary')
+      .filter(webhook => webhooks.isSummaryDue(webhook, local));
+    if (targets.length === 0) return null;
+
+    targets.forEach(webhook => {
+      webhook.lastSummaryDate = local.date;
+    });
+    storage.saveRoom(accessCode, data);
+    return {
+      data: data,
+      ids: new Set(targets.map(webhook => webhook.id)),
+      date: local.date,
+      message: notifications.formatDigestMessage(data, local.date, timeZone)
+    };
+  });
+
+  // Quiet days are skipped, like the push digests
+  if (due && due.message) {
+    const event = webhooks.createSummaryEvent(accessCode, due.date, due.message);
+    sendWebhooks(accessCode, due.data, event, webhook => due.ids.has(webhook.id))
+      .catch(error => console.error('Failed to send webhooks:', error));
+  }
+}
+
+// Webhook management (owner only once the room is claimed). The secret is
+// only shown when a webhook is created or its secret is replaced.
+app.get('/api/webhooks', requireRoomAdmin, (req, res) => {
+  const data = readData(req.accessCode);
+  res.json({ webhooks: data.webhooks.map(webhooks.publicWebhook) });
+});
+
+app.post('/api/webhooks', requireRoomAdmin, async (req, res) => {
+  const validation = webhooks.validateWebhook(req.body, { requireUrl: true });
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const addressError = await webhooks.checkWebhookAddress(validation.fields.url);
+  if (addressError) {
+    return res.status(400).json({ error: addressError });
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (data.webhooks.length >= webhooks.MAX_WEBHOOKS) {
+        return { error: `A room can have at most ${webhooks.MAX_WEBHOOKS} webhooks`, status: 409 };
+      }
+
+      const webhook = webhooks.createWebhook(validation.fields);
+      data.webhooks.push(webhook);
+      storage.saveRoom(req.accessCode, data);
+      return { webhook };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { webhook } = result;
+    console.log('🪝 WEBHOOK - accessCode:', req.accessCode, 'created:', webhook.id, 'format:', webhook.format);
+    recordAudit(req.accessCode, req.username, 'webhook-create', { webhookId: webhook.id, events: webhook.events, format: webhook.format });
+    res.status(201).json(Object.assign(webhooks.publicWebhook(webhook), { secret: webhook.secret }));
+  } catch (error) {
+    console.error('Webhook create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Change a webhook's URL, events, format, schedule or active flag.
+// { "rotateSecret": true } replaces the signing secret.
+app.patch('/api/webhooks/:id', requireRoomAdmin, async (req, res) => {
+  const validation = webhooks.validateWebhook(req.body);
+  if (validation.error) {
+    return res.status(400).json({ error: validation.error });
+  }
+  const addressError = validation.fields.url && await webhooks.checkWebhookAddress(validation.fields.url);
+  if (addressError) {
+    return res.status(400).json({ error: addressError });
+  }
+  const rotateSecret = !!(req.body && req.body.rotateSecret);
+
+  try {
+    const webhook = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const webhook = webhooks.findWebhook(data, req.params.id);
+      if (!webhook) return null;
+
+      Object.assign(webhook, validation.fields);
+      if (rotateSecret) webhook.secret = webhooks.createSecret();
+      storage.saveRoom(req.accessCode, data);
+      return webhook;
+    });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    recordAudit(req.accessCode, req.username, 'webhook-update', {
+      webhookId: webhook.id,
+      fields: Object.keys(validation.fields),
+      rotateSecret: rotateSecret
+    });
+    const response = webhooks.publicWebhook(webhook);
+    if (rotateSecret) response.secret = webhook.secret;
+    res.json(response);
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireRoomAdmin, async (req, res) => {
+  try {
+    const removed = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      if (!webhooks.findWebhook(data, req.params.id)) return false;
+
+      data.webhooks = data.webhooks.filter(webhook => webhook.id !== req.params.id);
+      storage.saveRoom(req.accessCode, data);
+      return true;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    console.log('🗑️ WEBHOOK - accessCode:', req.accessCode, 'removed:', req.params.id);
+    recordAudit(req.accessCode, req.username, 'webhook-delete', { webhookId: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// The webhook's latest deliveries, newest first
+app.get('/api/webhooks/:id/deliveries', requireRoomAdmin, (req, res) => {
+  const webhook = webhooks.findWebhook(readData(req.accessCode), req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ deliveries: webhook.deliveries });
+});
+
+// Send a "ping" event right away, without retries, and answer with the delivery
+app.post('/api/webhooks/:id/test', requireRoomAdmin, async (req, res) => {
+  const webhook = webhooks.findWebhook(readData(req.accessCode), req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  try {
+    const event = webhooks.createEvent('ping', req.accessCode, 'Snack Counter is connected 🐷');
+    const delivery = await webhooks.deliverWebhook(webhook, event, { retryDelays: [] });
+    await saveWebhookDelivery(req.accessCode, webhook.id, delivery);
+    res.json(delivery);
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// Data export endpoint for backups
+// Snack history download: ?format=json|csv|ics, optionally limited to ?from= and ?to=
+app.get('/api/export-data', (req, res) => {
+  try {
+    if (!req.accessCode) {
+      console.error('❌ API /export-data - No accessCode!');
+      return res.status(400).json({ error: 'No access code provided' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const data = readData(req.accessCode);
+    const range = parseDateRange(req.query, resolvePolicy(data.policy).timeZone);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const entries = filterByDateRange(data, range);
+    const dates = [req.query.from, req.query.to].filter(Boolean).map(date => date.slice(0, 10));
+    const filename = ['snack-counter', req.accessCode].concat(dates).join('-');
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.send(formatExport(format, data, entries));
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Data import endpoint for restores: ?mode=replace (default) swaps in the
+// file's data, ?mode=merge adds the snacks the room doesn't have yet, and
+// ?dryRun=true only reports what would change
+app.post('/api/import-data', requireRoomAdmin, async (req, res) => {
+  try {
+    if (!req.accessCode) {
+      console.error('❌ API /import-data - No accessCode!');
+      return res.status(400).json({ error: 'No access code provided' });
+    }
+
+    const mode = req.query.mode || 'replace';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+    const errors = validateImport(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'This file is not a valid Snack Counter backup', details: errors });
+    }
+
+    const result = await withRoomLock(req.accessCode, () => {
+      const current = readData(req.accessCode);
+      const plan = planImport(current, req.body, mode);
+      if (!dryRun) {
+        snapshotRoom(req.accessCode, current, 'before-import');
+        writeData(req.accessCode, plan.data);
+      }
+      return plan;
+    });
+
+    if (dryRun) {
+      return res.json({ dryRun: true, summary: result.summary });
+    }
+
+    console.log('📥 IMPORT - accessCode:', req.accessCode, 'mode:', mode, 'added:', result.summary.added, 'removed:', result.summary.removed);
+    recordAudit(req.accessCode, req.username, 'import', result.summary);
+    broadcastRoomUpdate(req.accessCode, result.data);
+
+    res.json({
+      success: true,
+      message: mode === 'merge'
+        ? `Added ${result.summary.added} snacks (${result.summary.skippedDuplicates} already here)`
+        : `Imported ${result.data.count} snacks and ${getActiveLog(result.data).length} log entries`,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: 'Failed to import data' });
+  }
+});
+
+// Snapshots of the room (owner only once the room is claimed): taken every
+// hour when the room changed and before imports, resets and restores
+app.get('/api/backups', requireRoomAdmin, (req, res) => {
+  try {
+    res.json({
+      backups: backups.list(req.accessCode),
+      retention: backups.retention,
+      intervalMinutes: BACKUP_INTERVAL_MS / 60000
+    });
+  } catch (error) {
+    console.error('Backup list error:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+app.post('/api/backups', requireRoomAdmin, async (req, res) => {
+  try {
+    const backup = await withRoomLock(req.accessCode, () =>
+      backups.create(req.accessCode, readData(req.accessCode), 'manual')
+    );
+
+    console.log('💾 BACKUP - accessCode:', req.accessCode, 'id:', backup.id, 'by:', req.username);
+    recordAudit(req.accessCode, req.username, 'backup-create', { backupId: backup.id });
+    res.json({ success: true, backup: backup });
+  } catch (error) {
+    console.error('Backup error:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Roll the room back to a snapshot, after taking one of how it is now
+app.post('/api/backups/:id/restore', requireRoomAdmin, async (req, res) => {
+  const backupId = req.params.id;
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const loaded = backups.load(req.accessCode, backupId);
+      if (loaded.error) {
+        return { error: loaded.error, status: loaded.error === 'Backup not found' ? 404 : 422 };
+      }
+
+      const current = readData(req.accessCode);
+      snapshotRoom(req.accessCode, current, 'before-restore');
+      const data = planRestore(current, loaded.backup.data);
+      writeData(req.accessCode, data);
+      return { data, countBefore: current.count };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('⏪ BACKUP RESTORED - accessCode:', req.accessCode, 'id:', backupId, 'by:', req.username);
+    recordAudit(req.accessCode, req.username, 'backup-restore', {
+      backupId: backupId,
+      countBefore: result.countBefore,
+      countAfter: result.data.count
+    });
+    broadcastRoomUpdate(req.accessCode, result.data);
+    broadcastMembers(req.accessCode, result.data);
+    res.json({
+      success: true,
+      message: `Restored the backup from ${backupId.slice(0, 10)}: ${result.data.count} snacks`,
+      count: result.data.count
+    });
+  } catch (error) {
+    console.error('Backup restore error:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+// Scheduled snapshots: BACKUP_INTERVAL_MINUTES (default 60, at most a week;
+// 0 turns them off)
+const backupMinutes = parseInt(process.env.BACKUP_INTERVAL_MINUTES, 10);
+const BACKUP_INTERVAL_MS = Math.min(
+  Number.isInteger(backupMinutes) && backupMinutes >= 0 ? backupMinutes : 60,
+  7 * 24 * 60
+) * 60 * 1000;
+
+async function runScheduledBackups() {
+  for (const accessCode of storage.listRooms()) {
+    try {
+      const backup = await withRoomLock(accessCode, () => {
+        const data = storage.read(accessCode);
+        return data ? backups.createIfChanged(accessCode, data) : null;
+      });
+      if (backup) {
+        console.log('💾 BACKUP - accessCode:', accessCode, 'id:', backup.id);
+      }
+    } catch (error) {
+      console.error('Scheduled backup error for', accessCode, error);
+    }
+  }
+}
+
+if (BACKUP_INTERVAL_MS > 0) {
+  setInterval(runScheduledBackups, BACKUP_INTERVAL_MS).unref();
+}
+
+// Snacks made offline are sent later with an id the client made up for them
+// (so a retried request is only counted once) and the time they happened.
+// A time without an id backdates a snack someone forgot to add.
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+const MAX_OFFLINE_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 1 week, for both
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+app.post('/api/increment', async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /increment - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const { clientId, timestamp } = req.body || {};
+  if (clientId !== undefined && (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId))) {
+    return res.status(400).json({ error: 'clientId must be 8 to 64 letters, numbers, dashes or underscores' });
+  }
+  if (timestamp !== undefined) {
+    const time = isIsoTimestamp(timestamp) ? Date.parse(timestamp) : NaN;
+    if (isNaN(time) || time > Date.now() + MAX_CLOCK_SKEW_MS || time < Date.now() - MAX_OFFLINE_AGE_MS) {
+      return res.status(400).json({ error: 'timestamp must be an ISO time from the last 7 days' });
+    }
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const username = req.username || 'Anonymous';
+
+      // Already counted: the client retried after losing the response
+      const existing = clientId && data.log.find(entry => entry.clientId === clientId);
+      if (existing) {
+        return { data, counter: findCounter(data, existing.counterId), duplicate: true };
+      }
+
+      const counterId = req.body && req.body.counterId;
+      const counter = findCounter(data, counterId);
+      if (!counter) {
+        return { error: 'Counter not found', status: 404 };
+      }
+      if (counter.archived) {
+        return { error: 'This counter is archived', status: 409 };
+      }
+
+      // Optional quantity, snack type and note
+      const details = snackTypes.validateSnackDetails(req.body || {}, data);
+      if (details.error) {
+        return { error: details.error, status: 400 };
+      }
+      const quantity = details.fields.quantity || 1;
+
+      const snackTime = timestamp ? Math.min(Date.parse(timestamp), Date.now()) : Date.now();
+      // A snack someone forgot to add only counts as backdated once it is
+      // older than a whole cooldown, so a time a moment ago can't skip it
+      const cooldownMs = resolvePolicy(data.policy, counter).cooldownSeconds * 1000;
+      const backdated = !!timestamp && !clientId && snackTime <= Date.now() - cooldownMs;
+
+      // Check the room's cooldown, daily limit and quiet hours; a backdated
+      // snack was missed at the time, so cooldowns don't apply to it
+      const buttonState = evaluatePolicy(data, req.userId, snackTime, counter, {
+        quantity: quantity,
+        skipRules: backdated ? COOLDOWN_RULES : []
+      });
+      if (!buttonState.isEnabled) {
+        return { buttonState, quantity };
+      }
+
+      // Allow increment
+      console.log('🚀 INCREMENT - accessCode:', req.accessCode, 'counter:', counter.id, 'user:', username, 'new count:', counter.count + quantity, 'storage:', storage.name);
+
+      const entry = addSnack(data, counter, {
+        userId: req.userId,
+        time: snackTime,
+        fields: details.fields,
+        clientId: clientId
+      });
+
+      // Badges and goals are saved with the snack
+      const celebrations = celebrateSnack(data, entry, resolvePolicy(data.policy).timeZone);
+
+      // A snack before the counter's newest one renumbers the later ones,
+      // so the whole room is saved
+      if (getCounterLog(data, counter.id)[0] === entry) {
+        storage.insertLogEntry(req.accessCode, data, entry);
+      } else {
+        storage.write(req.accessCode, data);
+      }
+      recordAudit(req.accessCode, username, 'increment', {
+        entryId: entry.id,
+        counterId: counter.id,
+        quantity: quantity,
+        snackTypeId: entry.snackTypeId || null,
+        backdated: backdated
+      });
+      return { data, counter, entry, celebrations };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (!result.data) {
+      const { blockedBy, opensAt, remainingTime } = result.buttonState;
+      const isCooldown = blockedBy === 'cooldown' || blockedBy === 'user-cooldown';
+      let message = `${result.buttonState.message}!`;
+      if (isCooldown) {
+        message = `Please wait ${remainingTime} seconds before the next snack!`;
+      } else if (blockedBy === 'daily-limit' && result.quantity > 1) {
+        message = `${result.quantity} snacks would go over your daily snack limit!`;
+      }
+      return res.status(429).json({
+        error: 'Rate limited',
+        blockedBy: blockedBy,
+        opensAt: opensAt,
+        remainingTime: remainingTime,
+        message: message
+      });
+    }
+
+    const { data, counter, celebrations } = result;
+    if (result.duplicate) {
+      return res.json(Object.assign(getCounterSnapshot(data, counter), { duplicate: true }));
+    }
+    broadcastRoomUpdate(req.accessCode, data);
+    if (celebrations.length > 0) {
+      console.log('🎉 CELEBRATE - accessCode:', req.accessCode, celebrations.map(celebration => celebration.text).join(' | '));
+      broadcastCelebrations(req.accessCode, celebrations);
+      if (celebrations.some(celebration => celebration.type === 'achievement')) {
+        broadcastMembers(req.accessCode, data);
+      }
+      notifyCelebrations(req.accessCode, data, counter, celebrations)
+        .catch(error => console.error('Failed to send push notifications:', error));
+    }
+
+    // Send push notifications asynchronously (don't wait for it)
+    notifySnack(req.accessCode, data, counter, result.entry)
+      .catch(error => console.error('Failed to send push notifications:', error));
+    sendSnackWebhooks(req.accessCode, data, counter, result.entry)
+      .catch(error => console.error('Failed to send webhooks:', error));
+
+    res.json(Object.assign(getCounterSnapshot(data, counter), { celebrations: celebrations }));
+  } catch (error) {
+    console.error('Increment error:', error);
+    res.status(500).json({ error: 'Failed to increment counter' });
+  }
+});
+
+// How long a deleted snack can be brought back with undo
+const UNDO_WINDOW_MS = 30 * 1000;
+
+// Soft-delete a log entry: it stays in the log marked with who deleted it and
+// when, and no longer counts
+app.delete('/api/log/:id', requireRoomAdmin, async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /log DELETE - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  const logId = req.params.id;
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+
+      console.log('🗑️ DELETE LOG - accessCode:', req.accessCode, 'logId:', logId, 'current log length:', data.log.length);
+
+      const entry = data.log.find(entry => entry.id === logId && !entry.deletedAt);
+      if (!entry) {
+        return null;
+      }
+
+      entry.deletedAt = new Date().toISOString();
+      entry.deletedBy = req.userId;
+
+      // Recalculate count and cooldown from the remaining history
+      recalculateCount(data);
+      recalculateLastIncrement(data);
+
+      saveLogEntry(req.accessCode, data, entry);
+      recordAudit(req.accessCode, req.username, 'delete', { entryId: entry.id, counterId: entry.counterId });
+      return { data, entry, counter: findCounter(data, entry.counterId) };
+    });
+
+    if (!result) {
+      console.log('❌ Log entry not found:', logId);
+      return res.status(404).json({ error: 'Log entry not found' });
+    }
+
+    const { data, entry, counter } = result;
+    broadcastRoomUpdate(req.accessCode, data);
+    sendWebhooks(req.accessCode, data, webhooks.createDeleteEvent(req.accessCode, data, counter, entry))
+      .catch(error => console.error('Failed to send webhooks:', error));
+    console.log('✅ DELETED - new count:', counter.count);
+    res.json(Object.assign(getCounterSnapshot(data, counter), {
+      undo: {
+        entryId: entry.id,
+        until: new Date(Date.parse(entry.deletedAt) + UNDO_WINDOW_MS).toISOString()
+      }
+    }));
+  } catch (error) {
+    console.error('Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete log entry' });
+  }
+});
+
+// Correct who had a snack, when, what it was, how many or its note
+app.patch('/api/log/:id', requireRoomAdmin, async (req, res) => {
+  if (!req.accessCode) {
+    console.error('❌ API /log PATCH - No accessCode!');
+    return res.status(400).json({ error: 'No access code provided' });
+  }
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const entry = data.log.find(entry => entry.id === req.params.id && !entry.deletedAt);
+      if (!entry) {
+        return { error: 'Log entry not found', status: 404 };
+      }
+
+      const validation = validateEntryEdit(req.body, data, entry);
+      if (validation.error) {
+        return { error: validation.error, status: 400 };
+      }
+
+      const changes = applyEntryEdit(entry, validation.fields, req.userId);
+      if (Object.keys(changes).length === 0) {
+        return { data, entry, changes, counter: findCounter(data, entry.counterId) };
+      }
+
+      // A new time or quantity moves the entry and changes the counts
+      sortLog(data);
+      recalculateCount(data);
+      recalculateLastIncrement(data);
+
+      saveLogEntry(req.accessCode, data, entry);
+      recordAudit(req.accessCode, req.username, 'edit', { entryId: entry.id, counterId: entry.counterId, changes: changes });
+      return { data, entry, changes, counter: findCounter(data, entry.counterId) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { data, entry, changes, counter } = result;
+    if (Object.keys(changes).length > 0) {
+      console.log('✏️ EDIT LOG - accessCode:', req.accessCode, 'logId:', entry.id, 'changed:', Object.keys(changes).join(', '));
+      broadcastRoomUpdate(req.accessCode, data);
+      if (changes.userId || changes.quantity) {
+        broadcastMembers(req.accessCode, data);
+      }
+    }
+    res.json(Object.assign(getCounterSnapshot(data, counter), { entry: entry, changes: changes }));
+  } catch (error) {
+    console.error('Edit error:', error);
+    res.status(500).json({ error: 'Failed to edit log entry' });
+  }
+});
+
+// Undo a delete within UNDO_WINDOW_MS
+app.post('/api/log/:id/restore', requireRoomAdmin, async (req, res) => {
+  const logId = req.params.id;
+
+  try {
+    const result = await withRoomLock(req.accessCode, () => {
+      const data = readData(req.accessCode);
+      const entry = data.log.find(entry => entry.id === logId && entry.deletedAt);
+      if (!entry) {
+        return { error: 'No deleted log entry with this id', status: 404 };
+      }
+      if (Date.now() - Date.parse(entry.deletedAt) > UNDO_WINDOW_MS) {
+        return { error: 'Too late to undo this delete', status: 410 };
+      }
+
+      delete entry.deletedAt;
+      delete entry.deletedBy;
+      recalculateCount(data);
+      recalculateLastIncrement(data);
+
+      saveLogEntry(req.accessCode, data, entry);
+      recordAudit(req.accessCode, req.username, 'restore', { entryId: entry.id, counterId: entry.counterId });
+      return { data, counter: findCounter(data, entry.counterId) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('↩️ RESTORED - accessCode:', req.accessCode, 'logId:', logId, 'new count:', result.counter.count);
+    broadcastRoomUpdate(req.accessCode, result.data);
+    res.json(getCounterSnapshot(result.data, result.counter));
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({ error: 'Failed to restore log entry' });
+  }
+});
+
+// Every change made in the room, newest first, paged with ?before=<seq>&limit=<n>
+app.get('/api/audit', requireRoomAdmin, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LOG_PAGE_SIZE, 1), MAX_LOG_PAGE_SIZE);
+  const before = parseInt(req.query.before, 10) || Infinity;
+
+  try {
+    // Ask for one extra event to know whether there are more
+    const events = storage.listAuditEvents(req.accessCode, { before, limit: limit + 1 });
+    res.json({
+      events: events.slice(0, limit),
+      hasMore: events.length > limit
+    });
+  } catch (error) {
+    console.error('Audit read error:', error);
+    res.status(500).json({ error: 'Failed to read audit trail' });
+  }
+});
+
+// Server admin dashboard API: every room on the server, for the operator.
+// Turned off (404) unless ADMIN_TOKEN is set; requests send it as a Bearer token.
+const OPERATOR_ACTOR = 'Server admin';
+
+function requireOperator(req, res, next) {
+  const expected = operator.getOperatorToken();
+  if (!expected) {
+    return res.status(404).json({ error: 'The admin dashboard is turned off (set ADMIN_TOKEN to use it)' });
+  }
+
+  if (operatorLimiter.isLimited(req.ip)) {
+    res.set('Retry-After', operatorLimiter.retryAfter(req.ip));
+    return res.status(429).json({ error: 'Too many invalid admin tokens, try again later' });
+  }
+
+  if (!operator.verifyOperatorToken(expected, apiTokens.getBearerToken(req))) {
+    operatorLimiter.hit(req.ip);
+    console.log('❌ Invalid admin token - Path:', req.path);
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+// The room named in the URL, which has to exist
+function requireExistingRoom(req, res, next) {
+  if (!operator.isValidRoomCode(req.params.code) || !storage.exists(req.params.code)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  next();
+}
+
+app.use('/api/admin', requireOperator);
+app.use('/api/admin/rooms/:code', requireExistingRoom);
+
+// Rename and merge change two rooms; take their locks in a fixed order so
+// two operations on the same pair can't wait on each other
+function withRoomLocks(first, second, task) {
+  const [outer, inner] = [first, second].sort();
+  return withRoomLock(outer, () => withRoomLock(inner, task));
+}
+
+// Every room, most recently active first
+app.get('/api/admin/rooms', (req, res) => {
+  try {
+    const rooms = storage.listRooms()
+      .map(accessCode => {
+        const data = storage.read(accessCode);
+        if (!data) return null;
+        return operator.summarizeRoom(accessCode, normalizeData(data, accessCode), storage.getRoomSize(accessCode));
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+
+    res.json({ storage: storage.name, rooms: rooms });
+  } catch (error) {
+    console.error('Admin room list error:', error);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+// Give a room a new access code. Sign-ins, API tokens and links for the old
+// code stop working; members sign in again with the new one.
+app.post('/api/admin/rooms/:code/rename', async (req, res) => {
+  const from = req.params.code;
+  const to = req.body && req.body.to;
+  if (!operator.isValidRoomCode(to)) {
+    return res.status(400).json({ error: 'The new access code can only use letters, numbers, underscores and dashes' });
+  }
+
+  try {
+    const result = await withRoomLocks(from, to, () => {
+      if (!storage.exists(from)) {
+        return { error: 'Room not found', status: 404 };
+      }
+      if (storage.exists(to)) {
+        return { error: 'A room with that access code already exists', status: 409 };
+      }
+
+      const data = readData(from);
+      storage.rename(from, to);
+      backups.rename(from, to);
+      data.accessCode = to;
+      storage.saveRoom(to, data);
+      archivedRooms.delete(from);
+      archivedRooms.delete(to);
+      return { data };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log('🛠️ ADMIN - renamed room', from, 'to', to);
+    recordAudit(to, OPERATOR_ACTOR, 'room-rename', { from, to });
+    disconnectRoom(from);
+    res.json({ success: true, room: operator.summarizeRoom(to, result.data, storage.getRoomSize(to)) });
+  } catch (error) {
+    console.error('Admin rename error:', error);
+    res.status(500).json({ error: 'Failed to rename room' });
+  }
+});
+
+// Move a room's snacks, counters, snack types and members into another room
+// (like a merge import) and delete it: for a room made by mistyping a code
+app.post('/api/admin/rooms/:code/merge', async (req, res) => {
+  const from = req.params.code;
+  const into = req.body && req.body.into;
+  if (!operator.isValidRoomCode(into) || !storage.exists(into)) {
+    return res.status(404).json({ error: 'The room to merge into was not found' });
+  }
+  if (into === from) {
+    return res.status(400).json({ error: 'A room can\'t be merged into itself' });
+  }
+
+  try {
+    const result = await withRoomLocks(from, into, () => {
+      if (!storage.exists(from) || !storage.exists(into)) {
+        return { error: 'Room not found', status: 404 };
+      }
+
+      const current = readData(into);
+      const plan = planImport(current, readData(from), 'merge');
+      snapshotRoom(into, current, 'before-merge');
+      writeData(into, plan.data);
+      storage.remove(from);
+      backups.remove(from);
+      archivedRooms.delete(from);
+      return { plan };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const plan = result.plan;
+    console.log('🛠️ ADMIN - merged room', from, 'into', into, 'added:', plan.summary.added);
+    recordAudit(into, OPERATOR_ACTOR, 'room-merge', Object.assign({ from }, plan.summary));
+    disconnectRoom(from);
+    broadcastRoomUpdate(into, plan.data);
+    broadcastMembers(into, plan.data);
+    res.json({
+      success: true,
+      summary: plan.summary,
+      room: operator.summarizeRoom(into, plan.data, storage.getRoomSize(into))
+    });
+  } catch (error) {
+    console.error('Admin merge error:', error);
+    res.status(500).json({ error: 'Failed to merge rooms' });
+  }
+});
+
+// Archived rooms keep their data but nobody can sign in to them (or use
+// their API tokens) until they are restored
+async function setRoomArchived(req, res, archived) {
+  const accessCode = req.params.code;
+  try {
+    const data = await withRoomLock(accessCode, () => {
+      const data = readData(accessCode);
+      data.archivedAt = archived ? (data.archivedAt || Date.now()) : null;
+      storage.saveRoom(accessCode, data);
+      archivedRooms.set(accessCode, archived);
+      return data;
+    });
+
+    console.log('🛠️ ADMIN -', archived ? 'archived' : 'restored', 'room', accessCode);
+    recordAudit(accessCode, OPERATOR_ACTOR, archived ? 'room-archive' : 'room-restore');
+    if (archived) {
+      disconnectRoom(accessCode);
+    }
+    res.json({ success: true, room: operator.summarizeRoom(accessCode, data, storage.getRoomSize(accessCode)) });
+  } catch (error) {
+    console.error('Admin archive error:', error);
+    res.status(500).json({ error: archived ? 'Failed to archive room' : 'Failed to restore room' });
+  }
+}
+
+app.post('/api/admin/rooms/:code/archive', (req, res) => setRoomArchived(req, res, true));
+app.post('/api/admin/rooms/:code/restore', (req, res) => setRoomArchived(req, res, false));
+
+// Delete everything stored for a room, audit trail and snapshots included
+app.delete('/api/admin/rooms/:code', async (req, res) => {
+  const accessCode = req.params.code;
+  try {
+    await withRoomLock(accessCode, () => {
+      storage.remove(accessCode);
+      backups.remove(accessCode);
+      archivedRooms.delete(accessCode);
+    });
+
+    console.log('🛠️ ADMIN - deleted room', accessCode);
+    disconnectRoom(accessCode);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin delete error:', error);
+    res.status(500).json({ error: 'Failed to delete room' });
+  }
+});
+
+// The room's complete stored data, password and PIN hashes included, as a
+// file that can be imported again
+app.get('/api/admin/rooms/:code/backup', (req, res) => {
+  try {
+    const data = storage.read(req.params.code);
+    if (!data) {
+      return res.status(500).json({ error: 'The room has no readable data' });
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="counter-data-${req.params.code}.json"`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Admin backup error:', error);
+    res.status(500).json({ error: 'Failed to read room data' });
+  }
+});
+
+// Graceful shutdown handling
+process.on('SIGINT', () => {
+  console.log('\nReceived SIGINT, shutting down gracefully...');
+  console.log(`Data persistence: All snack data is automatically saved (${storage.name} storage)`);
+  storage.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log('\nReceived SIGTERM, shutting down gracefully...');
+  console.log(`Data persistence: All snack data is automatically saved (${storage.name} storage)`);
+  storage.close();
   process.exit(0);
 });
 
@@ -522,8 +2534,15 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Local: http://localhost:${PORT}`);
   console.log(`Network: http://YOUR_LOCAL_IP:${PORT}`);
   console.log(`\nData persistence:`);
-  console.log(`- Primary: counter-data.json`);
-  console.log(`- Backup: counter-data.json.backup`);
+  if (storage.name === 'sqlite') {
+    console.log(`- SQLite database: ${storage.file}`);
+  } else {
+    console.log(`- Primary: counter-data-<access code>.json`);
+    console.log(`- Backup: counter-data-<access code>.json.backup`);
+  }
   console.log(`- Data survives server restarts and software updates`);
+
+  // Lets the snack-counter command line see that the data is in use
+  writeServerPid(resolveDataDir());
   console.log(`\nTo find your local IP address, run: ifconfig | grep inet`);
 });
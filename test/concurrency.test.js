@@ -0,0 +1,71 @@
+// Parallel /api/increment and DELETE /api/log/:id requests against a real
+// server, on both storage backends: the cooldown lets exactly one of many
+// parallel snacks through, and every delete lands.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasSqlite, startServer, signIn } = require('./helpers/server');
+const { createRoomData } = require('../lib/room-data');
+
+const ROOM = 'parallel-test';
+const SEEDED = 10;
+
+// A room with SEEDED snacks from yesterday, an hour apart, so the cooldown is over
+function createSeededRoom() {
+  const data = createRoomData(ROOM);
+  const start = Date.now() - 24 * 60 * 60 * 1000;
+  for (let i = 0; i < SEEDED; i++) {
+    const time = start + i * 60 * 60 * 1000;
+    data.log.unshift({
+      id: time.toString(),
+      timestamp: new Date(time).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }),
+      count: i + 1,
+      username: 'Ann'
+    });
+    data.lastIncrementTime = time;
+  }
+  data.count = SEEDED;
+  return data;
+}
+
+async function getLog(api) {
+  const result = await api('/api/log?limit=100');
+  assert.equal(result.status, 200);
+  return result.body.log;
+}
+
+for (const backend of ['json', 'sqlite']) {
+  const skip = backend === 'sqlite' && !hasSqlite() && 'better-sqlite3 is not installed';
+  test(`parallel increments and deletes lose nothing (${backend} storage)`, { skip }, async (t) => {
+    const server = await startServer(backend, { [ROOM]: createSeededRoom() });
+    t.after(server.stop);
+
+    const ann = await signIn(server.url, ROOM, 'Ann');
+    const bob = await signIn(server.url, ROOM, 'Bob');
+    const seededIds = (await getLog(ann)).map(entry => entry.id);
+    assert.equal(seededIds.length, SEEDED);
+
+    // Only the first one in passes the cooldown
+    const increments = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      (i % 2 ? ann : bob)('/api/increment', { method: 'POST', body: {} })
+    ));
+    assert.equal(increments.filter(result => result.status === 200).length, 1);
+    assert.equal(increments.filter(result => result.status === 429).length, 19);
+
+    let log = await getLog(ann);
+    assert.equal(log.length, SEEDED + 1);
+    assert.equal((await ann('/api/counter')).body.count, SEEDED + 1);
+
+    // Delete the old snacks while more (refused) snacks come in
+    const mixed = await Promise.all([
+      ...seededIds.map(id => bob(`/api/log/${id}`, { method: 'DELETE' })),
+      ...Array.from({ length: 5 }, () => ann('/api/increment', { method: 'POST', body: {} }))
+    ]);
+    mixed.slice(0, SEEDED).forEach(result => assert.equal(result.status, 200));
+    mixed.slice(SEEDED).forEach(result => assert.equal(result.status, 429));
+
+    log = await getLog(ann);
+    assert.equal(log.length, 1);
+    assert.ok(!seededIds.includes(log[0].id), 'only the new snack is left');
+    assert.equal((await ann('/api/counter')).body.count, 1);
+  });
+}
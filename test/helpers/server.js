@@ -0,0 +1,115 @@
+// Start server.js against a temporary data directory and talk to it as a
+// signed-in member, for the tests that need the whole app
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const webpush = require('web-push');
+const { createStorage } = require('../../lib/storage');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// SQLite is an optional dependency
+function hasSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js on its own port and data directory. rooms are saved
+// before it starts, by access code.
+async function startServer(backend, rooms = {}) {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snack-counter-test-'));
+  const vapidKeys = webpush.generateVAPIDKeys();
+
+  const storage = createStorage({ backend, dataDir });
+  Object.keys(rooms).forEach(accessCode => storage.write(accessCode, rooms[accessCode]));
+  storage.close();
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: Object.assign({}, process.env, {
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      STORAGE_BACKEND: backend,
+      VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+      VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+      BACKUP_INTERVAL_MINUTES: '0'
+    }),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Snack Counter running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  // Only the log of a failed start is of interest
+  child.stdout.resume();
+  child.stderr.resume();
+  child.removeAllListeners('exit');
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise(resolve => {
+      child.on('exit', () => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill('SIGTERM');
+    })
+  };
+}
+
+// Sign in and return a fetch for the room with the login's cookies
+async function signIn(url, room, username) {
+  const response = await fetch(`${url}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ accessCode: room, username: username }),
+    redirect: 'manual'
+  });
+  const cookies = response.headers.getSetCookie().map(cookie => cookie.split(';')[0]);
+  assert.ok(cookies.length > 0, 'login sets cookies');
+
+  return async (pathname, { method = 'GET', body } = {}) => {
+    const reply = await fetch(`${url}${pathname}`, {
+      method: method,
+      headers: Object.assign({ Cookie: cookies.join('; ') }, body ? { 'Content-Type': 'application/json' } : {}),
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: reply.status, body: await reply.json() };
+  };
+}
+
+module.exports = { hasSqlite, startServer, signIn };
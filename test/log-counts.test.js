@@ -0,0 +1,69 @@
+// Every snack in the log shows the running count of its place in its
+// counter's history, also after snacks are backdated, edited, deleted and
+// restored.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasSqlite, startServer, signIn } = require('./helpers/server');
+const { DEFAULT_COUNTER_ID, createRoomData } = require('../lib/room-data');
+
+const ROOM = 'count-test';
+const HOUR = 60 * 60 * 1000;
+
+// A room with four snacks an hour apart, the oldest four hours ago
+function createRoom(now) {
+  const data = createRoomData(ROOM);
+  for (let i = 0; i < 4; i++) {
+    const time = now - (4 - i) * HOUR;
+    data.log.unshift({
+      id: time.toString(),
+      counterId: DEFAULT_COUNTER_ID,
+      timestamp: new Date(time).toISOString(),
+      count: i + 1,
+      username: 'Ann'
+    });
+  }
+  return data;
+}
+
+// The counts of the log, oldest first, as the server has them stored
+async function getCounts(api) {
+  const result = await api('/api/log?limit=100');
+  assert.equal(result.status, 200);
+  return result.body.log.map(entry => entry.count).reverse();
+}
+
+for (const backend of ['json', 'sqlite']) {
+  const skip = backend === 'sqlite' && !hasSqlite() && 'better-sqlite3 is not installed';
+  test(`backdated snacks, edits, deletes and restores renumber the later snacks (${backend} storage)`, { skip }, async (t) => {
+    const now = Date.now();
+    const server = await startServer(backend, { [ROOM]: createRoom(now) });
+    t.after(server.stop);
+
+    const ann = await signIn(server.url, ROOM, 'Ann');
+    const ids = (await ann('/api/log?limit=100')).body.log.map(entry => entry.id).reverse();
+    assert.deepEqual(await getCounts(ann), [1, 2, 3, 4]);
+
+    // A snack someone forgot, between the second and third one
+    const backdated = await ann('/api/increment', { method: 'POST', body: { timestamp: new Date(now - 2.5 * HOUR).toISOString() } });
+    assert.equal(backdated.status, 200);
+    assert.deepEqual(await getCounts(ann), [1, 2, 3, 4, 5]);
+
+    // Moving the oldest snack to half an hour ago makes it the newest
+    const moved = await ann(`/api/log/${ids[0]}`, { method: 'PATCH', body: { timestamp: new Date(now - HOUR / 2).toISOString() } });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(await getCounts(ann), [1, 2, 3, 4, 5]);
+    assert.equal(moved.body.entry.count, 5);
+
+    // Three snacks at once instead of one
+    assert.equal((await ann(`/api/log/${ids[1]}`, { method: 'PATCH', body: { quantity: 3 } })).status, 200);
+    assert.deepEqual(await getCounts(ann), [3, 4, 5, 6, 7]);
+
+    assert.equal((await ann(`/api/log/${ids[2]}`, { method: 'DELETE' })).status, 200);
+    assert.deepEqual(await getCounts(ann), [3, 4, 5, 6]);
+
+    const restored = await ann(`/api/log/${ids[2]}/restore`, { method: 'POST' });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(await getCounts(ann), [3, 4, 5, 6, 7]);
+    assert.equal(restored.body.count, 7);
+  });
+}
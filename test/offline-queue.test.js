@@ -0,0 +1,51 @@
+// The cooldown the page keeps for snacks made offline (public/offline-queue.js,
+// a browser script, run here in a context of its own)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = { self: {} };
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'offline-queue.js'), 'utf8'), context);
+const { getOfflineOpensAt } = context;
+
+const now = Date.parse('2026-10-19T12:00:00.000Z');
+
+function queuedSnack(secondsAgo, fields = {}) {
+  return Object.assign({ type: 'increment', counterId: 'default', timestamp: new Date(now - secondsAgo * 1000).toISOString() }, fields);
+}
+
+test('the button is open when the server never said otherwise', () => {
+  assert.equal(getOfflineOpensAt(null, [queuedSnack(5)]), 0);
+});
+
+test('keeps the cooldown the server last reported', () => {
+  const state = { counterId: 'default', cooldownSeconds: 20, opensAt: now + 15000 };
+  assert.equal(getOfflineOpensAt(state, []), now + 15000);
+});
+
+test('starts a cooldown after each snack queued offline', () => {
+  const state = { counterId: 'default', cooldownSeconds: 20, opensAt: 0 };
+
+  assert.equal(getOfflineOpensAt(state, [queuedSnack(60), queuedSnack(5)]), now + 15000);
+  // Over by now
+  assert.ok(getOfflineOpensAt(state, [queuedSnack(60)]) < now);
+});
+
+test('only counts queued snacks of the same counter', () => {
+  const state = { counterId: 'default', cooldownSeconds: 20, opensAt: 0 };
+  const actions = [
+    queuedSnack(5, { counterId: 'drinks' }),
+    { type: 'delete', logId: '1', timestamp: new Date(now).toISOString() }
+  ];
+
+  assert.equal(getOfflineOpensAt(state, actions), 0);
+  // A snack queued without a counter is for the room's first one, which the state is about
+  assert.equal(getOfflineOpensAt(state, [queuedSnack(5, { counterId: null })]), now + 15000);
+});
+
+test('no cooldown, no wait', () => {
+  const state = { counterId: 'default', cooldownSeconds: 0, opensAt: 0 };
+  assert.ok(getOfflineOpensAt(state, [queuedSnack(0)]) <= now);
+});
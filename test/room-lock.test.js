@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomLock } = require('../lib/room-lock');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('tasks for the same room run one at a time, in order', async () => {
+  const withRoomLock = createRoomLock();
+  let running = 0;
+  let mostAtOnce = 0;
+  const order = [];
+
+  // Each task reads a value, waits, then writes it back plus one: without the
+  // lock they would all read 0 and the result would be 1
+  let value = 0;
+  await Promise.all(Array.from({ length: 20 }, (_, i) => withRoomLock('room', async () => {
+    running++;
+    mostAtOnce = Math.max(mostAtOnce, running);
+    const read = value;
+    await wait(i % 3);
+    value = read + 1;
+    order.push(i);
+    running--;
+  })));
+
+  assert.equal(value, 20);
+  assert.equal(mostAtOnce, 1);
+  assert.deepEqual(order, Array.from({ length: 20 }, (_, i) => i));
+});
+
+test('different rooms don\'t wait on each other', async () => {
+  const withRoomLock = createRoomLock();
+  const events = [];
+
+  await Promise.all([
+    withRoomLock('a', async () => {
+      events.push('a start');
+      await wait(30);
+      events.push('a end');
+    }),
+    withRoomLock('b', async () => {
+      events.push('b start');
+      events.push('b end');
+    })
+  ]);
+
+  assert.deepEqual(events, ['a start', 'b start', 'b end', 'a end']);
+});
+
+test('a failed task passes on its error and doesn\'t block the next one', async () => {
+  const withRoomLock = createRoomLock();
+
+  const failed = withRoomLock('room', () => {
+    throw new Error('broken');
+  });
+  const next = withRoomLock('room', () => 'done');
+
+  await assert.rejects(failed, /broken/);
+  assert.equal(await next, 'done');
+});
+
+test('returns the task\'s result, sync or async', async () => {
+  const withRoomLock = createRoomLock();
+
+  assert.equal(await withRoomLock('room', () => 1), 1);
+  assert.equal(await withRoomLock('room', async () => 2), 2);
+});
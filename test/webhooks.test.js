@@ -0,0 +1,136 @@
+// deliverWebhook against a local stub receiver. It is on the loopback address,
+// which webhooks may only reach with allowPrivate.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createWebhook, createEvent, checkWebhookAddress, deliverWebhook } = require('../lib/webhooks');
+
+// A receiver that answers with the given statuses in turn (the last one from
+// then on) and keeps every request it got
+async function startReceiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+function createTestEvent() {
+  return createEvent('increment', 'party', 'Ann had a snack 🐷', { counter: { id: 'default', name: 'Snacks' } });
+}
+
+test('signs the body with the webhook secret', async (t) => {
+  const receiver = await startReceiver(t, [200]);
+  const webhook = createWebhook({ url: receiver.url });
+  const event = createTestEvent();
+
+  const delivery = await deliverWebhook(webhook, event, { retryDelays: [], allowPrivate: true });
+
+  assert.equal(delivery.ok, true);
+  assert.equal(delivery.attempts, 1);
+  assert.equal(receiver.requests.length, 1);
+
+  const { headers, body } = receiver.requests[0];
+  assert.deepEqual(JSON.parse(body), event);
+  assert.equal(headers['x-snack-event'], 'increment');
+  assert.equal(headers['x-snack-delivery'], event.id);
+
+  // What a receiver checks: HMAC-SHA256 of "<timestamp>.<body>" with the secret
+  const expected = 'sha256=' + crypto.createHmac('sha256', webhook.secret)
+    .update(`${headers['x-snack-timestamp']}.${body}`)
+    .digest('hex');
+  assert.equal(headers['x-snack-signature'], expected);
+});
+
+test('uses the Slack and Discord message shapes', async (t) => {
+  const receiver = await startReceiver(t, [200]);
+
+  await deliverWebhook(createWebhook({ url: receiver.url, format: 'slack' }), createTestEvent(), { retryDelays: [], allowPrivate: true });
+  await deliverWebhook(createWebhook({ url: receiver.url, format: 'discord' }), createTestEvent(), { retryDelays: [], allowPrivate: true });
+
+  assert.deepEqual(JSON.parse(receiver.requests[0].body), { text: 'Ann had a snack 🐷' });
+  assert.deepEqual(JSON.parse(receiver.requests[1].body), { content: 'Ann had a snack 🐷', username: 'Snack Counter' });
+});
+
+test('retries after a server error', async (t) => {
+  const receiver = await startReceiver(t, [500, 200]);
+
+  const delivery = await deliverWebhook(createWebhook({ url: receiver.url }), createTestEvent(), { retryDelays: [10, 10], allowPrivate: true });
+
+  assert.equal(delivery.ok, true);
+  assert.equal(delivery.status, 200);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(receiver.requests.length, 2);
+  // Every attempt is the same delivery
+  assert.equal(receiver.requests[0].headers['x-snack-delivery'], receiver.requests[1].headers['x-snack-delivery']);
+});
+
+test('gives up after the last retry', async (t) => {
+  const receiver = await startReceiver(t, [503]);
+
+  const delivery = await deliverWebhook(createWebhook({ url: receiver.url }), createTestEvent(), { retryDelays: [10, 10], allowPrivate: true });
+
+  assert.equal(delivery.ok, false);
+  assert.equal(delivery.status, 503);
+  assert.equal(delivery.error, 'HTTP 503');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(receiver.requests.length, 3);
+});
+
+test('doesn\'t retry a request the receiver refuses', async (t) => {
+  const receiver = await startReceiver(t, [404]);
+
+  const delivery = await deliverWebhook(createWebhook({ url: receiver.url }), createTestEvent(), { retryDelays: [10, 10], allowPrivate: true });
+
+  assert.equal(delivery.ok, false);
+  assert.equal(delivery.attempts, 1);
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('retries when the receiver can\'t be reached', async () => {
+  // A port nothing listens on: take a free one and close it again
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  await new Promise(resolve => server.close(resolve));
+
+  const delivery = await deliverWebhook(createWebhook({ url: url }), createTestEvent(), { retryDelays: [10], allowPrivate: true });
+
+  assert.equal(delivery.ok, false);
+  assert.equal(delivery.status, null);
+  assert.match(delivery.error, /ECONNREFUSED/);
+  assert.equal(delivery.attempts, 2);
+});
+
+test('refuses private addresses, by IP or by name', async () => {
+  for (const url of ['http://127.0.0.1/', 'http://localhost/', 'http://10.0.0.8/', 'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fe80::1]/']) {
+    assert.match(await checkWebhookAddress(url, { allowPrivate: false }), /public address/, url);
+  }
+  assert.equal(await checkWebhookAddress('http://8.8.8.8/hook', { allowPrivate: false }), null);
+  assert.equal(await checkWebhookAddress('http://127.0.0.1/', { allowPrivate: true }), null);
+});
+
+test('doesn\'t deliver to a private address', async (t) => {
+  const receiver = await startReceiver(t, [200]);
+  const byName = receiver.url.replace('127.0.0.1', 'localhost');
+
+  for (const url of [receiver.url, byName]) {
+    const delivery = await deliverWebhook(createWebhook({ url: url }), createTestEvent(), { retryDelays: [], allowPrivate: false });
+    assert.equal(delivery.ok, false);
+    assert.match(delivery.error, /private address/);
+  }
+  assert.equal(receiver.requests.length, 0);
+});